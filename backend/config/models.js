@@ -0,0 +1,54 @@
+/**
+ * Model Configuration
+ *
+ * Per-model settings (token prices, context window, embedding dimensions)
+ * from config/models.json. Set MODEL_CONFIG_FILE to a JSON file of the same
+ * shape to add models or override entries without editing the bundled table.
+ */
+
+import { readFileSync } from 'fs';
+import { logger } from '../utils/logger.js';
+
+let models = null;
+
+function loadModels() {
+  const bundled = JSON.parse(readFileSync(new URL('./models.json', import.meta.url), 'utf8')).models;
+  const overridePath = process.env.MODEL_CONFIG_FILE;
+  if (!overridePath) {
+    return bundled;
+  }
+
+  try {
+    const overrides = JSON.parse(readFileSync(overridePath, 'utf8')).models || {};
+    const merged = { ...bundled };
+    for (const [name, config] of Object.entries(overrides)) {
+      merged[name] = { ...merged[name], ...config };
+    }
+    return merged;
+  } catch (error) {
+    logger.error(`Could not read MODEL_CONFIG_FILE ${overridePath}, using bundled model table:`, error.message);
+    return bundled;
+  }
+}
+
+/**
+ * Gets the settings of a model
+ * Matches the exact name first, then the longest configured prefix, so dated
+ * snapshots (gpt-4.1-2025-04-14) share their family's entry.
+ *
+ * @param {string} model - Model name as sent to the provider
+ * @returns {object|null} - e.g. { input: 2.0, output: 8.0, contextWindow: 1047576 } (prices in USD per
+ *   1M tokens), or null if unknown
+ */
+export function getModelConfig(model) {
+  if (!model) return null;
+  models ||= loadModels();
+
+  if (models[model]) {
+    return models[model];
+  }
+  const prefix = Object.keys(models)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? models[prefix] : null;
+}
@@ -3,11 +3,110 @@
  * Handles chat-related endpoints
  */
 
-import { getLLMResponse, streamLLMResponse } from '../services/llm.js';
-import { searchWeb3Context } from '../services/web3.js';
-import { searchSimilar } from '../services/vectorStore.js';
+import { runChatPipeline } from '../services/pipeline/index.js';
+import {
+  registerChatStream,
+  getChatStream,
+  publishEvent,
+  subscribe,
+  finishChatStream,
+  cancelChatStream
+} from '../services/chatStreams.js';
+import {
+  createConversation,
+  getConversation,
+  getRecentMessages
+} from '../services/conversations.js';
+import { checkBudget, createUsageTracker, trackUsage, summarizeUsage } from '../services/usage.js';
 import { logger } from '../utils/logger.js';
 
+/**
+ * Persona and locale for the prompt templates
+ * The locale falls back to the browser's Accept-Language.
+ */
+function getPromptOptions(req) {
+  const acceptLanguage = req.acceptsLanguages().find(language => language !== '*');
+  return {
+    persona: req.body.persona || null,
+    locale: req.body.locale || acceptLanguage || null
+  };
+}
+
+/**
+ * Per-request stage config: the `rerank` and `diversity` options
+ * Only the client-facing fields are copied, so a request cannot change
+ * runner settings such as a stage's timeout.
+ */
+function getStageOverrides(req) {
+  const overrides = {};
+  if (req.body.rerank) {
+    const { enabled, provider, candidates } = req.body.rerank;
+    overrides.rerank = Object.fromEntries(
+      Object.entries({ enabled, provider, candidates }).filter(([, value]) => value !== undefined)
+    );
+  }
+  if (req.body.diversity) {
+    // Knowledge base tool calls search the same way
+    const diversity = { mmrLambda: req.body.diversity.lambda, maxPerSource: req.body.diversity.maxPerSource };
+    overrides.retrieve = diversity;
+    overrides.generate = diversity;
+  }
+  return overrides;
+}
+
+/**
+ * Details for `debug: true` requests: what went into the prompt
+ */
+function getDebugInfo(req, result) {
+  if (req.body.debug !== true) {
+    return {};
+  }
+  return { debug: { context: result.contextBudget?.report || null } };
+}
+
+/**
+ * Loads (or starts) the conversation a message belongs to
+ * Returns the prior turns to replay. If the conversation store is unavailable
+ * the chat still works, just without memory.
+ */
+async function loadConversation(conversationId, message) {
+  try {
+    if (conversationId) {
+      const conversation = await getConversation(conversationId);
+      if (!conversation) {
+        const error = new Error(`Conversation ${conversationId} not found`);
+        error.statusCode = 404;
+        throw error;
+      }
+      const history = await getRecentMessages(conversationId);
+      return { conversationId, history };
+    }
+
+    const conversation = await createConversation(message.slice(0, 80));
+    return { conversationId: conversation.id, history: [] };
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    logger.warn('Conversation store unavailable, continuing without history:', error.message);
+    return { conversationId: null, history: [] };
+  }
+}
+
+/**
+ * Turns a generation failure into the message shown to the user
+ * Shared by both transports so they report errors the same way.
+ */
+function describeGenerationError(error) {
+  if (error.notConfigured) {
+    return `To use this feature, please configure your LLM provider in the backend/.env file. Error: ${error.message}`;
+  }
+  if (error.statusCode === 503) {
+    return 'All LLM providers are currently unavailable. Please try again shortly.';
+  }
+  return 'An error occurred while generating the response.';
+}
+
 /**
  * Process chat message (non-streaming)
  */
@@ -21,67 +120,73 @@ export async function handleChat(req, res, filters = {}) {
 
     logger.info(`Received message: ${message}`);
 
-    // Step 1: Search vector store for relevant context
-    let vectorContext = '';
-    let vectorSources = [];
-    try {
-      const searchLimit = parseInt(process.env.VECTOR_SEARCH_LIMIT || '3');
-      const minSimilarity = parseFloat(process.env.VECTOR_MIN_SIMILARITY || '0.6');
-      const similarDocs = await searchSimilar(message, searchLimit, minSimilarity, filters);
-      if (similarDocs.length > 0) {
-        vectorContext = similarDocs
-          .map(doc => `[From stored knowledge]: ${doc.content}`)
-          .join('\n\n');
-        vectorSources = similarDocs.map(doc => ({
-          name: doc.metadata?.title || doc.metadata?.source || 'Stored Knowledge',
-          url: doc.metadata?.url || '#'
-        }));
-        logger.info(`Found ${similarDocs.length} relevant documents from vector store`);
-      }
-    } catch (error) {
-      // Vector store might be empty or unavailable - continue without it
-      logger.debug('Vector store search failed (might be empty):', error.message);
-    }
+    await checkBudget();
+    const responseFormat = req.body.responseFormat || null;
+    const { conversationId, history } = await loadConversation(req.body.conversationId, message);
 
-    // Step 2: Fetch relevant Web3 context (real-time data)
-    const web3Context = await searchWeb3Context(message);
-    const web3Data = web3Context?.relevantData || '';
+    // Stop generating (and paying for) tokens nobody will read
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        controller.abort();
+      }
+    });
 
-    // Step 3: Combine all context
-    const combinedContext = [vectorContext, web3Data]
-      .filter(c => c.trim().length > 0)
-      .join('\n\n');
+    // Attribute every LLM and embedding call made for this answer to it
+    const usage = createUsageTracker({ kind: 'chat', conversationId });
 
-    // Step 4: Get LLM response
-    let llmContent;
-    let sources = [];
-    
+    let result;
     try {
-      llmContent = await getLLMResponse(message, combinedContext);
-      
-      // Combine sources from both vector store and Web3 APIs
-      sources = [...vectorSources];
-      if (web3Context?.sources) {
-        sources.push(...web3Context.sources);
-      }
+      result = await trackUsage(usage, () => runChatPipeline({
+        message,
+        filters,
+        history,
+        conversationId,
+        ...getPromptOptions(req),
+        cache: req.body.cache,
+        responseFormat,
+        signal: controller.signal
+      }, {}, getStageOverrides(req)));
     } catch (error) {
-      // If LLM fails, check if it's due to missing API key
-      if (error.message.includes('API key')) {
-        llmContent = `To use this feature, please configure your LLM API key in the backend/.env file. Error: ${error.message}`;
-      } else {
-        throw error;
-      }
+      logger.error('Error generating chat response:', error);
+      return res.status(error.statusCode || 500).json({
+        error: describeGenerationError(error),
+        conversationId,
+        timings: error.timings
+      });
     }
 
-    const response = {
-      content: llmContent || `You said: "${message}". Please configure LLM API key.`,
-      sources
-    };
+    if (result.cancelled) {
+      logger.info('Client disconnected, generation aborted');
+      return;
+    }
+
+    // A structured answer that is still invalid after the repair attempts
+    const invalid = !!responseFormat && result.validationErrors.length > 0;
+    if (invalid) {
+      logger.warn(`Structured answer does not match the schema: ${result.validationErrors.join('; ')}`);
+    }
 
-    res.json(response);
+    res.status(invalid ? 422 : 200).json({
+      conversationId,
+      messageId: result.messageId,
+      persona: result.persona,
+      provider: result.provider,
+      model: result.model,
+      content: result.content,
+      ...(responseFormat ? { data: result.data, validationErrors: result.validationErrors } : {}),
+      cached: !!result.cachedAnswer,
+      cachedAt: result.cachedAnswer?.createdAt || null,
+      sources: result.sources,
+      citations: result.citations,
+      toolCalls: result.toolCalls,
+      usage: summarizeUsage(usage),
+      timings: result.timings,
+      ...getDebugInfo(req, result)
+    });
   } catch (error) {
     logger.error('Error processing chat:', error);
-    res.status(500).json({ error: error.message || 'Internal server error' });
+    res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error' });
   }
 }
 
@@ -89,6 +194,7 @@ export async function handleChat(req, res, filters = {}) {
  * Process chat message with streaming response (Server-Sent Events)
  */
 export async function handleChatStream(req, res, filters = {}) {
+  let stream = null;
   try {
     const { message } = req.body;
     // Validation already done by middleware, but keep for safety
@@ -98,91 +204,126 @@ export async function handleChatStream(req, res, filters = {}) {
 
     logger.info(`Received streaming message: ${message}`);
 
-    // Set up Server-Sent Events headers
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
-
-    // Helper function to send SSE data
-    const sendEvent = (event, data) => {
-      res.write(`event: ${event}\n`);
-      res.write(`data: ${JSON.stringify(data)}\n\n`);
-    };
-
-    // Step 1: Search vector store for relevant context
-    let vectorContext = '';
-    let vectorSources = [];
-    try {
-      const searchLimit = parseInt(process.env.VECTOR_SEARCH_LIMIT || '3');
-      const minSimilarity = parseFloat(process.env.VECTOR_MIN_SIMILARITY || '0.6');
-      const similarDocs = await searchSimilar(message, searchLimit, minSimilarity, filters);
-      if (similarDocs.length > 0) {
-        vectorContext = similarDocs
-          .map(doc => `[From stored knowledge]: ${doc.content}`)
-          .join('\n\n');
-        vectorSources = similarDocs.map(doc => ({
-          name: doc.metadata?.title || doc.metadata?.source || 'Stored Knowledge',
-          url: doc.metadata?.url || '#'
-        }));
-        logger.info(`Found ${similarDocs.length} relevant documents from vector store`);
-      }
-    } catch (error) {
-      // Vector store might be empty or unavailable - continue without it
-      logger.debug('Vector store search failed (might be empty):', error.message);
+    if (req.body.responseFormat) {
+      // The answer is validated (and possibly repaired) as a whole before it is returned
+      return res.status(400).json({ error: 'responseFormat is only supported by /api/chat' });
     }
 
-    // Step 2: Fetch relevant Web3 context (real-time data)
-    const web3Context = await searchWeb3Context(message);
-    const web3Data = web3Context?.relevantData || '';
+    // Before the event stream starts, so an exhausted budget is a plain 429
+    await checkBudget();
+    const { conversationId, history } = await loadConversation(req.body.conversationId, message);
 
-    // Step 3: Combine all context
-    const combinedContext = [vectorContext, web3Data]
-      .filter(c => c.trim().length > 0)
-      .join('\n\n');
+    setEventStreamHeaders(res);
 
-    // Send sources first (before streaming starts)
-    const sources = [...vectorSources];
-    if (web3Context?.sources) {
-      sources.push(...web3Context.sources);
-    }
-    sendEvent('sources', { sources });
+    // Register the stream so it can be cancelled or resumed. Events are
+    // numbered and buffered, so generation continues (for a grace period)
+    // even if this connection drops and the client reconnects.
+    stream = registerChatStream();
+    subscribe(stream, res);
+
+    // Helper function to send SSE data
+    const sendEvent = (event, data) => publishEvent(stream, event, data);
+
+    sendEvent('start', { message: 'Starting response...', conversationId, streamId: stream.id });
+
+    const usage = createUsageTracker({ kind: 'chat', conversationId });
 
-    // Step 4: Stream LLM response
     try {
-      sendEvent('start', { message: 'Starting response...' });
-      
-      let fullContent = '';
-      for await (const chunk of streamLLMResponse(message, combinedContext)) {
-        fullContent += chunk;
-        sendEvent('chunk', { content: chunk });
-      }
+      const result = await trackUsage(usage, () => runChatPipeline(
+        {
+          message,
+          filters,
+          history,
+          conversationId,
+          ...getPromptOptions(req),
+          cache: req.body.cache,
+          signal: stream.signal,
+          onChunk: chunk => sendEvent('chunk', { content: chunk }),
+          // Tool progress ("Fetching ETH price…") and the citations tool results add
+          onToolEvent: (event, data) => sendEvent(event, data)
+        },
+        {
+          // Send sources first (before streaming starts)
+          onStageComplete: (stageName, ctx) => {
+            if (stageName === 'assemble') {
+              sendEvent('sources', { sources: ctx.sources, citations: ctx.citations });
+            }
+          }
+        },
+        getStageOverrides(req)
+      ));
 
-      sendEvent('done', { 
-        message: 'Response complete',
-        fullContent 
+      sendEvent('done', {
+        message: result.cancelled ? 'Response cancelled' : 'Response complete',
+        conversationId,
+        messageId: result.messageId,
+        persona: result.persona,
+        provider: result.provider,
+        model: result.model,
+        fullContent: result.content,
+        cancelled: result.cancelled,
+        cached: !!result.cachedAnswer,
+        cachedAt: result.cachedAnswer?.createdAt || null,
+        toolCalls: result.toolCalls,
+        usage: summarizeUsage(usage),
+        timings: result.timings,
+        ...getDebugInfo(req, result)
       });
     } catch (error) {
       logger.error('Error streaming LLM response:', error);
-      
-      let errorMessage = 'An error occurred while generating the response.';
-      if (error.message.includes('API key')) {
-        errorMessage = `To use this feature, please configure your LLM API key in the backend/.env file. Error: ${error.message}`;
-      }
-      
-      sendEvent('error', { error: errorMessage });
-    } finally {
-      res.end();
+      sendEvent('error', { error: describeGenerationError(error), timings: error.timings });
     }
   } catch (error) {
     logger.error('Error processing streaming chat:', error);
     if (!res.headersSent) {
-      res.status(500).json({ error: error.message || 'Internal server error' });
-    } else {
-      res.write(`event: error\n`);
-      res.write(`data: ${JSON.stringify({ error: error.message || 'Internal server error' })}\n\n`);
-      res.end();
+      res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error' });
+    } else if (stream) {
+      publishEvent(stream, 'error', { error: error.message || 'Internal server error' });
+    }
+  } finally {
+    if (stream) {
+      finishChatStream(stream);
     }
   }
 }
 
+/**
+ * Sets Server-Sent Events headers
+ */
+function setEventStreamHeaders(res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+  res.flushHeaders();
+}
+
+/**
+ * Resume a streaming response after a dropped connection
+ * Replays every event after the `Last-Event-ID` header, then continues live.
+ */
+export function resumeChatStreamHandler(req, res) {
+  const stream = getChatStream(req.params.streamId);
+  if (!stream) {
+    return res.status(404).json({ error: 'Stream not found or replay window expired' });
+  }
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId || '0') || 0;
+  logger.info(`Resuming stream ${stream.id} after event ${lastEventId}`);
+
+  setEventStreamHeaders(res);
+  subscribe(stream, res, lastEventId);
+}
+
+/**
+ * Cancel an in-flight streaming response
+ * The stream finishes with a `done` event carrying the partial content and `cancelled: true`
+ */
+export function cancelChatStreamHandler(req, res) {
+  const cancelled = cancelChatStream(req.params.streamId);
+  if (!cancelled) {
+    return res.status(404).json({ error: 'Stream not found or already finished' });
+  }
+  res.json({ success: true, streamId: req.params.streamId });
+}
+
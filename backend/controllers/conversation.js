@@ -0,0 +1,81 @@
+/**
+ * Conversation Controller
+ * Handles conversation history management endpoints
+ */
+
+import {
+  listConversations,
+  getConversation,
+  getConversationMessages,
+  renameConversation,
+  deleteConversation
+} from '../services/conversations.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * List conversations (most recently active first)
+ */
+export async function listConversationsHandler(req, res) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '50') || 50, 200);
+    const conversations = await listConversations(limit);
+    res.json({ conversations });
+  } catch (error) {
+    logger.error('Error listing conversations:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+}
+
+/**
+ * Get a conversation with all of its messages and their sources
+ */
+export async function getConversationHandler(req, res) {
+  try {
+    const conversation = await getConversation(req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const messages = await getConversationMessages(conversation.id);
+    res.json({ conversation, messages });
+  } catch (error) {
+    logger.error('Error getting conversation:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+}
+
+/**
+ * Rename a conversation
+ */
+export async function renameConversationHandler(req, res) {
+  try {
+    const conversation = await renameConversation(req.params.id, req.body.title);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json({ conversation });
+  } catch (error) {
+    logger.error('Error renaming conversation:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+}
+
+/**
+ * Delete a conversation and its messages
+ */
+export async function deleteConversationHandler(req, res) {
+  try {
+    const deletedId = await deleteConversation(req.params.id);
+    if (!deletedId) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json({
+      success: true,
+      id: deletedId,
+      message: 'Conversation deleted'
+    });
+  } catch (error) {
+    logger.error('Error deleting conversation:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+}
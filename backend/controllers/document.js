@@ -3,28 +3,59 @@
  * Handles vector store document management endpoints
  */
 
-import { addDocument, getAllDocuments } from '../services/vectorStore.js';
+import {
+  addDocument,
+  getAllDocuments,
+  getDocument,
+  updateDocument,
+  deleteDocument,
+  deleteDocumentsByFilter
+} from '../services/vectorStore.js';
+import { checkBudget, createUsageTracker, trackUsage, summarizeUsage } from '../services/usage.js';
+import { clearAnswerCache } from '../services/answerCache.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Drops cached answers after the knowledge base changed, so new documents
+ * are used right away. A failure only means stale answers until they expire.
+ */
+async function invalidateAnswerCache() {
+  try {
+    await clearAnswerCache();
+  } catch (error) {
+    logger.warn('Could not clear the answer cache:', error.message);
+  }
+}
 
 /**
  * Add a document to the vector store
  */
 export async function addDocumentHandler(req, res) {
   try {
-    const { content, metadata } = req.body;
+    const { content, metadata, chunking } = req.body;
     // Validation already done by middleware, but keep for safety
     if (!content) {
       return res.status(400).json({ error: 'Content is required' });
     }
 
-    const docId = await addDocument(content, metadata || {});
+    await checkBudget();
+    const usage = createUsageTracker({ kind: 'ingest' });
+    const { id, chunks, injection } = await trackUsage(usage, () => addDocument(content, metadata || {}, chunking || {}));
+    await invalidateAnswerCache();
+    // Tells the client why some passages will never show up
     res.json({ 
       success: true, 
-      id: docId,
-      message: 'Document added to vector store'
+      id,
+      chunks,
+      injection,
+      usage: summarizeUsage(usage),
+      message: injection?.quarantined
+        ? `Document added to vector store but ${injection.flaggedChunks} of ${chunks} chunk(s) quarantined: they look like they contain instructions for the AI`
+        : 'Document added to vector store'
     });
   } catch (error) {
     console.error('Error adding document:', error);
-    res.status(500).json({ error: error.message || 'Internal server error' });
+    res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error' });
   }
 }
 
@@ -41,3 +72,116 @@ export async function getAllDocumentsHandler(req, res) {
   }
 }
 
+/**
+ * Get one document
+ */
+export async function getDocumentHandler(req, res) {
+  try {
+    const document = await getDocument(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json({ document });
+  } catch (error) {
+    console.error('Error getting document:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+}
+
+/**
+ * Applies an update and answers with the updated document
+ * Only updates that may change the text are held to the usage budget.
+ */
+async function respondWithUpdate(req, res, changes, options = {}) {
+  const mayReembed = changes.content !== undefined || changes.chunking !== undefined;
+  if (mayReembed) {
+    await checkBudget();
+  }
+  const usage = createUsageTracker({ kind: 'ingest' });
+  const result = await trackUsage(usage, () => updateDocument(req.params.id, changes, options));
+  if (!result) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  await invalidateAnswerCache();
+
+  res.json({
+    success: true,
+    id: result.id,
+    chunks: result.chunks,
+    reembedded: result.reembedded,
+    document: await getDocument(result.id),
+    usage: summarizeUsage(usage),
+    message: result.reembedded ? 'Document updated and re-embedded' : 'Document metadata updated'
+  });
+}
+
+/**
+ * Replace a document's content and metadata (PUT)
+ * Chunking settings are kept unless given.
+ */
+export async function replaceDocumentHandler(req, res) {
+  try {
+    const { content, metadata, chunking } = req.body;
+    await respondWithUpdate(req, res, { content, metadata: metadata || {}, chunking });
+  } catch (error) {
+    console.error('Error replacing document:', error);
+    res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error' });
+  }
+}
+
+/**
+ * Update parts of a document (PATCH)
+ * Metadata is merged into the stored metadata; only new content or chunking
+ * settings re-embed the document.
+ */
+export async function patchDocumentHandler(req, res) {
+  try {
+    const { content, metadata, chunking } = req.body;
+    await respondWithUpdate(req, res, { content, metadata, chunking }, { mergeMetadata: true });
+  } catch (error) {
+    console.error('Error updating document:', error);
+    res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error' });
+  }
+}
+
+/**
+ * Delete a document and its chunks
+ */
+export async function deleteDocumentHandler(req, res) {
+  try {
+    const deletedId = await deleteDocument(req.params.id);
+    if (!deletedId) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    await invalidateAnswerCache();
+    res.json({
+      success: true,
+      id: deletedId,
+      message: 'Document deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting document:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+}
+
+/**
+ * Delete every document whose metadata matches a filter
+ */
+export async function deleteDocumentsByFilterHandler(req, res) {
+  try {
+    const ids = await deleteDocumentsByFilter(req.body.filter);
+    if (ids.length > 0) {
+      await invalidateAnswerCache();
+    }
+    res.json({
+      success: true,
+      deleted: ids.length,
+      ids,
+      message: `${ids.length} document(s) deleted`
+    });
+  } catch (error) {
+    console.error('Error deleting documents:', error);
+    res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error' });
+  }
+}
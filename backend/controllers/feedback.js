@@ -0,0 +1,39 @@
+/**
+ * Feedback Controller
+ * Handles answer rating and quality analytics endpoints
+ */
+
+import { submitFeedback, getFeedbackAnalytics } from '../services/feedback.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Rate an assistant message (thumbs up/down plus optional comment)
+ */
+export async function submitFeedbackHandler(req, res) {
+  try {
+    const { rating, comment } = req.body;
+    const feedback = await submitFeedback(req.params.id, rating === 'up' ? 1 : -1, comment || null);
+    if (!feedback) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    res.json({ success: true, feedback });
+  } catch (error) {
+    logger.error('Error submitting feedback:', error);
+    res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error' });
+  }
+}
+
+/**
+ * Aggregate satisfaction by provider, source filter, document and similarity
+ */
+export async function getFeedbackAnalyticsHandler(req, res) {
+  try {
+    const days = Math.max(1, parseInt(req.query.days || '30') || 30);
+    const minRatings = Math.max(1, parseInt(req.query.minRatings || '1') || 1);
+    const analytics = await getFeedbackAnalytics({ days, minRatings });
+    res.json(analytics);
+  } catch (error) {
+    logger.error('Error getting feedback analytics:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+}
@@ -0,0 +1,21 @@
+/**
+ * Usage Controller
+ * Handles the token usage and cost report endpoint
+ */
+
+import { getUsageReport } from '../services/usage.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Tokens and cost per day and per model, with spend against budgets
+ */
+export async function getUsageHandler(req, res) {
+  try {
+    const days = Math.min(366, Math.max(1, parseInt(req.query.days || '30') || 30));
+    const report = await getUsageReport({ days });
+    res.json(report);
+  } catch (error) {
+    logger.error('Error getting usage report:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+}
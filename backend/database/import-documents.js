@@ -5,15 +5,20 @@
  * Uses the existing vectorStore service to handle embeddings and database operations.
  * 
  * Usage: node backend/database/import-documents.js [path/to/documents.json]
+ * Each document is { content, metadata?, chunking? } (see services/chunking.js).
  * Default: backend/data/documents.json
  */
 
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { addDocuments } from '../services/vectorStore.js';
+import { addDocuments, checkEmbeddingDimensions } from '../services/vectorStore.js';
 import { testConnection } from '../config/database.js';
 import { pool } from '../config/database.js';
+import { checkBudget, createUsageTracker, trackUsage, summarizeUsage, flushUsage } from '../services/usage.js';
+import { clearAnswerCache } from '../services/answerCache.js';
+import { getEmbeddingCacheStats } from '../services/embeddingCache.js';
+import { validateChunkingOptions } from '../utils/validation.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -71,6 +76,7 @@ async function importDocuments() {
       if (doc.metadata && typeof doc.metadata !== 'object') {
         errors.push(`Document ${index + 1}: 'metadata' must be an object`);
       }
+      validateChunkingOptions(doc.chunking).errors.forEach(err => errors.push(`Document ${index + 1}: ${err}`));
     });
 
     if (errors.length > 0) {
@@ -82,14 +88,44 @@ async function importDocuments() {
     console.log(`✅ Found ${documents.length} document(s) to import`);
     console.log('');
 
+    // Vectors of the wrong size would fail on insert, after paying for them
+    const embedding = await checkEmbeddingDimensions();
+    if (embedding.mismatches.length > 0) {
+      console.error(`❌ ${embedding.provider}/${embedding.model} produces ${embedding.dimensions}-dimensional vectors, but the database has:`);
+      embedding.mismatches.forEach(m => console.error(`   - ${m.table}.embedding: ${m.dimensions ? `vector(${m.dimensions})` : 'not a sized vector'}`));
+      console.error('   Switch back to the previous embedding model, or recreate the tables (see "Embedding providers" in the README).');
+      process.exit(1);
+    }
+
     // Import documents using existing vectorStore service
+    await checkBudget();
     console.log('🔄 Generating embeddings and inserting documents...');
-    const ids = await addDocuments(documents);
+    const usage = createUsageTracker({ kind: 'ingest' });
+    const added = await trackUsage(usage, () => addDocuments(documents));
+    const totals = summarizeUsage(usage);
+    // Answers cached before the import would not use the new documents
+    const clearedAnswers = await clearAnswerCache();
 
     console.log('');
     console.log('✨ Import complete!');
-    console.log(`✅ Successfully imported ${ids.length} document(s)`);
-    console.log(`📝 Document IDs: ${ids.join(', ')}`);
+    console.log(`✅ Successfully imported ${added.length} document(s)`);
+    console.log(`📝 Document IDs: ${added.map(doc => doc.id).join(', ')}`);
+    console.log(`💰 Embedding tokens: ${totals.embeddingTokens} (~$${totals.costUsd.toFixed(4)})`);
+    // Documents whose text was embedded before (e.g. a re-import) came from the embedding cache
+    const cache = getEmbeddingCacheStats();
+    if (cache.memoryHits + cache.databaseHits > 0) {
+      console.log(`♻️  Reused ${cache.memoryHits + cache.databaseHits} cached embedding(s)`);
+    }
+    console.log(`🧩 Chunks: ${added.reduce((sum, doc) => sum + doc.chunks, 0)}`);
+    // The vector store logged each flagged chunk
+    const flagged = added.filter(doc => doc.injection);
+    if (flagged.length > 0) {
+      const quarantined = flagged.reduce((sum, doc) => sum + (doc.injection.quarantined ? doc.injection.flaggedChunks : 0), 0);
+      console.log(`⚠️  ${flagged.length} document(s) flagged as possible prompt injection, ${quarantined} chunk(s) quarantined (PROMPT_INJECTION_ACTION=${process.env.PROMPT_INJECTION_ACTION || 'quarantine'})`);
+    }
+    if (clearedAnswers > 0) {
+      console.log(`🧹 Cleared ${clearedAnswers} cached answer(s)`);
+    }
 
   } catch (error) {
     console.error('❌ Error importing documents:', error.message);
@@ -98,6 +134,7 @@ async function importDocuments() {
     }
     process.exit(1);
   } finally {
+    await flushUsage();
     await pool.end();
   }
 }
@@ -4,8 +4,13 @@
 -- 1. The pgvector extension (enables vector operations in Postgres)
 -- 2. A table to store document chunks with their embeddings
 --
--- Run this after creating your database:
--- psql -U postgres -d web3_insight -f backend/database/schema.sql
+-- Run this after creating your database (node backend/database/setup.js
+-- does this for you with the configured embedding dimensions):
+-- psql -U postgres -d web3_insight -v embedding_dimensions=1536 -f backend/database/schema.sql
+--
+-- :embedding_dimensions is the vector length of the embedding model
+-- (EMBEDDING_PROVIDER / EMBEDDING_DIMENSIONS). The server refuses to start
+-- if the columns do not match the configured model.
 
 -- Enable the pgvector extension
 CREATE EXTENSION IF NOT EXISTS vector;
@@ -16,7 +21,7 @@ CREATE TABLE IF NOT EXISTS document_embeddings (
     id SERIAL PRIMARY KEY,
     content TEXT NOT NULL,              -- The actual text content
     metadata JSONB,                     -- Store additional info (source, title, url, etc.)
-    embedding vector(1536),             -- OpenAI embeddings are 1536 dimensions
+    embedding vector(:embedding_dimensions), -- One number per model dimension (1536 for text-embedding-3-small)
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
 );
@@ -37,3 +42,185 @@ USING GIN (metadata);
 -- Returns documents ordered by similarity (cosine distance)
 COMMENT ON TABLE document_embeddings IS 'Stores document chunks with vector embeddings for semantic search';
 
+
+-- Conversations group chat turns so follow-up questions keep their context
+CREATE TABLE IF NOT EXISTS conversations (
+    id SERIAL PRIMARY KEY,
+    title TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Each row is one turn (user question or assistant answer) in a conversation
+CREATE TABLE IF NOT EXISTS conversation_messages (
+    id SERIAL PRIMARY KEY,
+    conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+    content TEXT NOT NULL,
+    sources JSONB,                      -- Sources returned with an assistant turn
+    citations JSONB,                    -- Numbered citations referenced as [n] in the answer
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Add columns to tables created before these features existed
+ALTER TABLE conversation_messages ADD COLUMN IF NOT EXISTS citations JSONB;
+ALTER TABLE conversation_messages ADD COLUMN IF NOT EXISTS provider TEXT;   -- LLM provider that answered
+ALTER TABLE conversation_messages ADD COLUMN IF NOT EXISTS model TEXT;      -- LLM model that answered
+ALTER TABLE conversation_messages ADD COLUMN IF NOT EXISTS filters JSONB;   -- Metadata filters used for retrieval
+
+-- Turns are always read back in order within a conversation
+CREATE INDEX IF NOT EXISTS conversation_messages_conversation_idx
+ON conversation_messages (conversation_id, created_at);
+
+COMMENT ON TABLE conversations IS 'Chat threads used to replay prior turns to the LLM';
+COMMENT ON TABLE conversation_messages IS 'Individual user and assistant turns within a conversation';
+
+-- Thumbs up/down on assistant answers
+-- Retrieval details are copied in at feedback time so analytics survive
+-- the conversation being deleted (message_id is then set to NULL)
+CREATE TABLE IF NOT EXISTS message_feedback (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER UNIQUE REFERENCES conversation_messages(id) ON DELETE SET NULL,
+    rating SMALLINT NOT NULL CHECK (rating IN (-1, 1)),   -- 1 = thumbs up, -1 = thumbs down
+    comment TEXT,
+    question TEXT,                      -- The user question that was answered
+    document_ids INTEGER[],             -- Retrieved knowledge base documents
+    similarities REAL[],                -- Similarity of each retrieved document (same order)
+    provider TEXT,
+    model TEXT,
+    filters JSONB,                      -- Metadata filters active for the question
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE message_feedback IS 'User ratings of assistant answers, with retrieval details for quality analytics';
+
+-- Token usage and cost of every LLM and embedding call
+-- Rows of one chat request (or one ingestion run) share a request_id
+CREATE TABLE IF NOT EXISTS usage_events (
+    id SERIAL PRIMARY KEY,
+    request_id UUID NOT NULL,
+    kind TEXT NOT NULL,                 -- What the call was for: chat, ingest
+    type TEXT NOT NULL CHECK (type IN ('llm', 'embedding')),
+    provider TEXT,
+    model TEXT,
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,      -- Input tokens (all tokens for embeddings)
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,    -- From the price table in config/models.json
+    conversation_id INTEGER REFERENCES conversations(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Budgets and the usage endpoint aggregate by time range
+CREATE INDEX IF NOT EXISTS usage_events_created_at_idx
+ON usage_events (created_at);
+
+COMMENT ON TABLE usage_events IS 'Token usage and cost per LLM/embedding call, for reporting and budgets';
+
+-- Answers to standalone questions, reused for semantically equivalent questions
+-- A lookup matches on cache_key (filters + persona + locale) and the closest
+-- question embedding; rows expire sooner when the answer used live market data
+CREATE TABLE IF NOT EXISTS answer_cache (
+    id SERIAL PRIMARY KEY,
+    cache_key TEXT NOT NULL,            -- Canonical JSON of filters, persona and locale
+    question TEXT NOT NULL,
+    embedding vector(:embedding_dimensions) NOT NULL, -- Embedding of the question
+    content TEXT NOT NULL,
+    citations JSONB,
+    tool_calls JSONB,
+    provider TEXT,
+    model TEXT,
+    uses_live_data BOOLEAN NOT NULL DEFAULT FALSE,
+    hit_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS answer_cache_key_idx
+ON answer_cache (cache_key, expires_at);
+
+COMMENT ON TABLE answer_cache IS 'Semantic cache of chat answers keyed by question embedding, filters, persona and locale';
+
+-- Prompt injection screening (see services/promptInjection.js)
+-- Documents flagged at ingest keep the scan result; quarantined ones are
+-- stored for review but never returned by vector search
+ALTER TABLE document_embeddings ADD COLUMN IF NOT EXISTS injection_flags JSONB;   -- { flagged, score, rules } when flagged
+ALTER TABLE document_embeddings ADD COLUMN IF NOT EXISTS quarantined BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Embeddings of texts embedded before (see services/embeddingCache.js)
+-- Keyed by model and a hash of the text, so repeated questions and re-imported
+-- documents are not embedded again. The vector is unsized because rows of
+-- different models can coexist; rows can be deleted at any time.
+CREATE TABLE IF NOT EXISTS embedding_cache (
+    provider TEXT NOT NULL,             -- Embedding provider, e.g. openai, local
+    model TEXT NOT NULL,
+    dimensions INTEGER NOT NULL,
+    text_hash TEXT NOT NULL,            -- SHA-256 of the trimmed text
+    embedding vector NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    last_used_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (provider, model, dimensions, text_hash)
+);
+
+CREATE INDEX IF NOT EXISTS embedding_cache_last_used_idx
+ON embedding_cache (last_used_at);
+
+COMMENT ON TABLE embedding_cache IS 'Cached embeddings keyed by provider, model, dimensions and text hash';
+
+-- Documents split into chunks (see services/chunking.js)
+-- A document is stored whole here; document_embeddings holds one row per
+-- chunk, with the document's metadata copied onto it so filters and vector
+-- search stay on one table
+CREATE TABLE IF NOT EXISTS documents (
+    id SERIAL PRIMARY KEY,
+    content TEXT NOT NULL,              -- Full text
+    metadata JSONB,
+    chunking JSONB,                     -- { strategy, sizeTokens, overlapTokens } it was chunked with
+    chunk_count INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE documents IS 'Parent records of chunked documents';
+
+ALTER TABLE document_embeddings ADD COLUMN IF NOT EXISTS document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE;
+ALTER TABLE document_embeddings ADD COLUMN IF NOT EXISTS chunk_index INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE document_embeddings ADD COLUMN IF NOT EXISTS char_start INTEGER;   -- Chunk's character range in documents.content
+ALTER TABLE document_embeddings ADD COLUMN IF NOT EXISTS char_end INTEGER;
+
+CREATE INDEX IF NOT EXISTS document_embeddings_document_idx
+ON document_embeddings (document_id, chunk_index);
+
+-- Rows stored before chunking become single-chunk documents, keeping their ID
+-- so feedback recorded against them still matches
+DO $$
+DECLARE
+    legacy RECORD;
+    parent_id INTEGER;
+BEGIN
+    FOR legacy IN SELECT id, content, metadata, created_at FROM document_embeddings WHERE document_id IS NULL LOOP
+        IF EXISTS (SELECT 1 FROM documents WHERE id = legacy.id) THEN
+            INSERT INTO documents (content, metadata, created_at)
+            VALUES (legacy.content, legacy.metadata, legacy.created_at)
+            RETURNING id INTO parent_id;
+        ELSE
+            INSERT INTO documents (id, content, metadata, created_at)
+            VALUES (legacy.id, legacy.content, legacy.metadata, legacy.created_at)
+            RETURNING id INTO parent_id;
+        END IF;
+        UPDATE document_embeddings
+        SET document_id = parent_id, chunk_index = 0, char_start = 0, char_end = length(legacy.content)
+        WHERE id = legacy.id;
+    END LOOP;
+    PERFORM setval(pg_get_serial_sequence('documents', 'id'), (SELECT COALESCE(MAX(id), 0) + 1 FROM documents), false);
+END $$;
+
+-- Full-text index for hybrid search (SEARCH_MODE=hybrid in services/vectorStore.js)
+-- The 'english' configuration stems words and drops stop words, but keeps
+-- tickers, contract addresses and "EIP-4844" as searchable tokens
+ALTER TABLE document_embeddings ADD COLUMN IF NOT EXISTS content_tsv tsvector
+    GENERATED ALWAYS AS (to_tsvector('english', content)) STORED;
+
+CREATE INDEX IF NOT EXISTS document_embeddings_content_tsv_idx
+ON document_embeddings
+USING GIN (content_tsv);
@@ -8,6 +8,7 @@
  */
 
 import { pool, testConnection } from '../config/database.js';
+import { getEmbeddingInfo } from '../services/embeddings.js';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -26,9 +27,11 @@ async function setupDatabase() {
       process.exit(1);
     }
 
-    // Read and execute schema.sql
+    // Read schema.sql and size the vector columns for the configured embedding model
+    const { provider, model, dimensions } = getEmbeddingInfo();
+    console.log(`📐 Embedding model: ${provider}/${model} (${dimensions} dimensions)\n`);
     const schemaPath = join(__dirname, 'schema.sql');
-    const schemaSQL = readFileSync(schemaPath, 'utf8');
+    const schemaSQL = readFileSync(schemaPath, 'utf8').replaceAll(':embedding_dimensions', String(dimensions));
 
     // Execute the entire SQL file at once
     // PostgreSQL handles comments and multiple statements automatically
@@ -1,13 +1,48 @@
 import express from 'express';
 import cors from 'cors';
 import { testConnection } from './config/database.js';
-import { handleChat, handleChatStream } from './controllers/chat.js';
-import { addDocumentHandler, getAllDocumentsHandler } from './controllers/document.js';
-import { validateChatRequest, validateDocumentRequest } from './utils/validation.js';
+import {
+  handleChat,
+  handleChatStream,
+  resumeChatStreamHandler,
+  cancelChatStreamHandler
+} from './controllers/chat.js';
+import {
+  addDocumentHandler,
+  getAllDocumentsHandler,
+  getDocumentHandler,
+  replaceDocumentHandler,
+  patchDocumentHandler,
+  deleteDocumentHandler,
+  deleteDocumentsByFilterHandler
+} from './controllers/document.js';
+import {
+  listConversationsHandler,
+  getConversationHandler,
+  renameConversationHandler,
+  deleteConversationHandler
+} from './controllers/conversation.js';
+import { submitFeedbackHandler, getFeedbackAnalyticsHandler } from './controllers/feedback.js';
+import { getUsageHandler } from './controllers/usage.js';
+import {
+  validateChatRequest,
+  validateDocumentRequest,
+  validateDocumentPatch,
+  validateDocumentParams,
+  validateDocumentFilterDelete,
+  validateConversationParams,
+  validateConversationUpdate,
+  validateMessageParams,
+  validateFeedbackRequest
+} from './utils/validation.js';
 import { errorHandler } from './utils/errors.js';
 import { logger } from './utils/logger.js';
 import { validateEnvironment } from './utils/envValidator.js';
-import { getMetadataValues } from './services/vectorStore.js';
+import { getMetadataValues, checkEmbeddingDimensions } from './services/vectorStore.js';
+import { getLatencySummary } from './services/metrics.js';
+import { getFallbackChain, getCircuitStates } from './services/failover.js';
+import { listPersonas, getDefaultPersonaId } from './services/prompts.js';
+import { clearAnswerCache } from './services/answerCache.js';
 
 // Validate environment variables on startup
 try {
@@ -17,6 +52,23 @@ try {
   process.exit(1);
 }
 
+// The vector columns must match the embedding model, or every insert and search fails
+try {
+  const { provider, model, dimensions, mismatches } = await checkEmbeddingDimensions();
+  if (mismatches.length > 0) {
+    logger.error(
+      `Embedding model ${provider}/${model} produces ${dimensions}-dimensional vectors, but ` +
+      mismatches.map(m => `${m.table}.embedding is ${m.dimensions ? `vector(${m.dimensions})` : 'not a sized vector'}`).join(' and ') +
+      '. Switch back to the previous embedding model, or recreate the tables and re-import documents ' +
+      '(see "Embedding providers" in the README).'
+    );
+    process.exit(1);
+  }
+  logger.info(`Embedding model: ${provider}/${model} (${dimensions} dimensions)`);
+} catch (error) {
+  logger.warn('Could not check embedding dimensions against the database:', error.message);
+}
+
 const app = express();
 const PORT = process.env.PORT || 8000;
 
@@ -43,13 +95,57 @@ app.get('/api/metadata/values', async (req, res) => {
   }
 });
 
+// Rolling latency percentiles for the chat pipeline (stages, context ready, first token, total)
+app.get('/api/metrics/latency', (req, res) => {
+  res.json({ latency: getLatencySummary() });
+});
+
+// LLM fallback chain and circuit breaker state
+app.get('/api/metrics/providers', (req, res) => {
+  res.json({ chain: getFallbackChain(), circuits: getCircuitStates() });
+});
+
+// Token usage and cost against budgets
+app.get('/api/usage', getUsageHandler);
+
+// Personas selectable with the `persona` field of chat requests
+app.get('/api/personas', (req, res) => {
+  res.json({ personas: listPersonas(), default: getDefaultPersonaId() });
+});
+
+// Drop every cached answer (they are also dropped when documents are added, changed or deleted)
+app.delete('/api/answer-cache', async (req, res) => {
+  try {
+    res.json({ success: true, removed: await clearAnswerCache() });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // Chat endpoints (with validation)
 app.post('/api/chat', validateChatRequest, (req, res) => handleChat(req, res, req.body.filters || {}));
 app.post('/api/chat/stream', validateChatRequest, (req, res) => handleChatStream(req, res, req.body.filters || {}));
+app.get('/api/chat/stream/:streamId', resumeChatStreamHandler);
+app.post('/api/chat/stream/:streamId/cancel', cancelChatStreamHandler);
+
+// Conversation history endpoints (with validation)
+app.get('/api/conversations', listConversationsHandler);
+app.get('/api/conversations/:id', validateConversationParams, getConversationHandler);
+app.patch('/api/conversations/:id', validateConversationParams, validateConversationUpdate, renameConversationHandler);
+app.delete('/api/conversations/:id', validateConversationParams, deleteConversationHandler);
+
+// Answer feedback and quality analytics
+app.post('/api/messages/:id/feedback', validateMessageParams, validateFeedbackRequest, submitFeedbackHandler);
+app.get('/api/feedback/analytics', getFeedbackAnalyticsHandler);
 
 // Vector store management endpoints (with validation)
 app.post('/api/documents', validateDocumentRequest, addDocumentHandler);
 app.get('/api/documents', getAllDocumentsHandler);
+app.delete('/api/documents', validateDocumentFilterDelete, deleteDocumentsByFilterHandler);
+app.get('/api/documents/:id', validateDocumentParams, getDocumentHandler);
+app.put('/api/documents/:id', validateDocumentParams, validateDocumentRequest, replaceDocumentHandler);
+app.patch('/api/documents/:id', validateDocumentParams, validateDocumentPatch, patchDocumentHandler);
+app.delete('/api/documents/:id', validateDocumentParams, deleteDocumentHandler);
 
 // Error handler middleware (must be last)
 app.use(errorHandler);
@@ -59,8 +155,26 @@ app.listen(PORT, () => {
   logger.info('API Endpoints:');
   logger.info('  POST /api/chat - Chat with AI (non-streaming)');
   logger.info('  POST /api/chat/stream - Chat with AI (streaming)');
+  logger.info('  GET /api/chat/stream/:streamId - Resume a streaming response (Last-Event-ID)');
+  logger.info('  POST /api/chat/stream/:streamId/cancel - Stop a streaming response');
+  logger.info('  GET /api/personas - List answer personas');
+  logger.info('  DELETE /api/answer-cache - Clear cached answers');
+  logger.info('  GET /api/conversations - List conversations');
+  logger.info('  GET /api/conversations/:id - Get conversation with messages');
+  logger.info('  PATCH /api/conversations/:id - Rename conversation');
+  logger.info('  DELETE /api/conversations/:id - Delete conversation');
+  logger.info('  POST /api/messages/:id/feedback - Rate an answer');
+  logger.info('  GET /api/feedback/analytics - Answer satisfaction analytics');
   logger.info('  POST /api/documents - Add document to vector store');
   logger.info('  GET /api/documents - List all documents');
+  logger.info('  DELETE /api/documents - Delete documents matching a metadata filter');
+  logger.info('  GET /api/documents/:id - Get a document');
+  logger.info('  PUT /api/documents/:id - Replace a document (re-embedded)');
+  logger.info('  PATCH /api/documents/:id - Update a document (re-embedded only if content changes)');
+  logger.info('  DELETE /api/documents/:id - Delete a document');
+  logger.info('  GET /api/metrics/latency - Chat pipeline latency percentiles');
+  logger.info('  GET /api/metrics/providers - LLM fallback chain and circuit breaker state');
+  logger.info('  GET /api/usage - Token usage and cost');
   logger.info('  GET /health - Health check');
 });
 
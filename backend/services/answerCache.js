@@ -0,0 +1,179 @@
+/**
+ * Answer Cache Service
+ *
+ * Reuses answers to questions that were asked before, so repeated questions
+ * ("what's trending in DeFi") skip retrieval and generation. A question hits
+ * the cache when a stored question is semantically close enough (cosine
+ * similarity of their embeddings) and was asked with the same filters,
+ * persona, locale and response format.
+ *
+ * Answers built on live market data expire after WEB3_CACHE_TTL, like the
+ * market data itself; other answers live for ANSWER_CACHE_TTL_MS.
+ *
+ * Configuration:
+ *   ANSWER_CACHE_ENABLED=true            Set to false to turn the cache off
+ *   ANSWER_CACHE_MIN_SIMILARITY=0.95     How close a question must be to reuse an answer
+ *   ANSWER_CACHE_TTL_MS=86400000         Lifetime of answers without live data (24h)
+ */
+
+import { pool } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Whether the answer cache is turned on
+ *
+ * @returns {boolean}
+ */
+export function answerCacheEnabled() {
+  return process.env.ANSWER_CACHE_ENABLED !== 'false';
+}
+
+/**
+ * Canonical form of a value: object keys and array items sorted, so the same
+ * filters always produce the same key regardless of order
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize).sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonicalize(value[key])]));
+  }
+  return value;
+}
+
+/**
+ * Builds the exact-match part of the cache key
+ *
+ * @param {object} scope
+ * @param {object} scope.filters - Metadata filters of the request
+ * @param {string} scope.persona - Persona ID
+ * @param {string|null} scope.locale - User locale
+ * @param {object|null} scope.responseFormat - JSON schema of a structured answer
+ * @returns {string}
+ */
+export function getCacheKey({ filters = {}, persona, locale, responseFormat }) {
+  return JSON.stringify(canonicalize({
+    filters,
+    persona,
+    locale: locale || null,
+    // Only part of the key when set, so plain answers keep their existing keys
+    ...(responseFormat ? { responseFormat } : {})
+  }));
+}
+
+/**
+ * Finds a cached answer for a question
+ *
+ * @param {number[]} embedding - Embedding of the question
+ * @param {string} cacheKey - From getCacheKey()
+ * @returns {Promise<object|null>} - { id, question, content, citations, toolCalls, provider, model, similarity, createdAt } or null
+ */
+export async function lookupAnswer(embedding, cacheKey) {
+  const minSimilarity = parseFloat(process.env.ANSWER_CACHE_MIN_SIMILARITY || '0.95');
+
+  try {
+    const result = await pool.query(
+      `
+        SELECT
+          id, question, content, citations, tool_calls, provider, model, created_at,
+          1 - (embedding <=> $1::vector) AS similarity
+        FROM answer_cache
+        WHERE cache_key = $2
+          AND expires_at > NOW()
+        ORDER BY embedding <=> $1::vector, created_at DESC
+        LIMIT 1
+      `,
+      [`[${embedding.join(',')}]`, cacheKey]
+    );
+
+    const row = result.rows[0];
+    if (!row || parseFloat(row.similarity) < minSimilarity) {
+      return null;
+    }
+
+    // Hit counts are informational; don't hold the answer up for them
+    pool.query('UPDATE answer_cache SET hit_count = hit_count + 1 WHERE id = $1', [row.id])
+      .catch(error => logger.error('Error counting answer cache hit:', error.message));
+
+    return {
+      id: row.id,
+      question: row.question,
+      content: row.content,
+      citations: row.citations || [],
+      toolCalls: row.tool_calls || [],
+      provider: row.provider,
+      model: row.model,
+      similarity: parseFloat(row.similarity),
+      createdAt: row.created_at
+    };
+  } catch (error) {
+    logger.error('Error looking up answer cache:', error);
+    throw error;
+  }
+}
+
+/**
+ * Stores an answer
+ * Expired entries are removed at the same time.
+ *
+ * @param {object} answer
+ * @param {string} answer.cacheKey - From getCacheKey()
+ * @param {string} answer.question
+ * @param {number[]} answer.embedding - Embedding of the question
+ * @param {string} answer.content
+ * @param {Array} answer.citations
+ * @param {Array} answer.toolCalls
+ * @param {string} answer.provider
+ * @param {string} answer.model
+ * @param {boolean} answer.usesLiveData - Whether live market data went into the answer
+ * @returns {Promise<number>} - ID of the cache entry
+ */
+export async function storeAnswer(answer) {
+  const ttlMs = answer.usesLiveData
+    ? parseInt(process.env.WEB3_CACHE_TTL || '60000')
+    : parseInt(process.env.ANSWER_CACHE_TTL_MS || '86400000');
+
+  try {
+    await pool.query('DELETE FROM answer_cache WHERE expires_at <= NOW()');
+    const result = await pool.query(
+      `
+        INSERT INTO answer_cache
+          (cache_key, question, embedding, content, citations, tool_calls, provider, model, uses_live_data, expires_at)
+        VALUES ($1, $2, $3::vector, $4, $5, $6, $7, $8, $9, NOW() + $10 * INTERVAL '1 millisecond')
+        RETURNING id
+      `,
+      [
+        answer.cacheKey,
+        answer.question,
+        `[${answer.embedding.join(',')}]`,
+        answer.content,
+        JSON.stringify(answer.citations || []),
+        JSON.stringify(answer.toolCalls || []),
+        answer.provider || null,
+        answer.model || null,
+        !!answer.usesLiveData,
+        ttlMs
+      ]
+    );
+    return result.rows[0].id;
+  } catch (error) {
+    logger.error('Error storing answer in cache:', error);
+    throw error;
+  }
+}
+
+/**
+ * Removes every cached answer (e.g. after the knowledge base changed)
+ *
+ * @returns {Promise<number>} - Number of entries removed
+ */
+export async function clearAnswerCache() {
+  try {
+    const result = await pool.query('DELETE FROM answer_cache');
+    return result.rowCount;
+  } catch (error) {
+    logger.error('Error clearing answer cache:', error);
+    throw error;
+  }
+}
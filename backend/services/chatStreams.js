@@ -0,0 +1,157 @@
+/**
+ * Chat Stream Registry
+ *
+ * Keeps track of in-flight streaming generations so they can be cancelled
+ * and resumed.
+ *
+ * How it works:
+ * - Every SSE event gets a sequential `id:` and is buffered on the stream
+ * - Connected clients (subscribers) receive events as they are published
+ * - A client that reconnects with `Last-Event-ID` gets the missed events
+ *   replayed from the buffer, then continues receiving live events
+ * - Finished streams are kept for SSE_REPLAY_WINDOW_MS so late reconnects
+ *   can still fetch the end of the answer
+ *
+ * Each stream owns an AbortController whose signal is threaded through to the
+ * upstream LLM fetch. If every client disconnects and nobody reconnects within
+ * SSE_RECONNECT_GRACE_MS, generation is aborted so we stop paying for tokens.
+ */
+
+import { randomUUID } from 'crypto';
+import { logger } from '../utils/logger.js';
+
+const REPLAY_WINDOW_MS = parseInt(process.env.SSE_REPLAY_WINDOW_MS || '60000'); // Default: 1 minute
+const RECONNECT_GRACE_MS = parseInt(process.env.SSE_RECONNECT_GRACE_MS || '15000'); // Default: 15 seconds
+
+// Streams by ID (active, or finished but still inside the replay window)
+const streams = new Map();
+
+/**
+ * Writes one event in SSE wire format
+ */
+function writeEvent(res, { id, event, data }) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Registers a new in-flight stream
+ *
+ * @returns {{id: string, controller: AbortController, signal: AbortSignal}}
+ */
+export function registerChatStream() {
+  const controller = new AbortController();
+  const stream = {
+    id: randomUUID(),
+    controller,
+    signal: controller.signal,
+    events: [],
+    subscribers: new Set(),
+    finished: false,
+    abortTimer: null
+  };
+  streams.set(stream.id, stream);
+  return stream;
+}
+
+/**
+ * Gets a stream by ID
+ *
+ * @returns {object|undefined}
+ */
+export function getChatStream(id) {
+  return streams.get(id);
+}
+
+/**
+ * Numbers, buffers and broadcasts an event to every connected client
+ */
+export function publishEvent(stream, event, data) {
+  const entry = { id: stream.events.length + 1, event, data };
+  stream.events.push(entry);
+  for (const res of stream.subscribers) {
+    writeEvent(res, entry);
+  }
+}
+
+/**
+ * Attaches a client response to a stream
+ * Replays buffered events newer than `lastEventId`, then delivers live events.
+ *
+ * @param {object} stream - The stream to follow
+ * @param {object} res - Express response with SSE headers already set
+ * @param {number} lastEventId - ID of the last event the client received (0 for none)
+ */
+export function subscribe(stream, res, lastEventId = 0) {
+  for (const entry of stream.events) {
+    if (entry.id > lastEventId) {
+      writeEvent(res, entry);
+    }
+  }
+
+  if (stream.finished) {
+    res.end();
+    return;
+  }
+
+  if (stream.abortTimer) {
+    clearTimeout(stream.abortTimer);
+    stream.abortTimer = null;
+  }
+
+  stream.subscribers.add(res);
+  res.on('close', () => {
+    stream.subscribers.delete(res);
+    if (stream.finished || stream.subscribers.size > 0) {
+      return;
+    }
+
+    // Give the client a chance to reconnect before aborting generation
+    stream.abortTimer = setTimeout(() => {
+      stream.abortTimer = null;
+      if (!stream.finished && stream.subscribers.size === 0) {
+        cancelChatStream(stream.id, 'client disconnected');
+      }
+    }, RECONNECT_GRACE_MS);
+  });
+}
+
+/**
+ * Marks a stream as complete and closes every client connection
+ * The buffer is kept for the replay window, then discarded.
+ */
+export function finishChatStream(stream) {
+  stream.finished = true;
+  if (stream.abortTimer) {
+    clearTimeout(stream.abortTimer);
+    stream.abortTimer = null;
+  }
+  for (const res of stream.subscribers) {
+    res.end();
+  }
+  stream.subscribers.clear();
+
+  setTimeout(() => streams.delete(stream.id), REPLAY_WINDOW_MS).unref();
+}
+
+/**
+ * Cancels an in-flight stream
+ *
+ * @param {string} id - Stream ID (sent to the client in the `start` event)
+ * @param {string} reason - Why the stream was cancelled (for logging)
+ * @returns {boolean} - False if no such stream is running
+ */
+export function cancelChatStream(id, reason = 'cancelled by user') {
+  const stream = streams.get(id);
+  if (!stream || stream.finished) {
+    return false;
+  }
+
+  if (!stream.signal.aborted) {
+    logger.info(`Cancelling stream ${id}: ${reason}`);
+    stream.controller.abort();
+  }
+  return true;
+}
@@ -0,0 +1,193 @@
+/**
+ * Chunking Service
+ *
+ * Splits long documents into chunks that are embedded and retrieved on their
+ * own, so a long report gets one focused vector per passage instead of one
+ * diluted vector, and only the matching passages go into the prompt.
+ *
+ * Strategies (CHUNK_STRATEGY, or `chunking.strategy` per document):
+ *   paragraph  Packs whole paragraphs (separated by blank lines) up to the chunk size (default)
+ *   heading    Starts a new chunk at every Markdown heading; long sections are
+ *              packed by paragraph, and their later chunks repeat the heading
+ *   tokens     Fixed windows of the chunk size, cut at whitespace
+ *
+ * A paragraph longer than the chunk size is cut like the tokens strategy.
+ * Each chunk also repeats the last ~CHUNK_OVERLAP_TOKENS of the chunk before
+ * it (within the same section), so a sentence cut at a boundary appears whole
+ * in one of them. Documents that fit in one chunk are stored whole.
+ *
+ * Every chunk records its character range in the document, which is how
+ * neighbouring chunks are merged back into one passage at search time.
+ * Tokens are estimated at ~4 characters each, as in contextBudget.js.
+ *
+ * Configuration:
+ *   CHUNK_STRATEGY=paragraph       paragraph, heading or tokens
+ *   CHUNK_SIZE_TOKENS=500          Chunk size, before the overlap
+ *   CHUNK_OVERLAP_TOKENS=50        Text repeated from the previous chunk (at most half the size)
+ */
+
+const STRATEGIES = ['paragraph', 'heading', 'tokens'];
+const CHARS_PER_TOKEN = 4;
+const HEADING = /^#{1,6}[ \t]+\S.*$/gm;
+
+/**
+ * Valid chunking strategies
+ *
+ * @returns {string[]}
+ */
+export function listChunkStrategies() {
+  return [...STRATEGIES];
+}
+
+/**
+ * Chunking settings: per-document overrides over the environment
+ *
+ * @param {object} overrides - { strategy, size, overlap } (size and overlap in tokens)
+ * @returns {{strategy: string, sizeTokens: number, overlapTokens: number}}
+ */
+export function getChunkingOptions(overrides = {}) {
+  const strategy = (overrides.strategy || process.env.CHUNK_STRATEGY || 'paragraph').toLowerCase();
+  return {
+    strategy: STRATEGIES.includes(strategy) ? strategy : 'paragraph',
+    sizeTokens: overrides.size ?? parseInt(process.env.CHUNK_SIZE_TOKENS || '500'),
+    overlapTokens: overrides.overlap ?? parseInt(process.env.CHUNK_OVERLAP_TOKENS || '50')
+  };
+}
+
+/**
+ * Ranges of text between blank lines
+ */
+function paragraphSpans(text, start, end) {
+  const spans = [];
+  const separator = /\n[ \t]*\n/g;
+  separator.lastIndex = start;
+  let from = start;
+  let match;
+  while ((match = separator.exec(text)) && match.index < end) {
+    if (match.index > from) spans.push([from, match.index]);
+    from = match.index + match[0].length;
+  }
+  if (end > from) spans.push([from, end]);
+  return spans;
+}
+
+/**
+ * Cuts a range into pieces of at most maxChars, at whitespace when there is
+ * some in the second half of the piece
+ */
+function windowSpans(text, start, end, maxChars) {
+  const spans = [];
+  let from = start;
+  while (end - from > maxChars) {
+    const piece = text.slice(from, from + maxChars);
+    const space = Math.max(piece.lastIndexOf(' '), piece.lastIndexOf('\n'));
+    const cut = space > maxChars / 2 ? from + space : from + maxChars;
+    spans.push([from, cut]);
+    from = cut;
+  }
+  spans.push([from, end]);
+  return spans;
+}
+
+/**
+ * Packs consecutive ranges into chunks of at most maxChars
+ */
+function packSpans(text, units, maxChars) {
+  const chunks = [];
+  let current = null;
+  for (const [start, end] of units) {
+    if (current && end - current[0] <= maxChars) {
+      current[1] = end;
+      continue;
+    }
+    if (end - start > maxChars) {
+      // Whatever was packed so far (e.g. a heading) leads into the first window
+      chunks.push(...windowSpans(text, current ? current[0] : start, end, maxChars));
+      current = null;
+    } else {
+      if (current) chunks.push(current);
+      current = [start, end];
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Moves each chunk's start back into the previous chunk by up to
+ * overlapChars, starting at a word boundary and never before `floor`
+ */
+function addOverlap(text, spans, overlapChars, floor) {
+  return spans.map(([start, end], i) => {
+    if (i === 0 || overlapChars <= 0) return [start, end];
+    let from = Math.max(spans[i - 1][0], floor, start - overlapChars);
+    if (from > 0 && !/\s/.test(text[from - 1])) {
+      const space = text.slice(from, start).search(/\s/);
+      from = space >= 0 ? from + space + 1 : start;
+    }
+    return [from, end];
+  });
+}
+
+/**
+ * Sections of a Markdown document, each starting at a heading (the first may not)
+ */
+function headingSections(text) {
+  const starts = [0];
+  for (const match of text.matchAll(HEADING)) {
+    if (match.index > 0) starts.push(match.index);
+  }
+  return starts.map((start, i) => {
+    const end = starts[i + 1] ?? text.length;
+    const firstLine = text.slice(start, end).split('\n', 1)[0];
+    return { start, end, heading: /^#{1,6}[ \t]+\S/.test(firstLine) ? firstLine.trim() : null };
+  });
+}
+
+function trimSpan(text, [start, end]) {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return [start, end];
+}
+
+/**
+ * Splits a document into chunks
+ *
+ * @param {string} text - Document content
+ * @param {object} overrides - { strategy, size, overlap }, see getChunkingOptions()
+ * @returns {Array<{index: number, content: string, start: number, end: number}>} - start/end
+ *   are the chunk's character range in `text`; content may also carry its section heading
+ */
+export function chunkText(text, overrides = {}) {
+  const { strategy, sizeTokens, overlapTokens } = getChunkingOptions(overrides);
+  const maxChars = Math.max(1, sizeTokens) * CHARS_PER_TOKEN;
+  const overlapChars = Math.max(0, Math.min(overlapTokens, sizeTokens / 2)) * CHARS_PER_TOKEN;
+
+  let sections;
+  if (text.length <= maxChars) {
+    sections = [{ start: 0, heading: null, spans: [[0, text.length]] }];
+  } else if (strategy === 'heading') {
+    sections = headingSections(text).map(section => ({
+      ...section,
+      spans: addOverlap(text, packSpans(text, paragraphSpans(text, section.start, section.end), maxChars), overlapChars, section.start)
+    }));
+  } else {
+    const spans = strategy === 'tokens'
+      ? windowSpans(text, 0, text.length, maxChars)
+      : packSpans(text, paragraphSpans(text, 0, text.length), maxChars);
+    sections = [{ start: 0, heading: null, spans: addOverlap(text, spans, overlapChars, 0) }];
+  }
+
+  const chunks = [];
+  for (const section of sections) {
+    for (const span of section.spans) {
+      const [start, end] = trimSpan(text, span);
+      if (start === end) continue;
+      const content = text.slice(start, end);
+      // Later chunks of a section would otherwise lose what they are about
+      const withHeading = section.heading && start > section.start ? `${section.heading}\n\n${content}` : content;
+      chunks.push({ index: chunks.length, content: withHeading, start, end });
+    }
+  }
+  return chunks;
+}
@@ -0,0 +1,157 @@
+/**
+ * Context Budget Service
+ *
+ * Keeps the sources put into a prompt within a token budget, so one long
+ * document cannot push the prompt past the model's context window (or leave
+ * no room for the answer).
+ *
+ * The budget is the model's context window (config/models.json
+ * `contextWindow`) minus the answer's max tokens and the rest of the prompt
+ * (system prompt, history, question), capped at CONTEXT_MAX_TOKENS. Sources
+ * are admitted in priority order: live data first (small and current), then
+ * documents by search rank. The first source that does not fit is truncated
+ * (or summarized, with CONTEXT_OVERFLOW=summarize) to the space left, as long
+ * as at least CONTEXT_MIN_CHUNK_TOKENS remain; everything after it is dropped.
+ *
+ * Tokens are estimated at ~4 characters per token, which is close enough for
+ * budgeting across providers without shipping every tokenizer.
+ *
+ * Configuration:
+ *   CONTEXT_MAX_TOKENS=6000          Upper limit for sources, whatever the window
+ *   CONTEXT_DEFAULT_WINDOW=8192      Window of models without a contextWindow entry
+ *   CONTEXT_OVERFLOW=truncate        truncate or summarize (one extra LLM call per source)
+ *   CONTEXT_MIN_CHUNK_TOKENS=100     Smallest useful remainder of a cut source
+ */
+
+import { getModelConfig } from '../config/models.js';
+
+// Markup around each source block and slack for estimation error
+const BLOCK_OVERHEAD_TOKENS = 20;
+const SAFETY_MARGIN_TOKENS = 200;
+
+/**
+ * Rough token count of a text
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Context window of a model
+ *
+ * @param {string} model
+ * @returns {number}
+ */
+export function getContextWindow(model) {
+  return getModelConfig(model)?.contextWindow || parseInt(process.env.CONTEXT_DEFAULT_WINDOW || '8192');
+}
+
+/**
+ * Token budget left for sources
+ *
+ * @param {object} limits
+ * @param {string} limits.model - Model that will answer
+ * @param {number} limits.maxOutputTokens - Tokens reserved for the answer
+ * @param {number} limits.promptTokens - Everything else in the prompt (system, history, question)
+ * @returns {{contextWindow: number, limitTokens: number}}
+ */
+export function getSourceBudget({ model, maxOutputTokens = 1000, promptTokens = 0 }) {
+  const contextWindow = getContextWindow(model);
+  const available = contextWindow - maxOutputTokens - promptTokens - SAFETY_MARGIN_TOKENS;
+  const cap = parseInt(process.env.CONTEXT_MAX_TOKENS || '6000');
+  return { contextWindow, limitTokens: Math.max(0, Math.min(cap, available)) };
+}
+
+/**
+ * Cuts a text to about `maxTokens`, at a paragraph or sentence end when one
+ * is close to the limit
+ *
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string}
+ */
+export function truncateToTokens(text, maxTokens) {
+  const marker = ' …[truncated]';
+  const maxChars = Math.max(0, maxTokens * 4 - marker.length);
+  if (text.length <= maxChars) {
+    return text;
+  }
+
+  const cut = text.slice(0, maxChars);
+  const boundary = Math.max(cut.lastIndexOf('\n\n'), cut.lastIndexOf('. '), cut.lastIndexOf('.\n'));
+  // Only back up to a boundary if that keeps most of the text
+  const end = boundary > maxChars * 0.8 ? boundary + 1 : maxChars;
+  return `${cut.slice(0, end).trimEnd()}${marker}`;
+}
+
+/**
+ * Creates a budget that sources are admitted into one at a time
+ * The report lists every source offered, so dropped and cut ones can be shown
+ * in debug output. The same budget keeps admitting tool results during
+ * generation.
+ *
+ * @param {object} options
+ * @param {number} options.limitTokens - From getSourceBudget()
+ * @param {number} options.contextWindow
+ * @param {string} options.model
+ * @param {Function} options.summarize - async (text, maxTokens) => summary; used with CONTEXT_OVERFLOW=summarize
+ * @returns {{admit: Function, report: object}}
+ */
+export function createContextBudget({ limitTokens, contextWindow, model, summarize }) {
+  const overflow = process.env.CONTEXT_OVERFLOW === 'summarize' && summarize ? 'summarize' : 'truncate';
+  const minChunkTokens = parseInt(process.env.CONTEXT_MIN_CHUNK_TOKENS || '100');
+  const report = { model, contextWindow, limitTokens, usedTokens: 0, sources: [] };
+
+  /**
+   * Fits one source into what is left of the budget
+   *
+   * @param {object} source
+   * @param {string} source.type - 'document' or 'live'
+   * @param {string} source.title
+   * @param {string} source.content
+   * @param {number|null} source.documentId
+   * @param {number|null} source.similarity
+   * @returns {Promise<string|null>} - The content to use (possibly cut), or null if dropped
+   */
+  async function admit({ type, title, content, documentId = null, similarity = null }) {
+    const tokens = estimateTokens(content) + estimateTokens(title) + BLOCK_OVERHEAD_TOKENS;
+    const remaining = limitTokens - report.usedTokens;
+    const entry = { type, documentId, title, similarity, tokens, status: 'included' };
+    report.sources.push(entry);
+
+    if (tokens <= remaining) {
+      report.usedTokens += tokens;
+      return content;
+    }
+
+    const room = remaining - estimateTokens(title) - BLOCK_OVERHEAD_TOKENS;
+    if (room < minChunkTokens) {
+      entry.status = 'dropped';
+      return null;
+    }
+
+    let fitted = null;
+    if (overflow === 'summarize') {
+      try {
+        fitted = truncateToTokens(await summarize(content, room), room);
+        entry.status = 'summarized';
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        entry.summaryError = error.message;
+      }
+    }
+    if (fitted === null) {
+      fitted = truncateToTokens(content, room);
+      entry.status = 'truncated';
+    }
+
+    entry.keptTokens = estimateTokens(fitted) + estimateTokens(title) + BLOCK_OVERHEAD_TOKENS;
+    report.usedTokens += entry.keptTokens;
+    return fitted;
+  }
+
+  return { admit, report };
+}
@@ -0,0 +1,244 @@
+/**
+ * Conversation Service
+ *
+ * Persists chat turns in PostgreSQL so follow-up questions can be answered
+ * with the context of the earlier conversation.
+ *
+ * Core operations:
+ * 1. createConversation() - Start a new conversation thread
+ * 2. addMessage() - Store a user or assistant turn
+ * 3. getRecentMessages() - Load the latest turns to replay to the LLM
+ * 4. listConversations() / renameConversation() / deleteConversation() - Manage threads
+ */
+
+import { pool } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Creates a new conversation
+ *
+ * @param {string} title - Optional title (usually derived from the first message)
+ * @returns {Promise<{id: number, title: string, created_at: Date, updated_at: Date}>}
+ */
+export async function createConversation(title = null) {
+  try {
+    const result = await pool.query(
+      'INSERT INTO conversations (title) VALUES ($1) RETURNING id, title, created_at, updated_at',
+      [title]
+    );
+    logger.debug(`Conversation created with ID: ${result.rows[0].id}`);
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating conversation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Gets a conversation by ID
+ *
+ * @param {number} id - Conversation ID
+ * @returns {Promise<object|null>} - The conversation, or null if it does not exist
+ */
+export async function getConversation(id) {
+  try {
+    const result = await pool.query(
+      'SELECT id, title, created_at, updated_at FROM conversations WHERE id = $1',
+      [id]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error getting conversation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Stores a single turn in a conversation
+ *
+ * @param {number} conversationId - Conversation ID
+ * @param {'user'|'assistant'} role - Who produced the turn
+ * @param {string} content - The text of the turn
+ * @param {object} details - Extra data stored with an assistant turn
+ * @param {Array} details.sources - Sources returned with the answer
+ * @param {Array} details.citations - Numbered citations referenced as [n] in the answer
+ * @param {string} details.provider - LLM provider that produced the answer
+ * @param {string} details.model - LLM model that produced the answer
+ * @param {object} details.filters - Metadata filters used for retrieval
+ * @returns {Promise<number>} - The ID of the stored message
+ */
+export async function addMessage(conversationId, role, content, details = {}) {
+  const { sources = null, citations = null, provider = null, model = null, filters = null } = details;
+  try {
+    const result = await pool.query(
+      `
+        INSERT INTO conversation_messages
+          (conversation_id, role, content, sources, citations, provider, model, filters)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id
+      `,
+      [
+        conversationId,
+        role,
+        content,
+        sources ? JSON.stringify(sources) : null,
+        citations ? JSON.stringify(citations) : null,
+        provider,
+        model,
+        filters ? JSON.stringify(filters) : null
+      ]
+    );
+
+    await pool.query(
+      'UPDATE conversations SET updated_at = NOW() WHERE id = $1',
+      [conversationId]
+    );
+
+    return result.rows[0].id;
+  } catch (error) {
+    logger.error('Error adding conversation message:', error);
+    throw error;
+  }
+}
+
+/**
+ * Gets the most recent turns of a conversation, oldest first
+ *
+ * @param {number} conversationId - Conversation ID
+ * @param {number} limit - Maximum number of turns to return
+ * @returns {Promise<Array<{role: string, content: string}>>}
+ */
+export async function getRecentMessages(
+  conversationId,
+  limit = parseInt(process.env.CONVERSATION_HISTORY_LIMIT || '10')
+) {
+  try {
+    const result = await pool.query(
+      `
+        SELECT role, content FROM (
+          SELECT id, role, content
+          FROM conversation_messages
+          WHERE conversation_id = $1
+          ORDER BY id DESC
+          LIMIT $2
+        ) recent
+        ORDER BY id ASC
+      `,
+      [conversationId, limit]
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting conversation messages:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lists conversations, most recently active first
+ *
+ * @param {number} limit - Maximum number of conversations to return
+ * @returns {Promise<Array<{id: number, title: string, message_count: number, created_at: Date, updated_at: Date}>>}
+ */
+export async function listConversations(limit = 50) {
+  try {
+    const result = await pool.query(
+      `
+        SELECT
+          c.id,
+          c.title,
+          c.created_at,
+          c.updated_at,
+          COUNT(m.id)::int AS message_count
+        FROM conversations c
+        LEFT JOIN conversation_messages m ON m.conversation_id = c.id
+        GROUP BY c.id
+        ORDER BY c.updated_at DESC
+        LIMIT $1
+      `,
+      [limit]
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error listing conversations:', error);
+    throw error;
+  }
+}
+
+/**
+ * Gets every turn of a conversation, oldest first, including the sources
+ * and citations returned with each assistant turn and any feedback on it
+ *
+ * @param {number} conversationId - Conversation ID
+ * @returns {Promise<Array<{id: number, role: string, content: string, sources: Array|null, citations: Array|null, feedback: object|null, created_at: Date}>>}
+ */
+export async function getConversationMessages(conversationId) {
+  try {
+    const result = await pool.query(
+      `
+        SELECT
+          m.id,
+          m.role,
+          m.content,
+          m.sources,
+          m.citations,
+          m.created_at,
+          CASE WHEN f.id IS NULL THEN NULL
+               ELSE json_build_object('rating', f.rating, 'comment', f.comment)
+          END AS feedback
+        FROM conversation_messages m
+        LEFT JOIN message_feedback f ON f.message_id = m.id
+        WHERE m.conversation_id = $1
+        ORDER BY m.id ASC
+      `,
+      [conversationId]
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting conversation messages:', error);
+    throw error;
+  }
+}
+
+/**
+ * Renames a conversation
+ *
+ * @param {number} id - Conversation ID
+ * @param {string} title - New title
+ * @returns {Promise<object|null>} - The updated conversation, or null if it does not exist
+ */
+export async function renameConversation(id, title) {
+  try {
+    const result = await pool.query(
+      `
+        UPDATE conversations
+        SET title = $2, updated_at = NOW()
+        WHERE id = $1
+        RETURNING id, title, created_at, updated_at
+      `,
+      [id, title]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error renaming conversation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Deletes a conversation and all of its messages
+ *
+ * @param {number} id - Conversation ID
+ * @returns {Promise<number|undefined>} - The deleted ID, or undefined if it did not exist
+ */
+export async function deleteConversation(id) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM conversations WHERE id = $1 RETURNING id',
+      [id]
+    );
+    return result.rows[0]?.id;
+  } catch (error) {
+    logger.error('Error deleting conversation:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Embedding Cache Service
+ *
+ * Keeps embeddings of texts that were embedded before, so repeated questions,
+ * query variants and re-imported documents are not sent to the embedding
+ * provider again. Two tiers:
+ *
+ * 1. An in-process LRU of the most recently used embeddings
+ * 2. The embedding_cache table, shared by every server process and the
+ *    import script, so re-importing documents reuses their stored vectors
+ *
+ * Entries are keyed by provider, model, dimensions and a SHA-256 hash of the
+ * text, so switching models never returns a vector from another model.
+ * Database errors only cost a cache miss; embedding still works without the
+ * table.
+ *
+ * Configuration:
+ *   EMBEDDING_CACHE_ENABLED=true     Set to false to embed every text again
+ *   EMBEDDING_CACHE_SIZE=1000        Embeddings kept in memory
+ *   EMBEDDING_CACHE_PERSIST=true     Set to false to skip the embedding_cache table
+ */
+
+import { createHash } from 'crypto';
+import { pool } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+
+// Map iteration order is insertion order, so the first key is the least recently used
+const memory = new Map();
+
+const stats = { memoryHits: 0, databaseHits: 0, misses: 0 };
+
+/**
+ * Whether the embedding cache is turned on
+ *
+ * @returns {boolean}
+ */
+export function embeddingCacheEnabled() {
+  return process.env.EMBEDDING_CACHE_ENABLED !== 'false';
+}
+
+function persistEnabled() {
+  return process.env.EMBEDDING_CACHE_PERSIST !== 'false';
+}
+
+/**
+ * Hash of a text as stored in the cache
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function hashText(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+function memoryKey(scope, hash) {
+  return `${scope.provider}/${scope.model}/${scope.dimensions}/${hash}`;
+}
+
+function remember(key, embedding) {
+  const limit = parseInt(process.env.EMBEDDING_CACHE_SIZE || '1000');
+  memory.delete(key);
+  memory.set(key, embedding);
+  while (memory.size > Math.max(0, limit)) {
+    memory.delete(memory.keys().next().value);
+  }
+}
+
+/**
+ * Looks up cached embeddings
+ *
+ * @param {string[]} texts
+ * @param {object} scope - { provider, model, dimensions } of the configured model
+ * @returns {Promise<Array<number[]|null>>} - One entry per text, null where not cached
+ */
+export async function getCachedEmbeddings(texts, scope) {
+  const hashes = texts.map(hashText);
+  const found = hashes.map(hash => {
+    const key = memoryKey(scope, hash);
+    const embedding = memory.get(key);
+    if (embedding) {
+      remember(key, embedding);
+      stats.memoryHits++;
+    }
+    return embedding || null;
+  });
+
+  const missing = [...new Set(hashes.filter((hash, i) => !found[i]))];
+  if (missing.length > 0 && persistEnabled()) {
+    try {
+      const result = await pool.query(
+        `
+          UPDATE embedding_cache
+          SET last_used_at = NOW()
+          WHERE provider = $1 AND model = $2 AND dimensions = $3 AND text_hash = ANY($4)
+          RETURNING text_hash, embedding::text AS embedding
+        `,
+        [scope.provider, scope.model, scope.dimensions, missing]
+      );
+      const stored = new Map(result.rows.map(row => [row.text_hash, JSON.parse(row.embedding)]));
+      hashes.forEach((hash, i) => {
+        if (!found[i] && stored.has(hash)) {
+          found[i] = stored.get(hash);
+          remember(memoryKey(scope, hash), found[i]);
+          stats.databaseHits++;
+        }
+      });
+    } catch (error) {
+      logger.warn('Embedding cache lookup failed, embedding again:', error.message);
+    }
+  }
+
+  stats.misses += found.filter(embedding => !embedding).length;
+  return found;
+}
+
+/**
+ * Stores freshly computed embeddings
+ *
+ * @param {string[]} texts
+ * @param {number[][]} embeddings - Same order as texts
+ * @param {object} scope - { provider, model, dimensions }
+ */
+export async function storeEmbeddings(texts, embeddings, scope) {
+  const entries = new Map(texts.map((text, i) => [hashText(text), embeddings[i]]));
+  entries.forEach((embedding, hash) => remember(memoryKey(scope, hash), embedding));
+
+  if (!persistEnabled()) return;
+  try {
+    await pool.query(
+      `
+        INSERT INTO embedding_cache (provider, model, dimensions, text_hash, embedding)
+        SELECT $1::text, $2::text, $3::integer, entry.text_hash, entry.embedding::vector
+        FROM unnest($4::text[], $5::text[]) AS entry(text_hash, embedding)
+        ON CONFLICT (provider, model, dimensions, text_hash) DO UPDATE SET last_used_at = NOW()
+      `,
+      [
+        scope.provider,
+        scope.model,
+        scope.dimensions,
+        [...entries.keys()],
+        [...entries.values()].map(embedding => `[${embedding.join(',')}]`)
+      ]
+    );
+  } catch (error) {
+    logger.warn('Could not store embeddings in cache:', error.message);
+  }
+}
+
+/**
+ * Cache hits and misses since the process started
+ *
+ * @returns {{memoryHits: number, databaseHits: number, misses: number, size: number}}
+ */
+export function getEmbeddingCacheStats() {
+  return { ...stats, size: memory.size };
+}
@@ -0,0 +1,19 @@
+/**
+ * Embedding dimensions
+ * Shared by the embedding providers to work out the vector length of a model.
+ */
+
+import { getModelConfig } from '../../config/models.js';
+
+/**
+ * Vector length for a model: EMBEDDING_DIMENSIONS, else the model's
+ * `dimensions` entry in config/models.json
+ *
+ * @param {string} model
+ * @returns {number|null} - null if neither is set
+ */
+export function resolveDimensions(model) {
+  const configured = parseInt(process.env.EMBEDDING_DIMENSIONS);
+  if (!Number.isNaN(configured)) return configured;
+  return getModelConfig(model)?.dimensions || null;
+}
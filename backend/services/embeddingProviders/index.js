@@ -0,0 +1,72 @@
+/**
+ * Embedding Provider Registry
+ *
+ * Embeddings come from a provider chosen with EMBEDDING_PROVIDER, separately
+ * from the LLM. Every provider implements the same interface:
+ *
+ *   {
+ *     name: 'openai',
+ *     getConfig: () => ({ model, dimensions, ... }),   // read from env at call time
+ *     validateConfig: (config) => ['problem', ...],    // empty when usable
+ *     embed: async (texts, { signal }) => ({ embeddings, usage })
+ *   }
+ *
+ * `embeddings` are in the order of `texts`; `usage` is { promptTokens } or null.
+ *
+ * `dimensions` is the vector length the provider produces. It comes from
+ * EMBEDDING_DIMENSIONS, or from the model's `dimensions` entry in
+ * config/models.json, and must match the vector columns in the database
+ * (see database/setup.js, which creates them with this size).
+ */
+
+import { openaiEmbeddingProvider } from './openai.js';
+import { openaiCompatibleEmbeddingProvider } from './openaiCompatible.js';
+import { localEmbeddingProvider } from './local.js';
+import { mockEmbeddingProvider } from './mock.js';
+
+// Providers by EMBEDDING_PROVIDER name
+const providers = new Map();
+
+/**
+ * Adds a provider to the registry (replaces one with the same name)
+ */
+export function registerEmbeddingProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Gets a provider by name
+ *
+ * @param {string} name - Provider name (case-insensitive)
+ * @returns {object|undefined}
+ */
+export function getEmbeddingProvider(name) {
+  return providers.get(name?.toLowerCase());
+}
+
+/**
+ * Lists registered provider names
+ *
+ * @returns {string[]}
+ */
+export function listEmbeddingProviders() {
+  return [...providers.keys()];
+}
+
+/**
+ * Name of the configured provider
+ * Defaults to the mock provider when the LLM is mocked, so the app runs
+ * offline with LLM_PROVIDER=mock alone.
+ *
+ * @returns {string}
+ */
+export function getEmbeddingProviderName() {
+  const configured = process.env.EMBEDDING_PROVIDER?.toLowerCase();
+  if (configured) return configured;
+  return process.env.LLM_PROVIDER?.toLowerCase() === 'mock' ? 'mock' : 'openai';
+}
+
+registerEmbeddingProvider(openaiEmbeddingProvider);
+registerEmbeddingProvider(openaiCompatibleEmbeddingProvider);
+registerEmbeddingProvider(localEmbeddingProvider);
+registerEmbeddingProvider(mockEmbeddingProvider);
@@ -0,0 +1,109 @@
+/**
+ * Local Embedding Provider
+ * Runs a sentence-embedding model on the CPU in this process, so documents
+ * and questions never leave the machine and no API key is needed.
+ *
+ * Uses Transformers.js with ONNX models (e.g. Xenova/all-MiniLM-L6-v2,
+ * Xenova/bge-small-en-v1.5). The package is an optional dependency: it is
+ * installed by `pnpm install` unless optional dependencies are skipped
+ * (`--no-optional`) or fail to install on the platform.
+ *
+ * Models are read from EMBEDDING_LOCAL_MODEL_DIR (one directory per model,
+ * laid out like the Hugging Face repo, e.g.
+ * models/Xenova/all-MiniLM-L6-v2/onnx/model.onnx). Set
+ * EMBEDDING_LOCAL_ALLOW_DOWNLOAD=true to fetch a missing model from the
+ * Hugging Face Hub into that directory on first use.
+ *
+ * Configuration:
+ * - EMBEDDING_LOCAL_MODEL - Model ID (default: Xenova/all-MiniLM-L6-v2, 384 dimensions)
+ * - EMBEDDING_LOCAL_MODEL_DIR - Directory holding the models (default: backend/models)
+ * - EMBEDDING_LOCAL_ALLOW_DOWNLOAD - Download missing models (default: false)
+ * - EMBEDDING_LOCAL_BATCH_SIZE - Texts per forward pass (default: 32)
+ * - EMBEDDING_DIMENSIONS - Vector length (required unless the model is in config/models.json)
+ */
+
+import { fileURLToPath } from 'url';
+import { resolveDimensions } from './dimensions.js';
+
+const DEFAULT_MODEL_DIR = fileURLToPath(new URL('../../models/', import.meta.url));
+
+// Loaded pipelines by model ID; loading takes seconds, so it happens once
+const extractors = new Map();
+
+function getConfig() {
+  const model = process.env.EMBEDDING_LOCAL_MODEL || 'Xenova/all-MiniLM-L6-v2';
+  return {
+    model,
+    dimensions: resolveDimensions(model),
+    modelDir: process.env.EMBEDDING_LOCAL_MODEL_DIR || DEFAULT_MODEL_DIR,
+    allowDownload: process.env.EMBEDDING_LOCAL_ALLOW_DOWNLOAD === 'true',
+    batchSize: parseInt(process.env.EMBEDDING_LOCAL_BATCH_SIZE || '32')
+  };
+}
+
+/**
+ * Loads the feature-extraction pipeline for a model
+ */
+async function getExtractor(config) {
+  if (!extractors.has(config.model)) {
+    extractors.set(config.model, (async () => {
+      let transformers;
+      try {
+        transformers = await import('@huggingface/transformers');
+      } catch (error) {
+        throw new Error(
+          'EMBEDDING_PROVIDER=local needs the optional @huggingface/transformers package (run pnpm install without --no-optional)'
+        );
+      }
+      transformers.env.localModelPath = config.modelDir;
+      transformers.env.allowLocalModels = true;
+      transformers.env.allowRemoteModels = config.allowDownload;
+      transformers.env.cacheDir = config.modelDir;
+      return transformers.pipeline('feature-extraction', config.model, { device: 'cpu', dtype: 'fp32' });
+    })());
+  }
+
+  try {
+    return await extractors.get(config.model);
+  } catch (error) {
+    // Allow a retry after e.g. installing the package or the model
+    extractors.delete(config.model);
+    throw error;
+  }
+}
+
+export const localEmbeddingProvider = {
+  name: 'local',
+  getConfig,
+
+  validateConfig(config) {
+    const errors = [];
+    if (!config.dimensions) {
+      errors.push(`Unknown dimensions for local embedding model "${config.model}" (set EMBEDDING_DIMENSIONS)`);
+    }
+    if (!(config.batchSize > 0)) {
+      errors.push('EMBEDDING_LOCAL_BATCH_SIZE must be a positive number');
+    }
+    return errors;
+  },
+
+  async embed(texts, { signal } = {}) {
+    const config = getConfig();
+    const extractor = await getExtractor(config);
+    const embeddings = [];
+
+    for (let i = 0; i < texts.length; i += config.batchSize) {
+      // Inference cannot be interrupted, but later batches are skipped
+      signal?.throwIfAborted();
+      const batch = texts.slice(i, i + config.batchSize);
+      const output = await extractor(batch, { pooling: 'mean', normalize: true });
+      embeddings.push(...output.tolist());
+    }
+
+    return {
+      embeddings,
+      // Nothing is billed; the estimate keeps usage reports comparable
+      usage: { promptTokens: texts.reduce((sum, text) => sum + Math.ceil(text.length / 4), 0) }
+    };
+  }
+};
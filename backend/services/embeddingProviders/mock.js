@@ -0,0 +1,33 @@
+/**
+ * Mock Embedding Provider
+ * Deterministic feature-hashed embeddings (see providers/mock.js), so vector
+ * search works offline without an API key.
+ */
+
+import { getMockEmbedding, MOCK_EMBEDDING_DIMENSIONS } from '../providers/mock.js';
+import { resolveDimensions } from './dimensions.js';
+
+function getConfig() {
+  return {
+    model: 'mock-embedding',
+    dimensions: resolveDimensions('mock-embedding') || MOCK_EMBEDDING_DIMENSIONS
+  };
+}
+
+export const mockEmbeddingProvider = {
+  name: 'mock',
+  getConfig,
+
+  validateConfig() {
+    return [];
+  },
+
+  async embed(texts, { signal } = {}) {
+    signal?.throwIfAborted();
+    const { dimensions } = getConfig();
+    return {
+      embeddings: texts.map(text => getMockEmbedding(text, dimensions)),
+      usage: { promptTokens: texts.reduce((sum, text) => sum + Math.ceil(text.length / 4), 0) }
+    };
+  }
+};
@@ -0,0 +1,39 @@
+/**
+ * OpenAI Embedding Provider
+ * Embeddings API against api.openai.com
+ *
+ * text-embedding-3 models can return shorter vectors; with EMBEDDING_DIMENSIONS
+ * set they are asked for that size.
+ */
+
+import { createOpenAICompatibleEmbeddingProvider } from './openaiCompatible.js';
+import { resolveDimensions } from './dimensions.js';
+
+const OPENAI_API_URL = 'https://api.openai.com/v1';
+
+export const openaiEmbeddingProvider = createOpenAICompatibleEmbeddingProvider({
+  name: 'openai',
+  label: 'OpenAI',
+
+  getConfig() {
+    const model = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+    return {
+      baseUrl: OPENAI_API_URL,
+      apiKey: process.env.OPENAI_API_KEY,
+      model,
+      dimensions: resolveDimensions(model),
+      sendDimensions: model.startsWith('text-embedding-3') && !!process.env.EMBEDDING_DIMENSIONS
+    };
+  },
+
+  validateConfig(config) {
+    const errors = [];
+    if (!config.apiKey) {
+      errors.push('API key not found for embedding provider "openai" (set OPENAI_API_KEY)');
+    }
+    if (!config.dimensions) {
+      errors.push(`Unknown dimensions for embedding model "${config.model}" (set EMBEDDING_DIMENSIONS)`);
+    }
+    return errors;
+  }
+});
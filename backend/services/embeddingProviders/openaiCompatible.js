@@ -0,0 +1,84 @@
+/**
+ * OpenAI-compatible Embedding Provider
+ * Talks to any server implementing the OpenAI embeddings API (vLLM, LM
+ * Studio, llama.cpp server, Ollama's /v1, LiteLLM, text-embeddings-inference, ...).
+ *
+ * Configuration:
+ * - EMBEDDING_BASE_URL - API root, e.g. http://localhost:8080/v1 (required)
+ * - EMBEDDING_MODEL - Model name the server expects (required)
+ * - EMBEDDING_API_KEY - Sent as a bearer token when set
+ * - EMBEDDING_DIMENSIONS - Vector length the model produces (required unless in config/models.json)
+ */
+
+import { postJSON, isValidBaseUrl } from '../providers/http.js';
+import { resolveDimensions } from './dimensions.js';
+
+/**
+ * Creates a provider for an OpenAI-style embeddings endpoint
+ * Also used by the OpenAI provider itself, which only differs in defaults.
+ *
+ * @param {object} definition
+ * @param {string} definition.name - Registry name (value of EMBEDDING_PROVIDER)
+ * @param {string} definition.label - Human-readable name used in error messages
+ * @param {Function} definition.getConfig - Returns { baseUrl, apiKey, model, dimensions, sendDimensions }
+ * @param {Function} definition.validateConfig - Returns a list of configuration problems
+ */
+export function createOpenAICompatibleEmbeddingProvider({ name, label, getConfig, validateConfig }) {
+  return {
+    name,
+    getConfig,
+    validateConfig,
+
+    async embed(texts, { signal } = {}) {
+      const config = getConfig();
+      const response = await postJSON(`${config.baseUrl.replace(/\/+$/, '')}/embeddings`, {
+        label,
+        signal,
+        headers: config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {},
+        body: {
+          model: config.model,
+          input: texts,
+          // Models that can shorten their vectors are asked for the configured size
+          ...(config.sendDimensions && config.dimensions ? { dimensions: config.dimensions } : {})
+        }
+      });
+      const data = await response.json();
+      return {
+        embeddings: [...data.data].sort((a, b) => a.index - b.index).map(item => item.embedding),
+        usage: data.usage ? { promptTokens: data.usage.prompt_tokens || 0 } : null
+      };
+    }
+  };
+}
+
+export const openaiCompatibleEmbeddingProvider = createOpenAICompatibleEmbeddingProvider({
+  name: 'openai-compatible',
+  label: 'OpenAI-compatible embeddings',
+
+  getConfig() {
+    const model = process.env.EMBEDDING_MODEL;
+    return {
+      baseUrl: process.env.EMBEDDING_BASE_URL,
+      apiKey: process.env.EMBEDDING_API_KEY,
+      model,
+      dimensions: resolveDimensions(model),
+      sendDimensions: false
+    };
+  },
+
+  validateConfig(config) {
+    const errors = [];
+    if (!config.baseUrl) {
+      errors.push('EMBEDDING_BASE_URL is required for the "openai-compatible" embedding provider');
+    } else if (!isValidBaseUrl(config.baseUrl)) {
+      errors.push(`EMBEDDING_BASE_URL must be an http(s) URL, got: ${config.baseUrl}`);
+    }
+    if (!config.model) {
+      errors.push('EMBEDDING_MODEL is required for the "openai-compatible" embedding provider');
+    }
+    if (!config.dimensions) {
+      errors.push('EMBEDDING_DIMENSIONS is required for the "openai-compatible" embedding provider');
+    }
+    return errors;
+  }
+});
@@ -1,56 +1,112 @@
 /**
  * Embedding Service
- * 
- * This service converts text into vector embeddings using OpenAI's API.
- * 
+ *
+ * This service converts text into vector embeddings.
+ *
  * How it works:
  * 1. Takes text as input
- * 2. Sends it to OpenAI's embedding API
- * 3. Returns a vector (array of 1536 numbers)
+ * 2. Sends it to the configured embedding provider (EMBEDDING_PROVIDER)
+ * 3. Returns a vector (array of `dimensions` numbers, e.g. 1536 for OpenAI)
  * 4. Similar texts will have similar vectors (cosine similarity)
+ *
+ * Providers live in services/embeddingProviders/: OpenAI, any
+ * OpenAI-compatible server, a local on-disk model, and the offline mock
+ * (the default with LLM_PROVIDER=mock).
+ *
+ * Texts embedded before are served from the embedding cache
+ * (embeddingCache.js) instead of calling the provider again.
  */
 
 import { logger } from '../utils/logger.js';
+import { recordUsage } from './usage.js';
+import { getEmbeddingProvider, getEmbeddingProviderName } from './embeddingProviders/index.js';
+import { embeddingCacheEnabled, getCachedEmbeddings, storeEmbeddings } from './embeddingCache.js';
 
-const OPENAI_EMBEDDING_URL = 'https://api.openai.com/v1/embeddings';
+/**
+ * Gets the configured provider and its settings
+ */
+function getConfiguredProvider() {
+  const name = getEmbeddingProviderName();
+  const provider = getEmbeddingProvider(name);
+  if (!provider) {
+    throw new Error(`Unknown EMBEDDING_PROVIDER "${name}"`);
+  }
+  const config = provider.getConfig();
+  const errors = provider.validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  return { provider, config };
+}
+
+/**
+ * Describes the configured embedding model
+ * The vector columns in the database must have `dimensions` (see
+ * vectorStore.checkEmbeddingDimensions()).
+ *
+ * @returns {{provider: string, model: string, dimensions: number}}
+ */
+export function getEmbeddingInfo() {
+  const { provider, config } = getConfiguredProvider();
+  return { provider: provider.name, model: config.model, dimensions: config.dimensions };
+}
+
+/**
+ * Embeds texts with the configured provider, recording usage
+ */
+async function embedWithProvider(provider, config, texts, options) {
+  const { embeddings, usage } = await provider.embed(texts, { signal: options.signal });
+  recordUsage({ type: 'embedding', provider: provider.name, model: config.model, promptTokens: usage?.promptTokens });
+
+  const wrongSize = embeddings.find(embedding => embedding.length !== config.dimensions);
+  if (embeddings.length !== texts.length || wrongSize) {
+    throw new Error(
+      `Embedding model "${config.model}" returned ${embeddings.length} vectors of ${wrongSize?.length ?? config.dimensions} ` +
+      `dimensions, expected ${texts.length} of ${config.dimensions} (check EMBEDDING_DIMENSIONS)`
+    );
+  }
+  return embeddings;
+}
+
+/**
+ * Embeds texts, taking what it can from the embedding cache
+ * Only texts missing from the cache are sent to the provider, each once,
+ * in a single batch.
+ */
+async function embedTexts(texts, options) {
+  const { provider, config } = getConfiguredProvider();
+  const trimmed = texts.map(t => t.trim());
+  if (!embeddingCacheEnabled()) {
+    return embedWithProvider(provider, config, trimmed, options);
+  }
+
+  const scope = { provider: provider.name, model: config.model, dimensions: config.dimensions };
+  const embeddings = await getCachedEmbeddings(trimmed, scope);
+  const missing = [...new Set(trimmed.filter((text, i) => !embeddings[i]))];
+  if (missing.length === 0) {
+    return embeddings;
+  }
+
+  const computed = await embedWithProvider(provider, config, missing, options);
+  await storeEmbeddings(missing, computed, scope);
+  const byText = new Map(missing.map((text, i) => [text, computed[i]]));
+  return embeddings.map((embedding, i) => embedding || byText.get(trimmed[i]));
+}
 
 /**
  * Converts text to a vector embedding
  * @param {string} text - The text to embed
- * @returns {Promise<number[]>} - Array of 1536 numbers representing the text
+ * @param {object} options - { signal } to abort the request
+ * @returns {Promise<number[]>} - Array of numbers representing the text
  */
-export async function getEmbedding(text) {
+export async function getEmbedding(text, options = {}) {
   if (!text || text.trim().length === 0) {
     throw new Error('Text cannot be empty');
   }
 
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error('OPENAI_API_KEY not found in environment variables');
-  }
-
   try {
-    const response = await fetch(OPENAI_EMBEDDING_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
-        input: text.trim()
-      })
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`OpenAI API error: ${error.error?.message || 'Unknown error'}`);
-    }
-
-    const data = await response.json();
-    
-    // Return the embedding vector (array of 1536 numbers)
-    return data.data[0].embedding;
+    const [embedding] = await embedTexts([text], options);
+    return embedding;
   } catch (error) {
     logger.error('Error getting embedding:', error);
     throw error;
@@ -61,43 +117,18 @@ export async function getEmbedding(text) {
  * Converts multiple texts to embeddings (batch processing)
  * Useful for adding multiple documents at once
  * @param {string[]} texts - Array of texts to embed
+ * @param {object} options - { signal } to abort the request
  * @returns {Promise<number[][]>} - Array of embedding vectors
  */
-export async function getEmbeddings(texts) {
+export async function getEmbeddings(texts, options = {}) {
   if (!Array.isArray(texts) || texts.length === 0) {
     throw new Error('Texts must be a non-empty array');
   }
 
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error('OPENAI_API_KEY not found in environment variables');
-  }
-
   try {
-    const response = await fetch(OPENAI_EMBEDDING_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
-        input: texts.map(t => t.trim())
-      })
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`OpenAI API error: ${error.error?.message || 'Unknown error'}`);
-    }
-
-    const data = await response.json();
-    
-    // Return array of embedding vectors
-    return data.data.map(item => item.embedding);
+    return await embedTexts(texts, options);
   } catch (error) {
     logger.error('Error getting embeddings:', error);
     throw error;
   }
 }
-
@@ -0,0 +1,330 @@
+/**
+ * LLM Failover Service
+ *
+ * Answers a request with the first provider in the fallback chain that works:
+ *
+ *   LLM_PROVIDER (its configured model), then each LLM_FALLBACKS entry in order
+ *   e.g. LLM_FALLBACKS=anthropic,openai:gpt-4.1-mini,ollama
+ *
+ * For each entry:
+ * - Rate limits (429), server errors (5xx) and network failures are retried
+ *   with jittered exponential backoff, waiting at least as long as the
+ *   provider's Retry-After. If Retry-After is longer than LLM_RETRY_MAX_DELAY_MS
+ *   we move on to the next entry instead of waiting.
+ * - Other errors (bad request, invalid key, ...) skip straight to the next entry.
+ *
+ * A circuit breaker per entry stops sending requests to a provider that keeps
+ * failing: after LLM_CIRCUIT_FAILURE_THRESHOLD consecutive failures it is
+ * skipped for LLM_CIRCUIT_COOLDOWN_MS, then a single trial request decides
+ * whether it is healthy again. A trial that ends without a verdict (aborted,
+ * or its prompt rejected) leaves the next request to try.
+ *
+ * Streams can only fail over before the first chunk has been sent; once the
+ * user has seen part of an answer, a failure ends the stream.
+ */
+
+import { getProvider } from './providers/index.js';
+import { logger } from '../utils/logger.js';
+
+const MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES || '2'); // Retries per chain entry
+const RETRY_BASE_DELAY_MS = parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '500');
+const RETRY_MAX_DELAY_MS = parseInt(process.env.LLM_RETRY_MAX_DELAY_MS || '8000');
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD || '3');
+const CIRCUIT_COOLDOWN_MS = parseInt(process.env.LLM_CIRCUIT_COOLDOWN_MS || '30000');
+
+// Circuit state by entry key ('provider:model')
+const circuits = new Map();
+
+/**
+ * Parses the fallback chain from the environment
+ *
+ * @returns {Array<{provider: string, model: string|undefined}>} - Entries in order, primary first
+ */
+export function getFallbackChain() {
+  const entries = [process.env.LLM_PROVIDER, ...(process.env.LLM_FALLBACKS || '').split(',')]
+    .map(entry => entry?.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [provider, ...model] = entry.split(':');
+      return { provider: provider.toLowerCase(), model: model.join(':') || undefined };
+    });
+
+  // The same provider/model twice would only repeat a failure
+  const seen = new Set();
+  return entries.filter(entry => {
+    const key = `${entry.provider}:${entry.model || ''}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Resolves the chain to usable providers, skipping unknown or misconfigured entries
+ *
+ * @returns {Array<{provider: object, name: string, model: string, key: string}>}
+ */
+function resolveChain() {
+  const chain = [];
+  const problems = [];
+
+  for (const entry of getFallbackChain()) {
+    const provider = getProvider(entry.provider);
+    if (!provider) {
+      problems.push(`Unsupported LLM provider: ${entry.provider}`);
+      continue;
+    }
+    const entryProblems = provider.validateConfig(provider.getConfig());
+    if (entryProblems.length > 0) {
+      problems.push(...entryProblems);
+      continue;
+    }
+    const model = entry.model || provider.getConfig().model;
+    chain.push({ provider, name: provider.name, model, key: `${provider.name}:${model}` });
+  }
+
+  if (chain.length === 0) {
+    const error = new Error(problems.join('; ') || 'No LLM provider configured (set LLM_PROVIDER)');
+    error.notConfigured = true;
+    throw error;
+  }
+  if (problems.length > 0) {
+    logger.debug('Skipping unusable fallback entries:', problems.join('; '));
+  }
+
+  return chain;
+}
+
+/**
+ * Whether an error is worth retrying (rate limit, server error, network failure)
+ */
+function isRetryable(error) {
+  if (error.name === 'AbortError') return false;
+  if (error.status === undefined) return true;
+  return error.status === 429 || error.status >= 500;
+}
+
+function getCircuit(key) {
+  let circuit = circuits.get(key);
+  if (!circuit) {
+    circuit = { failures: 0, openedAt: null, trialInFlight: false };
+    circuits.set(key, circuit);
+  }
+  return circuit;
+}
+
+/**
+ * Checks whether a request may be sent to an entry
+ * An open circuit lets a single trial request through once the cooldown has
+ * passed. `attempt.trial` records that this request holds the trial, which
+ * endAttempt() releases however the request ends.
+ */
+function allowRequest(key, attempt) {
+  const circuit = getCircuit(key);
+  if (circuit.openedAt === null) return true;
+  if (Date.now() - circuit.openedAt < CIRCUIT_COOLDOWN_MS || circuit.trialInFlight) return false;
+  circuit.trialInFlight = true;
+  attempt.trial = true;
+  return true;
+}
+
+/**
+ * Releases the trial a request held on an entry, if any
+ */
+function endAttempt(key, attempt) {
+  if (attempt.trial) {
+    getCircuit(key).trialInFlight = false;
+    attempt.trial = false;
+  }
+}
+
+function recordSuccess(key) {
+  const circuit = getCircuit(key);
+  if (circuit.openedAt !== null) {
+    logger.info(`LLM circuit for ${key} closed`);
+  }
+  circuit.failures = 0;
+  circuit.openedAt = null;
+}
+
+function recordFailure(key) {
+  const circuit = getCircuit(key);
+  circuit.failures++;
+  if (circuit.openedAt !== null || circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+    if (circuit.openedAt === null) {
+      logger.warn(`LLM circuit for ${key} opened after ${circuit.failures} consecutive failures`);
+    }
+    circuit.openedAt = Date.now();
+  }
+}
+
+/**
+ * Gets the current circuit breaker state of every entry that has been used
+ *
+ * @returns {object} - { [provider:model]: { state, failures } }
+ */
+export function getCircuitStates() {
+  const states = {};
+  for (const [key, circuit] of circuits) {
+    let state = 'closed';
+    if (circuit.openedAt !== null) {
+      state = Date.now() - circuit.openedAt < CIRCUIT_COOLDOWN_MS ? 'open' : 'half-open';
+    }
+    states[key] = { state, failures: circuit.failures };
+  }
+  return states;
+}
+
+/**
+ * Backoff before retry `attempt` (1-based): full jitter over an exponential
+ * window, but never shorter than what the server asked for
+ *
+ * @returns {number|null} - Delay in ms, or null if Retry-After exceeds the max delay
+ */
+function getRetryDelay(attempt, error) {
+  if (error.retryAfterMs > RETRY_MAX_DELAY_MS) {
+    return null;
+  }
+  const window = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+  const jittered = Math.random() * window;
+  return Math.max(jittered, error.retryAfterMs || 0);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(signal.reason);
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Decides what to do after a failed attempt on a chain entry
+ * Sleeps through the backoff when the entry should be retried.
+ *
+ * @returns {Promise<boolean>} - True to retry the same entry, false to move on to the next one
+ * @throws The error itself when the request was aborted or output was already sent
+ */
+async function handleFailure(entry, error, retry, failures, { signal, committed, attempt }) {
+  if (error.name === 'AbortError' || signal?.aborted) {
+    throw error;
+  }
+  // A rejected prompt says nothing about the provider's health
+  if (isRetryable(error) || error.status === 401 || error.status === 403) {
+    recordFailure(entry.key);
+  }
+  if (committed) {
+    throw error;
+  }
+
+  const delay = isRetryable(error) && retry < MAX_RETRIES ? getRetryDelay(retry + 1, error) : null;
+  if (delay === null || !allowRequest(entry.key, attempt)) {
+    logger.warn(`LLM provider ${entry.key} failed, trying next fallback:`, error.message);
+    failures.push(`${entry.key}: ${error.message}`);
+    return false;
+  }
+
+  logger.warn(`LLM provider ${entry.key} failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+  await sleep(delay, signal);
+  return true;
+}
+
+function allProvidersFailed(failures) {
+  const error = new Error(`All LLM providers failed: ${failures.join('; ')}`);
+  error.statusCode = 503;
+  return error;
+}
+
+/**
+ * Gets a complete answer from the first working provider in the chain
+ *
+ * @param {object} input - { system, messages, tools } as accepted by providers
+ * @param {object} options
+ * @param {AbortSignal} options.signal - Aborts the upstream request and any pending retry
+ * @returns {Promise<{content: string, toolCalls: Array, usage: object|null, provider: string, model: string}>}
+ */
+export async function completeWithFailover(input, { signal } = {}) {
+  const failures = [];
+
+  for (const entry of resolveChain()) {
+    const attempt = { trial: false };
+    if (!allowRequest(entry.key, attempt)) {
+      failures.push(`${entry.key}: circuit open`);
+      continue;
+    }
+
+    try {
+      for (let retry = 0; ; retry++) {
+        try {
+          const result = await entry.provider.complete(input, { signal, model: entry.model });
+          recordSuccess(entry.key);
+          return { ...result, provider: entry.name, model: entry.model };
+        } catch (error) {
+          if (!await handleFailure(entry, error, retry, failures, { signal, attempt })) break;
+        }
+      }
+    } finally {
+      endAttempt(entry.key, attempt);
+    }
+  }
+
+  throw allProvidersFailed(failures);
+}
+
+/**
+ * Streams an answer from the first working provider in the chain
+ * Yields `{ type: 'provider', provider, model }` once when a provider starts
+ * answering, then the provider's own events (text, tool_calls).
+ *
+ * @param {object} input - { system, messages, tools } as accepted by providers
+ * @param {object} options
+ * @param {AbortSignal} options.signal - Aborts the upstream request and any pending retry
+ * @returns {AsyncGenerator<object>}
+ */
+export async function* streamWithFailover(input, { signal } = {}) {
+  const failures = [];
+
+  for (const entry of resolveChain()) {
+    const attempt = { trial: false };
+    if (!allowRequest(entry.key, attempt)) {
+      failures.push(`${entry.key}: circuit open`);
+      continue;
+    }
+
+    try {
+      for (let retry = 0; ; retry++) {
+        let started = false;
+        try {
+          for await (const event of entry.provider.stream(input, { signal, model: entry.model })) {
+            if (!started) {
+              started = true;
+              yield { type: 'provider', provider: entry.name, model: entry.model };
+            }
+            yield event;
+          }
+          recordSuccess(entry.key);
+          if (!started) {
+            yield { type: 'provider', provider: entry.name, model: entry.model };
+          }
+          return;
+        } catch (error) {
+          if (!await handleFailure(entry, error, retry, failures, { signal, committed: started, attempt })) break;
+        }
+      }
+    } finally {
+      // Also runs when the consumer stops reading the stream
+      endAttempt(entry.key, attempt);
+    }
+  }
+
+  throw allProvidersFailed(failures);
+}
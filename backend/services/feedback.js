@@ -0,0 +1,191 @@
+/**
+ * Feedback Service
+ *
+ * Stores thumbs up/down ratings on assistant answers together with what was
+ * retrieved to produce them, and aggregates them so weak knowledge base
+ * documents and badly tuned similarity thresholds stand out.
+ *
+ * Core operations:
+ * 1. submitFeedback() - Rate an assistant message (re-rating replaces the old rating)
+ * 2. getFeedbackAnalytics() - Satisfaction by provider, source filter, document and similarity
+ */
+
+import { pool } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Rates an assistant message
+ * The question, retrieved documents, similarities, provider and model are
+ * copied from the stored conversation so the rating stays meaningful even if
+ * the conversation is deleted later.
+ *
+ * @param {number} messageId - ID of the assistant message
+ * @param {1|-1} rating - 1 for thumbs up, -1 for thumbs down
+ * @param {string|null} comment - Optional free-text comment
+ * @returns {Promise<object|null>} - The stored feedback, or null if the message does not exist
+ */
+export async function submitFeedback(messageId, rating, comment = null) {
+  try {
+    const messageResult = await pool.query(
+      `
+        SELECT
+          m.id,
+          m.role,
+          m.citations,
+          m.provider,
+          m.model,
+          m.filters,
+          (
+            SELECT q.content
+            FROM conversation_messages q
+            WHERE q.conversation_id = m.conversation_id
+              AND q.role = 'user'
+              AND q.id < m.id
+            ORDER BY q.id DESC
+            LIMIT 1
+          ) AS question
+        FROM conversation_messages m
+        WHERE m.id = $1
+      `,
+      [messageId]
+    );
+
+    const message = messageResult.rows[0];
+    if (!message) {
+      return null;
+    }
+    if (message.role !== 'assistant') {
+      const error = new Error('Feedback can only be given on assistant messages');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const documents = (message.citations || []).filter(c => c.type === 'document');
+
+    const result = await pool.query(
+      `
+        INSERT INTO message_feedback
+          (message_id, rating, comment, question, document_ids, similarities, provider, model, filters)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (message_id) DO UPDATE
+        SET rating = EXCLUDED.rating,
+            comment = EXCLUDED.comment,
+            updated_at = NOW()
+        RETURNING id, message_id, rating, comment, created_at, updated_at
+      `,
+      [
+        messageId,
+        rating,
+        comment,
+        message.question,
+        documents.map(doc => doc.documentId),
+        documents.map(doc => doc.similarity),
+        message.provider,
+        message.model,
+        message.filters ? JSON.stringify(message.filters) : null
+      ]
+    );
+
+    logger.info(`Feedback ${rating > 0 ? 'up' : 'down'} recorded for message ${messageId}`);
+    return result.rows[0];
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error('Error submitting feedback:', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Aggregates feedback for quality analysis
+ *
+ * @param {object} options
+ * @param {number} options.days - Only include feedback from the last N days
+ * @param {number} options.minRatings - Hide documents with fewer ratings than this
+ * @returns {Promise<object>} - { overall, byProvider, bySourceFilter, byDocument, bySimilarity }
+ */
+export async function getFeedbackAnalytics({ days = 30, minRatings = 1 } = {}) {
+  // Shared aggregate columns: satisfaction is the share of thumbs up
+  const aggregates = `
+    COUNT(*)::int AS total,
+    COUNT(*) FILTER (WHERE f.rating = 1)::int AS up,
+    COUNT(*) FILTER (WHERE f.rating = -1)::int AS down,
+    ROUND(AVG(CASE WHEN f.rating = 1 THEN 1.0 ELSE 0.0 END), 3)::float AS satisfaction
+  `;
+  const since = `f.created_at >= NOW() - ($1::int * INTERVAL '1 day')`;
+
+  try {
+    const [overall, byProvider, bySourceFilter, byDocument, bySimilarity] = await Promise.all([
+      pool.query(`SELECT ${aggregates} FROM message_feedback f WHERE ${since}`, [days]),
+      pool.query(
+        `
+          SELECT f.provider, f.model, ${aggregates}
+          FROM message_feedback f
+          WHERE ${since}
+          GROUP BY f.provider, f.model
+          ORDER BY total DESC
+        `,
+        [days]
+      ),
+      pool.query(
+        `
+          SELECT COALESCE(f.filters->>'source', 'none') AS source_filter, ${aggregates}
+          FROM message_feedback f
+          WHERE ${since}
+          GROUP BY source_filter
+          ORDER BY total DESC
+        `,
+        [days]
+      ),
+      pool.query(
+        `
+          SELECT
+            d.document_id,
+            e.metadata->>'title' AS title,
+            e.metadata->>'source' AS source,
+            ROUND(AVG(d.similarity)::numeric, 3)::float AS avg_similarity,
+            ${aggregates}
+          FROM message_feedback f
+          CROSS JOIN LATERAL unnest(f.document_ids, f.similarities) AS d(document_id, similarity)
+          LEFT JOIN documents e ON e.id = d.document_id
+          WHERE ${since}
+          GROUP BY d.document_id, e.metadata
+          HAVING COUNT(*) >= $2
+          ORDER BY satisfaction ASC, total DESC
+        `,
+        [days, minRatings]
+      ),
+      pool.query(
+        `
+          SELECT
+            FLOOR(d.similarity * 20) / 20 AS similarity_from,
+            ${aggregates}
+          FROM message_feedback f
+          CROSS JOIN LATERAL unnest(f.similarities) AS d(similarity)
+          WHERE ${since}
+          GROUP BY similarity_from
+          ORDER BY similarity_from ASC
+        `,
+        [days]
+      )
+    ]);
+
+    return {
+      days,
+      overall: overall.rows[0],
+      byProvider: byProvider.rows,
+      bySourceFilter: bySourceFilter.rows,
+      // Worst-rated documents first
+      byDocument: byDocument.rows,
+      // Satisfaction per 0.05 similarity bucket - helps pick VECTOR_MIN_SIMILARITY
+      bySimilarity: bySimilarity.rows.map(row => ({
+        ...row,
+        similarity_from: parseFloat(row.similarity_from),
+        similarity_to: Math.round((parseFloat(row.similarity_from) + 0.05) * 100) / 100
+      }))
+    };
+  } catch (error) {
+    logger.error('Error getting feedback analytics:', error);
+    throw error;
+  }
+}
@@ -1,249 +1,202 @@
 /**
  * LLM Service
- * Handles communication with LLM providers (OpenAI, Anthropic)
+ * Builds the prompt from the templates in prompts/ (see prompts.js) and hands
+ * it to the configured provider, falling back along LLM_FALLBACKS when it
+ * fails (see failover.js and providers/)
  */
 
 import { logger } from '../utils/logger.js';
+import { getProvider } from './providers/index.js';
+import { completeWithFailover, streamWithFailover } from './failover.js';
+import { recordUsage } from './usage.js';
+import { buildSystemPrompt, buildUserPrompt, buildRepairPrompt, buildSummarizePrompt, buildRerankPrompt } from './prompts.js';
+import { parseStructuredOutput } from './structuredOutput.js';
+import { getContextWindow, truncateToTokens } from './contextBudget.js';
+import { formatSourceBlock } from './promptInjection.js';
 
-const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
-const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const MAX_TOOL_ROUNDS = parseInt(process.env.LLM_MAX_TOOL_ROUNDS || '3');
+const MAX_REPAIRS = parseInt(process.env.STRUCTURED_OUTPUT_MAX_REPAIRS || '1');
 
 /**
- * Calls OpenAI API
+ * Builds the message array sent to the provider
+ * Prior turns are replayed as real user/assistant messages, followed by the
+ * current question (rendered with the retrieved context by prompts/user.md).
+ * Consecutive turns from the same role are merged and leading assistant turns
+ * dropped, since Anthropic requires strictly alternating roles starting with user.
  */
-async function callOpenAI(prompt, apiKey) {
-  const response = await fetch(OPENAI_API_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({
-      model: process.env.OPENAI_MODEL || 'gpt-4.1',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a helpful AI assistant specializing in Web3, blockchain, and cryptocurrency trends. Provide accurate, up-to-date information and insights.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: parseFloat(process.env.OPENAI_TEMPERATURE || '0.7'),
-      max_tokens: parseInt(process.env.OPENAI_MAX_TOKENS || '1000')
-    })
-  });
+function buildMessages(message, context, history = []) {
+  const prompt = buildUserPrompt({ question: message, ...context });
+  const turns = [
+    ...history.filter(turn => turn.content && (turn.role === 'user' || turn.role === 'assistant')),
+    { role: 'user', content: prompt }
+  ];
 
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(`OpenAI API error: ${error.error?.message || 'Unknown error'}`);
+  const messages = [];
+  for (const turn of turns) {
+    const previous = messages[messages.length - 1];
+    if (!previous && turn.role !== 'user') {
+      continue;
+    }
+    if (previous && previous.role === turn.role) {
+      previous.content += `\n\n${turn.content}`;
+    } else {
+      messages.push({ role: turn.role, content: turn.content });
+    }
   }
 
-  const data = await response.json();
-  return data.choices[0].message.content;
+  return messages;
 }
 
 /**
- * Calls Anthropic API
+ * Gets the primary provider and model (the first entry of the fallback chain)
+ *
+ * @returns {{provider: string, model: string}}
  */
-async function callAnthropic(prompt, apiKey) {
-  const response = await fetch(ANTHROPIC_API_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': apiKey,
-      'anthropic-version': '2023-06-01'
-    },
-    body: JSON.stringify({
-      model: process.env.ANTHROPIC_MODEL || 'claude-3-sonnet-20240229',
-      max_tokens: parseInt(process.env.ANTHROPIC_MAX_TOKENS || '1000'),
-      messages: [
-        {
-          role: 'user',
-          content: `You are a helpful AI assistant specializing in Web3, blockchain, and cryptocurrency trends. Provide accurate, up-to-date information and insights.\n\n${prompt}`
-        }
-      ]
-    })
-  });
-
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(`Anthropic API error: ${error.error?.message || 'Unknown error'}`);
-  }
-
-  const data = await response.json();
-  return data.content[0].text;
+export function getModelInfo() {
+  const name = process.env.LLM_PROVIDER?.toLowerCase();
+  const provider = getProvider(name);
+  return { provider: name, model: provider?.getConfig().model || null };
 }
 
 /**
- * Streams OpenAI API response
+ * Gets the primary model and the tokens reserved for its answer
+ *
+ * @returns {{provider: string, model: string, maxOutputTokens: number}}
  */
-async function* streamOpenAI(prompt, apiKey) {
-  const response = await fetch(OPENAI_API_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({
-      model: process.env.OPENAI_MODEL || 'gpt-4.1',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a helpful AI assistant specializing in Web3, blockchain, and cryptocurrency trends. Provide accurate, up-to-date information and insights.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: parseFloat(process.env.OPENAI_TEMPERATURE || '0.7'),
-      max_tokens: parseInt(process.env.OPENAI_MAX_TOKENS || '1000'),
-      stream: true
-    })
-  });
+export function getContextLimits() {
+  const name = process.env.LLM_PROVIDER?.toLowerCase();
+  const config = getProvider(name)?.getConfig() || {};
+  return { provider: name, model: config.model || null, maxOutputTokens: config.maxTokens || 1000 };
+}
 
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(`OpenAI API error: ${error.error?.message || 'Unknown error'}`);
+/**
+ * Whether the primary provider can call tools (and tools are not switched off)
+ *
+ * @returns {boolean}
+ */
+export function toolsAvailable() {
+  if (process.env.LLM_TOOLS_ENABLED === 'false') {
+    return false;
   }
+  const provider = getProvider(process.env.LLM_PROVIDER);
+  return !!provider?.getConfig().tools;
+}
 
-  const reader = response.body.getReader();
-  const decoder = new TextDecoder();
-  let buffer = '';
+/**
+ * Runs the generation, including the tool loop
+ * When tools are offered and the model calls some, the calls are executed
+ * (concurrently within a round), their results appended to the conversation
+ * and the model asked again, for up to `maxToolRounds` rounds. The last round
+ * still sends the tool definitions, which the earlier tool turns refer to,
+ * but forbids calling them so the model has to answer.
+ *
+ * @param {object} prompt - { system, messages, responseFormat } (messages are appended to)
+ * @param {object} options - As for getLLMResponse()
+ * @param {boolean} streaming - Stream from the provider, or use a single completion per round
+ * @returns {AsyncGenerator<string>} - Answer text as it is produced
+ */
+async function* generate({ system, messages, responseFormat }, options, streaming) {
+  const tools = options.runTool && options.tools?.length ? options.tools : null;
+  const maxToolRounds = options.maxToolRounds ?? MAX_TOOL_ROUNDS;
+  let wroteText = false;
 
-  try {
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
+  for (let round = 0; ; round++) {
+    const lastRound = !tools || round >= maxToolRounds;
+    const input = { system, messages, tools: tools || undefined, toolChoice: tools && lastRound ? 'none' : undefined, responseFormat };
+    let text = '';
+    let toolCalls = [];
+    let answeredBy = {};
 
-      buffer += decoder.decode(value, { stream: true });
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
+    const events = streaming
+      ? streamWithFailover(input, { signal: options.signal })
+      : completeAsEvents(input, options.signal);
 
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6);
-          if (data === '[DONE]') {
-            return;
-          }
-          try {
-            const json = JSON.parse(data);
-            const content = json.choices?.[0]?.delta?.content;
-            if (content) {
-              yield content;
-            }
-          } catch (e) {
-            // Skip invalid JSON
-          }
+    for await (const event of events) {
+      if (event.type === 'provider') {
+        answeredBy = { provider: event.provider, model: event.model };
+        options.onProvider?.(answeredBy);
+      } else if (event.type === 'text') {
+        // Keep text from different rounds apart ("Let me check…" / the answer)
+        if (!text && wroteText) {
+          yield '\n\n';
         }
+        text += event.text;
+        wroteText = true;
+        yield event.text;
+      } else if (event.type === 'tool_calls') {
+        toolCalls = event.toolCalls;
+      } else if (event.type === 'usage') {
+        recordUsage({ type: 'llm', ...answeredBy, ...event.usage });
       }
     }
-  } finally {
-    reader.releaseLock();
+
+    if (toolCalls.length === 0 || lastRound) {
+      return;
+    }
+
+    messages.push({ role: 'assistant', content: text, toolCalls });
+    const results = await Promise.all(toolCalls.map(call => options.runTool(call)));
+    toolCalls.forEach((call, i) => {
+      messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: results[i] });
+    });
   }
 }
 
 /**
- * Streams Anthropic API response
+ * Builds the system prompt and messages for a question
  */
-async function* streamAnthropic(prompt, apiKey) {
-  const response = await fetch(ANTHROPIC_API_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': apiKey,
-      'anthropic-version': '2023-06-01'
-    },
-    body: JSON.stringify({
-      model: process.env.ANTHROPIC_MODEL || 'claude-3-sonnet-20240229',
-      max_tokens: parseInt(process.env.ANTHROPIC_MAX_TOKENS || '1000'),
-      messages: [
-        {
-          role: 'user',
-          content: `You are a helpful AI assistant specializing in Web3, blockchain, and cryptocurrency trends. Provide accurate, up-to-date information and insights.\n\n${prompt}`
-        }
-      ],
-      stream: true
-    })
-  });
+function buildPrompt(message, context, options) {
+  const tools = !!(options.runTool && options.tools?.length);
+  return {
+    system: buildSystemPrompt({ persona: options.persona, locale: options.locale, tools }),
+    // Replay prior turns and combine message with context if available
+    messages: buildMessages(message, context, options.history)
+  };
+}
 
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(`Anthropic API error: ${error.error?.message || 'Unknown error'}`);
+/**
+ * Single completion with failover, as the same events a stream produces
+ */
+async function* completeAsEvents(input, signal) {
+  const result = await completeWithFailover(input, { signal });
+  yield { type: 'provider', provider: result.provider, model: result.model };
+  if (result.content) {
+    yield { type: 'text', text: result.content };
   }
-
-  const reader = response.body.getReader();
-  const decoder = new TextDecoder();
-  let buffer = '';
-
-  try {
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      buffer += decoder.decode(value, { stream: true });
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
-
-      for (const line of lines) {
-        if (line.trim() === '') continue;
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6).trim();
-          if (data === '[DONE]') {
-            return;
-          }
-          try {
-            const json = JSON.parse(data);
-            // Anthropic streaming format
-            if (json.type === 'content_block_delta' && json.delta?.type === 'text_delta') {
-              const content = json.delta.text;
-              if (content) {
-                yield content;
-              }
-            } else if (json.type === 'message_delta' || json.type === 'message_start') {
-              // Skip metadata events
-              continue;
-            }
-          } catch (e) {
-            // Skip invalid JSON
-          }
-        }
-      }
-    }
-  } finally {
-    reader.releaseLock();
+  if (result.toolCalls?.length) {
+    yield { type: 'tool_calls', toolCalls: result.toolCalls };
+  }
+  if (result.usage) {
+    yield { type: 'usage', usage: result.usage };
   }
 }
 
 /**
  * Main function to get LLM response
+ *
+ * @param {string} message - The user's question
+ * @param {{documents: string, liveData: string}} context - Numbered context blocks to ground the answer
+ * @param {object} options - Optional settings
+ * @param {Array<{role: string, content: string}>} options.history - Prior conversation turns, oldest first
+ * @param {string} options.persona - Persona ID (see prompts/personas/)
+ * @param {string} options.locale - User locale, e.g. 'de-DE'
+ * @param {AbortSignal} options.signal - Aborts the upstream request (e.g. when the client disconnects)
+ * @param {Function} options.onProvider - Called with { provider, model } of the provider that answered
+ * @param {Array} options.tools - Tool definitions to offer the model (see tools.js)
+ * @param {Function} options.runTool - Executes a tool call, resolving to the result text for the model
+ * @param {number} options.maxToolRounds - Rounds of tool calls allowed (default: LLM_MAX_TOOL_ROUNDS)
  */
-export async function getLLMResponse(message, context = '') {
-  const provider = process.env.LLM_PROVIDER?.toLowerCase();
-  const apiKey = provider === 'openai' ? process.env.OPENAI_API_KEY : process.env.ANTHROPIC_API_KEY;
-
-  if (!apiKey) {
-    throw new Error(`API key not found for provider: ${provider}`);
-  }
-
-  // Combine message with context if available
-  const prompt = context ? `Context: ${context}\n\nUser Question: ${message}` : message;
-
+export async function getLLMResponse(message, context = {}, options = {}) {
   try {
-    let response;
-    if (provider === 'openai') {
-      response = await callOpenAI(prompt, apiKey);
-    } else if (provider === 'anthropic') {
-      response = await callAnthropic(prompt, apiKey);
-    } else {
-      throw new Error(`Unsupported LLM provider: ${provider}`);
+    let content = '';
+    for await (const chunk of generate(buildPrompt(message, context, options), options, false)) {
+      content += chunk;
     }
-
-    return response;
+    return content;
   } catch (error) {
-    logger.error('LLM API Error:', error);
+    if (error.name !== 'AbortError') {
+      logger.error('LLM API Error:', error);
+    }
     throw error;
   }
 }
@@ -251,29 +204,155 @@ export async function getLLMResponse(message, context = '') {
 /**
  * Streams LLM response
  * Returns an async generator that yields content chunks
+ * Accepts the same options as getLLMResponse()
  */
-export async function* streamLLMResponse(message, context = '') {
-  const provider = process.env.LLM_PROVIDER?.toLowerCase();
-  const apiKey = provider === 'openai' ? process.env.OPENAI_API_KEY : process.env.ANTHROPIC_API_KEY;
-
-  if (!apiKey) {
-    throw new Error(`API key not found for provider: ${provider}`);
+export async function* streamLLMResponse(message, context = {}, options = {}) {
+  try {
+    yield* generate(buildPrompt(message, context, options), options, true);
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      logger.error('LLM Streaming Error:', error);
+    }
+    throw error;
   }
+}
 
-  // Combine message with context if available
-  const prompt = context ? `Context: ${context}\n\nUser Question: ${message}` : message;
+/**
+ * Gets an answer as JSON matching a schema
+ * The schema is passed to providers with native structured output and spelled
+ * out in the system prompt for the rest. Output that does not parse or match
+ * the schema is sent back to the model with the errors, up to `maxRepairs`
+ * times (default: STRUCTURED_OUTPUT_MAX_REPAIRS). Tools are not offered.
+ *
+ * @param {string} message - The user's question
+ * @param {{documents: string, liveData: string}} context - Numbered context blocks
+ * @param {object} options - As for getLLMResponse(), plus:
+ * @param {{name: string, schema: object}} options.responseFormat - JSON schema of the answer
+ * @param {number} options.maxRepairs - Repair attempts after invalid output
+ * @returns {Promise<{content: string, data: *, errors: string[], repairs: number}>}
+ *   data is the parsed answer; errors is empty when it matches the schema
+ */
+export async function getStructuredResponse(message, context = {}, options = {}) {
+  const { responseFormat } = options;
+  const maxRepairs = options.maxRepairs ?? MAX_REPAIRS;
+  const generateOptions = { ...options, tools: undefined, runTool: undefined };
+  const prompt = {
+    system: buildSystemPrompt({
+      persona: options.persona,
+      locale: options.locale,
+      responseSchema: JSON.stringify(responseFormat.schema, null, 2)
+    }),
+    messages: buildMessages(message, context, options.history),
+    responseFormat
+  };
 
   try {
-    if (provider === 'openai') {
-      yield* streamOpenAI(prompt, apiKey);
-    } else if (provider === 'anthropic') {
-      yield* streamAnthropic(prompt, apiKey);
-    } else {
-      throw new Error(`Unsupported LLM provider: ${provider}`);
+    for (let repairs = 0; ; repairs++) {
+      let content = '';
+      for await (const chunk of generate(prompt, generateOptions, false)) {
+        content += chunk;
+      }
+
+      const { data, errors } = parseStructuredOutput(content, responseFormat.schema);
+      if (errors.length === 0 || repairs >= maxRepairs || options.signal?.aborted) {
+        return { content, data, errors, repairs };
+      }
+
+      logger.warn(`Structured output did not match the schema (${errors.length} errors), asking the model to repair it`);
+      prompt.messages.push(
+        { role: 'assistant', content },
+        { role: 'user', content: buildRepairPrompt(errors) }
+      );
     }
   } catch (error) {
-    logger.error('LLM Streaming Error:', error);
+    if (error.name !== 'AbortError') {
+      logger.error('LLM Structured Output Error:', error);
+    }
     throw error;
   }
 }
 
+/**
+ * Summarizes a source that does not fit the context budget
+ *
+ * @param {string} text - The source content (cut to fit the model's input if needed)
+ * @param {object} options
+ * @param {string} options.question - The user's question, to focus the summary
+ * @param {number} options.maxTokens - Target length of the summary
+ * @param {AbortSignal} options.signal
+ * @returns {Promise<string>}
+ */
+export async function summarizeForContext(text, { question, maxTokens, signal }) {
+  const { model, maxOutputTokens } = getContextLimits();
+  // Leave room for the instructions and the summary itself
+  const inputTokens = getContextWindow(model) - maxOutputTokens - 500;
+  const prompt = {
+    system: buildSummarizePrompt({ question, maxWords: Math.max(20, Math.floor(maxTokens * 0.75)) }),
+    messages: [{ role: 'user', content: truncateToTokens(text, inputTokens) }]
+  };
+  let summary = '';
+  for await (const chunk of generate(prompt, { signal }, false)) {
+    summary += chunk;
+  }
+  return summary.trim();
+}
+
+const RELEVANCE_SCHEMA = {
+  type: 'object',
+  properties: {
+    scores: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          score: { type: 'number', minimum: 0, maximum: 10 }
+        },
+        required: ['id', 'score']
+      }
+    }
+  },
+  required: ['scores']
+};
+
+/**
+ * Scores how relevant each passage is to a question, in one completion
+ * Passages are sent as delimited, escaped source blocks like in the answer
+ * prompt, each cut to `maxTokens`.
+ *
+ * @param {string} question
+ * @param {Array<{title: string, content: string}>} passages
+ * @param {object} options
+ * @param {number} options.maxTokens - Length limit per passage
+ * @param {AbortSignal} options.signal
+ * @returns {Promise<number[]>} - One score from 0 to 1 per passage; passages the model skipped score 0
+ */
+export async function scoreRelevance(question, passages, { maxTokens, signal }) {
+  const prompt = {
+    system: buildRerankPrompt({ question }),
+    messages: [{
+      role: 'user',
+      content: passages
+        .map((passage, i) => formatSourceBlock({
+          index: i + 1,
+          type: 'stored knowledge',
+          title: passage.title,
+          content: truncateToTokens(passage.content, maxTokens)
+        }))
+        .join('\n\n')
+    }],
+    responseFormat: { name: 'relevance_scores', schema: RELEVANCE_SCHEMA }
+  };
+
+  let content = '';
+  for await (const chunk of generate(prompt, { signal }, false)) {
+    content += chunk;
+  }
+
+  const { data, errors } = parseStructuredOutput(content, RELEVANCE_SCHEMA);
+  if (errors.length > 0) {
+    throw new Error(`Relevance scores did not match the schema: ${errors.join('; ')}`);
+  }
+  const scores = new Map(data.scores.map(({ id, score }) => [id, score / 10]));
+  return passages.map((_, i) => scores.get(i + 1) ?? 0);
+}
@@ -0,0 +1,62 @@
+/**
+ * Metrics Service
+ *
+ * Keeps a rolling window of latency samples in memory so we can see where
+ * time goes in a chat request (per pipeline stage, time until the context is
+ * ready, time to first token, total).
+ *
+ * Samples are lost on restart - this is for spotting regressions and
+ * improvements while developing, not long-term monitoring.
+ */
+
+const WINDOW_SIZE = parseInt(process.env.METRICS_WINDOW_SIZE || '500'); // Samples kept per metric
+
+// Samples by metric name (oldest first)
+const samples = new Map();
+
+/**
+ * Records one latency sample
+ *
+ * @param {string} name - Metric name (e.g. 'stage.retrieve', 'firstToken')
+ * @param {number} ms - Duration in milliseconds
+ */
+export function recordLatency(name, ms) {
+  if (typeof ms !== 'number' || Number.isNaN(ms)) {
+    return;
+  }
+
+  let values = samples.get(name);
+  if (!values) {
+    values = [];
+    samples.set(name, values);
+  }
+  values.push(ms);
+  if (values.length > WINDOW_SIZE) {
+    values.shift();
+  }
+}
+
+function percentile(sorted, p) {
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+/**
+ * Summarizes every metric in the window
+ *
+ * @returns {object} - { [name]: { count, avg, p50, p95, max } } in milliseconds
+ */
+export function getLatencySummary() {
+  const summary = {};
+  for (const [name, values] of samples) {
+    const sorted = [...values].sort((a, b) => a - b);
+    summary[name] = {
+      count: sorted.length,
+      avg: Math.round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+      p50: percentile(sorted, 50),
+      p95: percentile(sorted, 95),
+      max: sorted[sorted.length - 1]
+    };
+  }
+  return summary;
+}
@@ -0,0 +1,72 @@
+/**
+ * Citation helpers
+ * Numbers context blocks and records the matching citation, so documents and
+ * live data are cited the same way whether they were retrieved up front
+ * (assemble stage) or fetched by a tool call during generation.
+ *
+ * Blocks are delimited and escaped (see formatSourceBlock()), so source text
+ * cannot pass itself off as instructions.
+ */
+
+import { formatSourceBlock } from '../promptInjection.js';
+
+/**
+ * Display title of a stored document
+ */
+export function getDocumentTitle(doc) {
+  return doc.metadata?.title || doc.metadata?.source || 'Stored Knowledge';
+}
+
+/**
+ * Adds a stored document to the citation list
+ *
+ * @param {Array} citations - Citation list (appended to)
+ * @param {object} doc - { id, documentId, chunkIndex, content, metadata, similarity }, plus
+ *   originalScore and rerankScore when reranked
+ * @param {number} snippetLength - Max characters of the snippet shown to the client
+ * @returns {string} - The numbered block for the LLM context
+ */
+export function addDocumentCitation(citations, doc, snippetLength = 200) {
+  const index = citations.length + 1;
+  const title = getDocumentTitle(doc);
+  citations.push({
+    index,
+    type: 'document',
+    // The document, not the chunk that matched
+    documentId: doc.documentId ?? doc.id,
+    name: title,
+    similarity: doc.similarity,
+    ...(doc.rerankScore !== undefined && { originalScore: doc.originalScore, rerankScore: doc.rerankScore }),
+    snippet: doc.content.length > snippetLength ? `${doc.content.slice(0, snippetLength)}...` : doc.content,
+    url: doc.metadata?.url || '#'
+  });
+  return formatSourceBlock({ index, type: 'stored knowledge', title, content: doc.content });
+}
+
+/**
+ * Adds a live data block to the citation list
+ *
+ * @param {Array} citations - Citation list (appended to)
+ * @param {object} block - { title, content, source: { name, url } }
+ * @returns {string} - The numbered block for the LLM context
+ */
+export function addLiveCitation(citations, block) {
+  const index = citations.length + 1;
+  citations.push({
+    index,
+    type: 'live',
+    documentId: null,
+    name: block.source.name,
+    similarity: null,
+    snippet: block.content,
+    url: block.source.url
+  });
+  return formatSourceBlock({ index, type: 'live data', title: block.title, content: block.content });
+}
+
+/**
+ * Client-facing source list for a set of citations
+ */
+export function toSources(citations) {
+  return citations.map(({ name, url }) => ({ name, url }));
+}
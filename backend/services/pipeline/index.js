@@ -0,0 +1,246 @@
+/**
+ * Chat Pipeline
+ *
+ * The retrieval-augmented generation flow shared by /api/chat and
+ * /api/chat/stream. Stages run in order against one context object:
+ *
+ *   cache-lookup  → cachedAnswer (semantic answer cache; a hit skips retrieval and the LLM)
+ *   retrieve      → documents   (vector store search)    ┐ run concurrently,
+ *   live-data     → liveData    (CoinGecko / DeFiLlama)  ┘ each with a timeout
+ *   rerank        → documents   (retrieved candidates rescored; off unless enabled, see rerank.js)
+ *   assemble      → context     (numbered document and live data blocks within the token budget), citations, sources
+ *   generate      → content     (LLM, streamed when onChunk is given; may call tools)
+ *   post-process  → messageId   (persisted conversation turns)  ┐ concurrently
+ *   cache-store                 (answer stored for reuse)       ┘
+ *
+ * When the provider supports tool calling, the model fetches live data itself
+ * through tools (see tools.js) and the keyword-driven live-data stage is skipped.
+ * Structured (JSON schema) answers are generated without tools, so they get
+ * live data from the live-data stage.
+ *
+ * retrieve, live-data and post-process may fail (or time out) without failing
+ * the request. Every stage is timed; timings are returned on the context along
+ * with contextReadyMs (retrieval finished) and firstTokenMs, and recorded in
+ * the latency metrics.
+ *
+ * Configuration (env):
+ *   PIPELINE_DISABLED_STAGES=live-data     Comma-separated optional stages to skip
+ *   RETRIEVE_TIMEOUT_MS=3000               Budget for the vector search
+ *   LIVE_DATA_TIMEOUT_MS=2500              Budget for live Web3 APIs
+ *   VECTOR_SEARCH_LIMIT / VECTOR_MIN_SIMILARITY   Retrieve stage tuning
+ *   RERANK_ENABLED / RERANK_PROVIDER / RERANK_CANDIDATES / RERANK_TIMEOUT_MS   Rerank stage (see rerank.js)
+ *   LLM_TOOLS_ENABLED=false                Never offer tools (use the live-data stage instead)
+ *   LLM_MAX_TOOL_ROUNDS=3                  Rounds of tool calls before the model must answer
+ *   STRUCTURED_OUTPUT_MAX_REPAIRS=1        Repair attempts for answers that do not match the schema
+ *   ANSWER_CACHE_ENABLED=false             Turn the answer cache off (see answerCache.js)
+ *   ANSWER_CACHE_TIMEOUT_MS=1500           Budget for the cache lookup
+ *   CONTEXT_MAX_TOKENS / CONTEXT_OVERFLOW  Source token budget (see contextBudget.js)
+ */
+
+import { runPipeline } from './runner.js';
+import { retrieveStage } from './stages/retrieve.js';
+import { rerankStage } from './stages/rerank.js';
+import { liveDataStage } from './stages/liveData.js';
+import { assembleStage } from './stages/assemble.js';
+import { generateStage } from './stages/generate.js';
+import { postProcessStage } from './stages/postProcess.js';
+import { cacheLookupStage, cacheStoreStage } from './stages/answerCache.js';
+import { answerCacheEnabled } from '../answerCache.js';
+import { getRerankOptions } from '../rerank.js';
+import { recordLatency } from '../metrics.js';
+import { toolsAvailable } from '../llm.js';
+import { getDefaultPersonaId } from '../prompts.js';
+import { logger } from '../../utils/logger.js';
+
+// Independent retrieval sources run as one concurrent step
+export const CHAT_STAGES = [
+  cacheLookupStage,
+  [retrieveStage, liveDataStage],
+  rerankStage,
+  assembleStage,
+  generateStage,
+  [postProcessStage, cacheStoreStage]
+];
+
+/**
+ * Builds per-stage config from the environment, with optional overrides
+ *
+ * @param {object} overrides - Per-stage overrides keyed by stage name
+ * @param {object} options
+ * @param {boolean} options.structured - The answer must match a JSON schema (no tools)
+ */
+export function getPipelineConfig(overrides = {}, { structured = false } = {}) {
+  const disabled = new Set(
+    (process.env.PIPELINE_DISABLED_STAGES || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean)
+  );
+  const tools = toolsAvailable() && !structured;
+  const minSimilarity = parseFloat(process.env.VECTOR_MIN_SIMILARITY || '0.6');
+  const answerCache = answerCacheEnabled();
+  const { enabled: rerank, ...rerankOptions } = getRerankOptions();
+
+  const defaults = {
+    'cache-lookup': {
+      ...(answerCache ? {} : { enabled: false }),
+      timeoutMs: parseInt(process.env.ANSWER_CACHE_TIMEOUT_MS || '1500')
+    },
+    retrieve: {
+      timeoutMs: parseInt(process.env.RETRIEVE_TIMEOUT_MS || '3000'),
+      limit: parseInt(process.env.VECTOR_SEARCH_LIMIT || '3'),
+      minSimilarity
+    },
+    'live-data': {
+      // The model fetches exactly the live data it needs through tools
+      ...(tools ? { enabled: false } : {}),
+      timeoutMs: parseInt(process.env.LIVE_DATA_TIMEOUT_MS || '2500')
+    },
+    rerank: {
+      ...(rerank ? {} : { enabled: false }),
+      timeoutMs: parseInt(process.env.RERANK_TIMEOUT_MS || '5000'),
+      ...rerankOptions
+    },
+    assemble: { snippetLength: 200 },
+    generate: {
+      tools,
+      maxToolRounds: parseInt(process.env.LLM_MAX_TOOL_ROUNDS || '3'),
+      minSimilarity,
+      snippetLength: 200
+    },
+    'post-process': {},
+    'cache-store': answerCache ? {} : { enabled: false }
+  };
+
+  const config = {};
+  for (const stage of CHAT_STAGES.flat()) {
+    config[stage.name] = {
+      enabled: !disabled.has(stage.name),
+      ...defaults[stage.name],
+      ...overrides[stage.name]
+    };
+  }
+
+  // Tool calls stand in for the live-data and retrieve stages, so they get the same budgets
+  config.generate.toolTimeouts = { live: config['live-data'].timeoutMs, knowledgeBase: config.retrieve.timeoutMs };
+
+  // The reranker keeps `limit` of a larger candidate set, in the chat and in knowledge base tool calls
+  config.rerank.limit = config.retrieve.limit;
+  if (config.rerank.enabled) {
+    config.retrieve.candidates = Math.max(config.retrieve.limit, config.rerank.candidates);
+    config.generate.rerank = { provider: config.rerank.provider, candidates: config.rerank.candidates };
+  }
+  return config;
+}
+
+/**
+ * Runs the chat pipeline for one message
+ *
+ * @param {object} input
+ * @param {string} input.message - The user's question
+ * @param {object} input.filters - Metadata filters for retrieval
+ * @param {Array} input.history - Prior conversation turns
+ * @param {number|null} input.conversationId - Conversation to store the exchange in
+ * @param {string} input.persona - Persona ID for the system prompt (default: PROMPT_DEFAULT_PERSONA)
+ * @param {string} input.locale - User locale for the system prompt (default: PROMPT_DEFAULT_LOCALE)
+ * @param {boolean} input.cache - Set to false to skip the answer cache lookup (the new answer is still cached)
+ * @param {{name: string, schema: object}} input.responseFormat - Answer as JSON matching the schema (single completion only)
+ * @param {AbortSignal} input.signal - Aborts generation
+ * @param {Function} input.onChunk - Receives streamed content chunks (omit for a single completion)
+ * @param {Function} input.onToolEvent - Receives (event, data) for tool progress ('tool_call', 'tool_result', 'sources')
+ * @param {object} hooks - Passed to the runner (e.g. onStageComplete)
+ * @param {object} overrides - Per-stage config overrides
+ * @returns {Promise<object>} - The final context: content, citations, sources, toolCalls, cancelled, cachedAnswer,
+ *   data and validationErrors (structured answers), contextBudget (report of included and dropped sources), timings
+ */
+export async function runChatPipeline(input, hooks = {}, overrides = {}) {
+  const start = Date.now();
+  let firstTokenMs = null;
+  let contextReadyMs = null;
+
+  const onChunk = input.onChunk && ((chunk) => {
+    if (firstTokenMs === null) {
+      firstTokenMs = Date.now() - start;
+    }
+    input.onChunk(chunk);
+  });
+
+  const ctx = {
+    message: input.message,
+    filters: input.filters || {},
+    history: input.history || [],
+    conversationId: input.conversationId || null,
+    persona: input.persona || getDefaultPersonaId(),
+    locale: input.locale || null,
+    cacheLookup: input.cache !== false,
+    responseFormat: input.responseFormat || null,
+    signal: input.signal,
+    onChunk,
+    onToolEvent: input.onToolEvent,
+    documents: [],
+    candidates: [],
+    liveData: null,
+    context: { documents: '', liveData: '' },
+    contextBudget: null,
+    citations: [],
+    sources: [],
+    content: '',
+    toolCalls: [],
+    cancelled: false,
+    provider: null,
+    model: null,
+    messageId: null,
+    cacheKey: null,
+    questionEmbedding: null,
+    cachedAnswer: null,
+    data: null,
+    validationErrors: []
+  };
+
+  const stageHooks = {
+    ...hooks,
+    onStageComplete: async (stageName, stageCtx) => {
+      if (stageName === 'assemble') {
+        contextReadyMs = Date.now() - start;
+      }
+      if (hooks.onStageComplete) {
+        await hooks.onStageComplete(stageName, stageCtx);
+      }
+    }
+  };
+
+  try {
+    await runPipeline(CHAT_STAGES, ctx, {
+      config: getPipelineConfig(overrides, { structured: !!ctx.responseFormat }),
+      hooks: stageHooks
+    });
+  } finally {
+    ctx.timings.contextReadyMs = contextReadyMs;
+    ctx.timings.firstTokenMs = firstTokenMs;
+    recordTimings(ctx.timings);
+  }
+
+  return ctx;
+}
+
+/**
+ * Feeds one request's timings into the latency metrics
+ */
+function recordTimings(timings) {
+  for (const [name, stage] of Object.entries(timings.stages)) {
+    if (stage.status !== 'skipped') {
+      recordLatency(`stage.${name}`, stage.durationMs);
+    }
+  }
+  recordLatency('contextReady', timings.contextReadyMs ?? undefined);
+  recordLatency('firstToken', timings.firstTokenMs ?? undefined);
+  recordLatency('total', timings.totalMs);
+
+  const retrieval = ['retrieve', 'live-data']
+    .map(name => `${name} ${timings.stages[name]?.durationMs ?? 0}ms`)
+    .join(', ');
+  logger.info(
+    `Pipeline latency: context ready ${timings.contextReadyMs ?? '-'}ms (${retrieval} in parallel), ` +
+    `first token ${timings.firstTokenMs ?? '-'}ms, total ${timings.totalMs}ms`
+  );
+}
@@ -0,0 +1,119 @@
+/**
+ * Pipeline Runner
+ *
+ * Runs a list of named stages against a shared context object, timing each
+ * one. Stages marked `required` abort the run when they fail; every other
+ * stage is allowed to fail (or time out), in which case the error is recorded
+ * and the run continues with whatever the context already holds.
+ *
+ * Stage shape:
+ *   {
+ *     name: 'retrieve',
+ *     required: false,
+ *     run: async (ctx, config, signal) => ({ documents }),  // returns context updates
+ *     skip: (ctx) => !!ctx.cachedAnswer                      // optional, checked when the stage is reached
+ *   }
+ *
+ * A step in the stage list may be an array of stages; those run concurrently,
+ * each with its own `timeoutMs` budget. A stage's updates are only merged into
+ * the context if it finishes within its budget, so a late result can never
+ * overwrite what later stages already used. The `signal` passed to `run`
+ * aborts when the stage times out or the whole request is cancelled.
+ */
+
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Runs one stage with its timeout budget
+ *
+ * @returns {Promise<object|undefined>} - The stage's context updates
+ */
+async function runStage(stage, ctx, config) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  ctx.signal?.addEventListener('abort', onAbort, { once: true });
+
+  let timer = null;
+  const pending = [stage.run(ctx, config, controller.signal)];
+  if (config.timeoutMs > 0) {
+    pending.push(new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        const error = new Error(`Stage "${stage.name}" timed out after ${config.timeoutMs}ms`);
+        error.timedOut = true;
+        reject(error);
+      }, config.timeoutMs);
+    }));
+  }
+
+  try {
+    return await Promise.race(pending);
+  } finally {
+    clearTimeout(timer);
+    ctx.signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Runs stages in order (array steps run concurrently)
+ *
+ * @param {Array<object|object[]>} stages - Stage definitions, or groups of concurrent stages
+ * @param {object} ctx - Shared context, updated with each stage's results
+ * @param {object} options
+ * @param {object} options.config - Per-stage config keyed by stage name ({ enabled, timeoutMs, ...stageOptions })
+ * @param {object} options.hooks - Optional callbacks
+ * @param {Function} options.hooks.onStageComplete - Called with (stageName, ctx) after each stage
+ * @returns {Promise<object>} - The context, with `timings` filled in
+ */
+export async function runPipeline(stages, ctx, { config = {}, hooks = {} } = {}) {
+  const pipelineStart = Date.now();
+  ctx.timings = { totalMs: 0, stages: {} };
+
+  const execute = async (stage) => {
+    const stageConfig = config[stage.name] || {};
+
+    if (!stage.required && (stageConfig.enabled === false || stage.skip?.(ctx))) {
+      ctx.timings.stages[stage.name] = { status: 'skipped', durationMs: 0 };
+      return;
+    }
+
+    const start = Date.now();
+    try {
+      const updates = await runStage(stage, ctx, stageConfig);
+      Object.assign(ctx, updates);
+      ctx.timings.stages[stage.name] = { status: 'ok', durationMs: Date.now() - start };
+    } catch (error) {
+      ctx.timings.stages[stage.name] = {
+        status: error.timedOut ? 'timeout' : 'failed',
+        durationMs: Date.now() - start,
+        error: error.message
+      };
+
+      if (stage.required) {
+        error.timings = ctx.timings;
+        throw error;
+      }
+      logger.warn(`Pipeline stage "${stage.name}" failed, continuing without it:`, error.message);
+    }
+
+    logger.debug(`Pipeline stage "${stage.name}" finished in ${ctx.timings.stages[stage.name].durationMs}ms`);
+
+    if (hooks.onStageComplete) {
+      await hooks.onStageComplete(stage.name, ctx);
+    }
+  };
+
+  try {
+    for (const step of stages) {
+      if (Array.isArray(step)) {
+        await Promise.all(step.map(execute));
+      } else {
+        await execute(step);
+      }
+    }
+  } finally {
+    ctx.timings.totalMs = Date.now() - pipelineStart;
+  }
+
+  return ctx;
+}
@@ -0,0 +1,70 @@
+/**
+ * Answer Cache Stages
+ * `cache-lookup` runs first: it embeds the question and looks for a cached
+ * answer to a semantically equivalent one (same filters, persona, locale and
+ * response format).
+ * On a hit, retrieval and live data are skipped and the generate stage
+ * replays the cached answer instead of calling the LLM.
+ *
+ * `cache-store` runs alongside post-process and stores fresh answers.
+ *
+ * Follow-up questions are neither looked up nor stored: their meaning depends
+ * on the conversation before them.
+ */
+
+import { getEmbedding } from '../../embeddings.js';
+import { getCacheKey, lookupAnswer, storeAnswer } from '../../answerCache.js';
+import { logger } from '../../../utils/logger.js';
+
+export const cacheLookupStage = {
+  name: 'cache-lookup',
+  required: false,
+  skip: ctx => ctx.history.length > 0,
+
+  /**
+   * Reads: message, filters, persona, locale, responseFormat, cacheLookup
+   * Returns: cacheKey, questionEmbedding, cachedAnswer
+   */
+  async run(ctx, config, signal) {
+    const cacheKey = getCacheKey(ctx);
+    const questionEmbedding = await getEmbedding(ctx.message, { signal });
+    if (!ctx.cacheLookup) {
+      // Refresh requested: skip the lookup, but still cache the new answer
+      return { cacheKey, questionEmbedding };
+    }
+
+    const cachedAnswer = await lookupAnswer(questionEmbedding, cacheKey);
+    if (cachedAnswer) {
+      logger.info(
+        `Answer cache hit (similarity ${cachedAnswer.similarity.toFixed(3)}, cached question: "${cachedAnswer.question}")`
+      );
+    }
+    return { cacheKey, questionEmbedding, cachedAnswer };
+  }
+};
+
+export const cacheStoreStage = {
+  name: 'cache-store',
+  required: false,
+  // Structured answers that still fail validation are not worth reusing
+  skip: ctx => !ctx.questionEmbedding || !!ctx.cachedAnswer || ctx.cancelled || !ctx.content ||
+    ctx.validationErrors.length > 0,
+
+  /**
+   * Reads: cacheKey, questionEmbedding, message, content, citations, toolCalls, provider, model
+   * Returns: nothing
+   */
+  async run(ctx) {
+    await storeAnswer({
+      cacheKey: ctx.cacheKey,
+      question: ctx.message,
+      embedding: ctx.questionEmbedding,
+      content: ctx.content,
+      citations: ctx.citations,
+      toolCalls: ctx.toolCalls,
+      provider: ctx.provider,
+      model: ctx.model,
+      usesLiveData: ctx.citations.some(citation => citation.type === 'live')
+    });
+  }
+};
@@ -0,0 +1,101 @@
+/**
+ * Assemble Stage
+ * Numbers retrieved documents and live data blocks in one sequence so the
+ * LLM can cite each block inline as [n], and builds the matching citations
+ * list for the client. The blocks are placed into the prompt by the user
+ * template (prompts/user.md).
+ *
+ * Sources are admitted into a token budget first (see contextBudget.js):
+ * live data, then documents in search rank order, with the overflow truncated,
+ * summarized or dropped. The budget's report lists what happened to each
+ * source, and generate keeps using the budget for tool results.
+ *
+ * For a cached answer, the citations it was stored with are restored instead.
+ */
+
+import { addDocumentCitation, addLiveCitation, getDocumentTitle, toSources } from '../citations.js';
+import { createContextBudget, getSourceBudget, estimateTokens } from '../../contextBudget.js';
+import { getContextLimits, summarizeForContext } from '../../llm.js';
+import { buildSystemPrompt } from '../../prompts.js';
+import { logger } from '../../../utils/logger.js';
+
+// The user template's own text around the sources
+const TEMPLATE_OVERHEAD_TOKENS = 100;
+
+/**
+ * Tokens the prompt needs besides the sources
+ */
+function estimatePromptTokens(ctx) {
+  const system = buildSystemPrompt({ persona: ctx.persona, locale: ctx.locale, tools: true });
+  const history = ctx.history.reduce((sum, turn) => sum + estimateTokens(turn.content), 0);
+  return estimateTokens(system) + history + estimateTokens(ctx.message) + TEMPLATE_OVERHEAD_TOKENS;
+}
+
+export const assembleStage = {
+  name: 'assemble',
+  required: true,
+
+  /**
+   * Reads: message, history, persona, locale, documents, liveData, cachedAnswer, signal
+   * Returns: context, citations, sources, contextBudget
+   */
+  async run(ctx, config, signal) {
+    if (ctx.cachedAnswer) {
+      const citations = ctx.cachedAnswer.citations;
+      return { context: { documents: '', liveData: '' }, citations, sources: toSources(citations), contextBudget: null };
+    }
+
+    const { model, maxOutputTokens } = getContextLimits();
+    const budget = createContextBudget({
+      model,
+      ...getSourceBudget({ model, maxOutputTokens, promptTokens: estimatePromptTokens(ctx) }),
+      summarize: (text, maxTokens) => summarizeForContext(text, { question: ctx.message, maxTokens, signal })
+    });
+
+    // Live data is small and current, so it goes in first
+    const liveBlocks = [];
+    for (const block of ctx.liveData?.blocks || []) {
+      const content = await budget.admit({ type: 'live', title: block.title, content: block.content });
+      if (content !== null) {
+        liveBlocks.push({ ...block, content });
+      }
+    }
+    const documents = [];
+    // Documents arrive best first (vector similarity or fused hybrid score)
+    for (const doc of ctx.documents) {
+      const content = await budget.admit({
+        type: 'document',
+        title: getDocumentTitle(doc),
+        content: doc.content,
+        documentId: doc.documentId ?? doc.id,
+        similarity: doc.similarity
+      });
+      if (content !== null) {
+        documents.push({ ...doc, content });
+      }
+    }
+
+    const cut = budget.report.sources.filter(source => source.status !== 'included');
+    if (cut.length > 0) {
+      logger.info(
+        `Context budget ${budget.report.limitTokens} tokens: ` +
+        cut.map(source => `${source.status} "${source.title}" (${source.tokens} tokens)`).join(', ')
+      );
+    }
+
+    const citations = [];
+    const snippetLength = config.snippetLength || 200;
+    const documentBlocks = documents.map(doc => addDocumentCitation(citations, doc, snippetLength));
+    const liveDataBlocks = liveBlocks.map(block => addLiveCitation(citations, block));
+
+    return {
+      context: {
+        documents: documentBlocks.join('\n\n'),
+        liveData: liveDataBlocks.join('\n\n')
+      },
+      citations,
+      sources: toSources(citations),
+      contextBudget: budget
+    };
+  }
+};
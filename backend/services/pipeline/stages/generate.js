@@ -0,0 +1,167 @@
+/**
+ * Generate Stage
+ * Calls the LLM with the assembled context and conversation history.
+ * Streams chunks through `ctx.onChunk` when the transport provides it.
+ *
+ * When tools are enabled the model may call them while answering; each call
+ * is reported through `ctx.onToolEvent` ('tool_call' when it starts,
+ * 'tool_result' when it finishes, then 'sources' with the citations its
+ * results added). Tool results are admitted into the context budget that
+ * assemble started, so they are cut or dropped like retrieved sources.
+ *
+ * A cached answer (see answerCache.js) is replayed through the same chunk
+ * callback without calling the LLM.
+ *
+ * With `ctx.responseFormat` the answer is JSON matching the requested schema:
+ * it is generated in a single completion without tools, validated, and sent
+ * back for repair when invalid (see getStructuredResponse()).
+ */
+
+import { getLLMResponse, streamLLMResponse, getStructuredResponse, getModelInfo } from '../../llm.js';
+import { parseStructuredOutput } from '../../structuredOutput.js';
+import { executeToolCall, describeToolCall, getToolDefinitions } from '../../tools.js';
+import { addDocumentCitation, addLiveCitation, getDocumentTitle, toSources } from '../citations.js';
+import { logger } from '../../../utils/logger.js';
+
+/**
+ * Sends a cached answer word by word, as if it were being generated
+ */
+function replayCachedAnswer(ctx) {
+  const { content, provider, model, toolCalls, citations } = ctx.cachedAnswer;
+  if (ctx.onChunk) {
+    for (const chunk of content.match(/\S+\s*|\s+/g) || []) {
+      if (ctx.signal?.aborted) break;
+      ctx.onChunk(chunk);
+    }
+  }
+  const structured = ctx.responseFormat ? parseStructuredOutput(content, ctx.responseFormat.schema) : null;
+  return {
+    content,
+    cancelled: false,
+    provider,
+    model,
+    toolCalls,
+    citations,
+    sources: toSources(citations),
+    ...(structured ? { data: structured.data, validationErrors: structured.errors } : {})
+  };
+}
+
+export const generateStage = {
+  name: 'generate',
+  required: true,
+
+  /**
+   * Reads: message, context, contextBudget, history, persona, locale, responseFormat, filters, citations, cachedAnswer, signal, onChunk, onToolEvent
+   * Returns: content, cancelled, provider, model, toolCalls, citations, sources, data, validationErrors
+   */
+  async run(ctx, config) {
+    if (ctx.cachedAnswer) {
+      return replayCachedAnswer(ctx);
+    }
+
+    // Primary provider until a fallback reports that it answered instead
+    let answeredBy = getModelInfo();
+    const citations = [...ctx.citations];
+    const toolCalls = [];
+    const emit = (event, data) => ctx.onToolEvent?.(event, data);
+
+    const runTool = async (call) => {
+      const record = { id: call.id, name: call.name, arguments: call.arguments, label: describeToolCall(call) };
+      toolCalls.push(record);
+      emit('tool_call', { ...record });
+
+      const start = Date.now();
+      const result = await executeToolCall(call, {
+        signal: ctx.signal,
+        filters: ctx.filters,
+        minSimilarity: config.minSimilarity,
+        rerank: config.rerank,
+        timeouts: config.toolTimeouts,
+        mmrLambda: config.mmrLambda,
+        maxPerSource: config.maxPerSource
+      });
+      record.status = result.error ? 'error' : 'ok';
+      record.durationMs = Date.now() - start;
+      if (result.error) {
+        record.error = result.error;
+        logger.warn(`Tool ${call.name} failed:`, result.error);
+      }
+      emit('tool_result', { ...record });
+
+      if (result.error) {
+        return `Error: ${result.error}`;
+      }
+      if (result.items.length === 0) {
+        return 'No results.';
+      }
+
+      const blocks = [];
+      for (const item of result.items) {
+        const { document, block } = item;
+        const source = item.type === 'document'
+          ? { type: 'document', title: getDocumentTitle(document), content: document.content, documentId: document.documentId ?? document.id, similarity: document.similarity }
+          : { type: 'live', title: block.title, content: block.content };
+        const content = ctx.contextBudget ? await ctx.contextBudget.admit(source) : source.content;
+        if (content === null) continue;
+        blocks.push(item.type === 'document'
+          ? addDocumentCitation(citations, { ...document, content }, config.snippetLength)
+          : addLiveCitation(citations, { ...block, content }));
+      }
+      if (blocks.length === 0) {
+        return 'The results did not fit in the remaining context.';
+      }
+      emit('sources', { sources: toSources(citations), citations });
+      return blocks.join('\n\n');
+    };
+
+    const options = {
+      history: ctx.history,
+      persona: ctx.persona,
+      locale: ctx.locale,
+      signal: ctx.signal,
+      onProvider: (info) => { answeredBy = info; },
+      ...(config.tools ? { tools: getToolDefinitions(), runTool, maxToolRounds: config.maxToolRounds } : {})
+    };
+    let content = '';
+    let structured = null;
+
+    try {
+      if (ctx.signal?.aborted) {
+        // Cancelled before generation started
+      } else if (ctx.responseFormat) {
+        structured = await getStructuredResponse(ctx.message, ctx.context, {
+          ...options,
+          responseFormat: ctx.responseFormat
+        });
+        content = structured.content;
+      } else if (ctx.onChunk) {
+        for await (const chunk of streamLLMResponse(ctx.message, ctx.context, options)) {
+          content += chunk;
+          ctx.onChunk(chunk);
+        }
+      } else {
+        content = await getLLMResponse(ctx.message, ctx.context, options);
+      }
+    } catch (error) {
+      if (!ctx.signal?.aborted) {
+        throw error;
+      }
+    }
+
+    const cancelled = !!ctx.signal?.aborted;
+    if (cancelled) {
+      // Keep whatever was generated before the cancel
+      logger.info(`Generation cancelled after ${content.length} characters`);
+    }
+    return {
+      content,
+      cancelled,
+      ...answeredBy,
+      toolCalls,
+      citations,
+      sources: toSources(citations),
+      ...(structured ? { data: structured.data, validationErrors: structured.errors } : {})
+    };
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * Live Data Stage
+ * Fetches real-time Web3 data (prices, trending coins, DeFi protocols).
+ * Blocks flagged by the prompt injection scanner are dropped.
+ */
+
+import { searchWeb3Context } from '../../web3.js';
+import { screenLiveBlocks } from '../../promptInjection.js';
+
+export const liveDataStage = {
+  name: 'live-data',
+  required: false,
+  // A cached answer already carries the data it was built on
+  skip: ctx => !!ctx.cachedAnswer,
+
+  /**
+   * Reads: message
+   * Returns: liveData ({ relevantData, sources, blocks })
+   */
+  async run(ctx, config, signal) {
+    const liveData = await searchWeb3Context(ctx.message, { signal });
+    if (!liveData?.blocks) {
+      return { liveData };
+    }
+    const blocks = screenLiveBlocks(liveData.blocks, 'live-data');
+    return {
+      liveData: {
+        relevantData: blocks.map(block => block.content).join('\n'),
+        sources: blocks.map(block => block.source),
+        blocks
+      }
+    };
+  }
+};
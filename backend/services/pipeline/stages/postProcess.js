@@ -0,0 +1,31 @@
+/**
+ * Post-process Stage
+ * Stores the exchange in the conversation so follow-up questions can replay it
+ */
+
+import { addMessage } from '../../conversations.js';
+
+export const postProcessStage = {
+  name: 'post-process',
+  required: false,
+
+  /**
+   * Reads: conversationId, message, content, sources, citations, provider, model, filters
+   * Returns: messageId (the stored assistant turn, used for feedback)
+   */
+  async run(ctx) {
+    if (!ctx.conversationId || !ctx.content) {
+      return;
+    }
+
+    await addMessage(ctx.conversationId, 'user', ctx.message);
+    const messageId = await addMessage(ctx.conversationId, 'assistant', ctx.content, {
+      sources: ctx.sources,
+      citations: ctx.citations,
+      provider: ctx.provider,
+      model: ctx.model,
+      filters: ctx.filters
+    });
+    return { messageId };
+  }
+};
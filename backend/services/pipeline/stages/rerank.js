@@ -0,0 +1,29 @@
+/**
+ * Rerank Stage
+ * Rescores the documents retrieved for the message and keeps the best
+ * (see rerank.js). Only enabled with RERANK_ENABLED or the request's
+ * `rerank` option; retrieve then fetches `candidates` documents instead of
+ * `limit`. If reranking fails or times out, the retrieve stage's top `limit`
+ * documents are used as they are.
+ */
+
+import { rerankDocuments } from '../../rerank.js';
+
+export const rerankStage = {
+  name: 'rerank',
+  required: false,
+  skip: ctx => !!ctx.cachedAnswer || ctx.candidates.length === 0,
+
+  /**
+   * Reads: message, candidates
+   * Returns: documents
+   */
+  async run(ctx, config, signal) {
+    const documents = await rerankDocuments(ctx.message, ctx.candidates, {
+      provider: config.provider,
+      limit: config.limit,
+      signal
+    });
+    return { documents };
+  }
+};
@@ -0,0 +1,35 @@
+/**
+ * Retrieve Stage
+ * Searches the vector store for stored knowledge relevant to the message
+ * When reranking is on, `candidates` (more than `limit`) are fetched for the
+ * rerank stage to choose from; `documents` are the top `limit` either way.
+ */
+
+import { searchSimilar } from '../../vectorStore.js';
+import { logger } from '../../../utils/logger.js';
+
+export const retrieveStage = {
+  name: 'retrieve',
+  required: false,
+  // A cached answer needs no retrieval
+  skip: ctx => !!ctx.cachedAnswer,
+
+  /**
+   * Reads: message, filters, history
+   * Returns: documents, candidates
+   */
+  async run(ctx, config, signal) {
+    const candidates = await searchSimilar(
+      ctx.message,
+      config.candidates ?? config.limit,
+      config.minSimilarity,
+      ctx.filters,
+      { history: ctx.history, signal, mmrLambda: config.mmrLambda, maxPerSource: config.maxPerSource }
+    );
+
+    if (candidates.length > 0) {
+      logger.info(`Found ${candidates.length} relevant documents from vector store`);
+    }
+    return { documents: candidates.slice(0, config.limit), candidates };
+  }
+};
@@ -0,0 +1,238 @@
+/**
+ * Prompt Injection Service
+ *
+ * Retrieved documents and live data are pasted into the prompt, so text in
+ * them could try to instruct the model ("ignore your previous instructions").
+ * Two defenses work together:
+ *
+ * 1. Delimiting: every source goes into the prompt as a <source> block with
+ *    its markup escaped (see formatSourceBlock()), and the system prompt tells
+ *    the model that block contents are data, not instructions.
+ * 2. Scanning: text is checked for instruction-like patterns when a document
+ *    is added and again when it is retrieved (which also covers documents
+ *    stored before the scanner existed, and live data). What happens to a
+ *    flagged source depends on PROMPT_INJECTION_ACTION:
+ *      quarantine  Flagged documents are stored but never retrieved; flagged
+ *                  sources are left out of the prompt (default)
+ *      downweight  Flagged documents rank lower (similarity multiplied by
+ *                  PROMPT_INJECTION_DOWNWEIGHT) and may fall below the threshold
+ *      log         Only log
+ *
+ * Every flagged source is logged with where it was found and what was done.
+ *
+ * Configuration:
+ *   PROMPT_INJECTION_ACTION=quarantine   quarantine, downweight or log
+ *   PROMPT_INJECTION_THRESHOLD=1         Score at which text is flagged
+ *   PROMPT_INJECTION_DOWNWEIGHT=0.5      Similarity multiplier for flagged documents
+ */
+
+import { logger } from '../utils/logger.js';
+
+const ACTIONS = ['quarantine', 'downweight', 'log'];
+
+// Each matching rule adds its weight to the score
+const RULES = [
+  {
+    name: 'ignore-instructions',
+    weight: 1,
+    pattern: /\b(ignore|disregard|forget|override|bypass)\b[^.\n]{0,40}\b(previous|prior|above|earlier|all|any|your|the)\b[^.\n]{0,20}\b(instructions?|prompts?|rules|directions|guidelines)\b/i
+  },
+  {
+    name: 'role-override',
+    weight: 1,
+    pattern: /\byou are now\b|\bfrom now on,? you (are|will|must|should)\b|\b(pretend|act) (to be|as) (an? )?(unrestricted|unfiltered|jailbroken|different)\b/i
+  },
+  {
+    name: 'chat-markup',
+    weight: 1,
+    pattern: /<\|?(im_start|im_end|system|endoftext)\|?>|\[\/?INST\]|<<\/?SYS>>/i
+  },
+  {
+    name: 'source-delimiter',
+    weight: 1,
+    pattern: /<\/?source\b/i
+  },
+  {
+    name: 'conceal-from-user',
+    weight: 1,
+    pattern: /\b(do not|don't|never) (tell|inform|mention (this )?to|reveal (this )?to) the user\b/i
+  },
+  {
+    name: 'prompt-reference',
+    weight: 0.5,
+    pattern: /\b(system prompt|system message|developer message|hidden instructions)\b/i
+  },
+  {
+    name: 'role-prefix',
+    weight: 0.5,
+    pattern: /^\s*(system|assistant|developer)\s*:/im
+  },
+  {
+    name: 'new-instructions',
+    weight: 0.5,
+    pattern: /\b(new|updated|real|actual) instructions?\s*:/i
+  },
+  {
+    name: 'tool-invocation',
+    weight: 0.5,
+    pattern: /\b(call|invoke|run|use) the \w+ (tool|function)\b/i
+  }
+];
+
+/**
+ * What to do with flagged sources
+ *
+ * @returns {'quarantine'|'downweight'|'log'}
+ */
+export function getInjectionAction() {
+  const action = (process.env.PROMPT_INJECTION_ACTION || 'quarantine').toLowerCase();
+  return ACTIONS.includes(action) ? action : 'quarantine';
+}
+
+/**
+ * Valid PROMPT_INJECTION_ACTION values
+ *
+ * @returns {string[]}
+ */
+export function listInjectionActions() {
+  return [...ACTIONS];
+}
+
+/**
+ * Checks text for instruction-like content
+ *
+ * @param {string} text
+ * @returns {{flagged: boolean, score: number, rules: string[]}}
+ */
+export function scanForInjection(text) {
+  const threshold = parseFloat(process.env.PROMPT_INJECTION_THRESHOLD || '1');
+  const matched = RULES.filter(rule => rule.pattern.test(text || ''));
+  const score = matched.reduce((sum, rule) => sum + rule.weight, 0);
+  return { flagged: score >= threshold, score, rules: matched.map(rule => rule.name) };
+}
+
+/**
+ * Logs a flagged source
+ *
+ * @param {object} event
+ * @param {string} event.stage - Where it was found: ingest, retrieval, live-data, tool
+ * @param {string} event.source - Document title or live data source
+ * @param {number|null} event.documentId
+ * @param {{score: number, rules: string[]}} event.scan
+ * @param {string} event.action - What was done: quarantined, downweighted, logged
+ */
+export function logInjectionEvent({ stage, source, documentId = null, scan, action }) {
+  logger.warn('Possible prompt injection:', JSON.stringify({
+    stage,
+    source,
+    documentId,
+    score: scan.score,
+    rules: scan.rules,
+    action
+  }));
+}
+
+/**
+ * Scans a document before it is stored
+ * The title is scanned with the content since it is shown to the model too.
+ *
+ * @param {string} content
+ * @param {object} metadata
+ * @returns {{scan: object, quarantined: boolean}}
+ */
+export function screenDocumentForIngest(content, metadata = {}) {
+  const scan = scanForInjection(`${metadata.title || ''}\n${content}`);
+  const quarantined = scan.flagged && getInjectionAction() === 'quarantine';
+  if (scan.flagged) {
+    logInjectionEvent({
+      stage: 'ingest',
+      source: metadata.title || metadata.source || 'untitled document',
+      scan,
+      action: quarantined ? 'quarantined' : 'logged'
+    });
+  }
+  return { scan, quarantined };
+}
+
+/**
+ * Scans retrieved documents and applies PROMPT_INJECTION_ACTION
+ *
+ * @param {Array<{id, content, metadata, similarity, score}>} documents - Sorted by score (or similarity)
+ * @param {number} minSimilarity - Down-weighted documents below this are dropped
+ * @returns {Array} - The documents to use, re-sorted by (adjusted) score
+ */
+export function screenRetrievedDocuments(documents, minSimilarity = 0) {
+  const action = getInjectionAction();
+  const factor = parseFloat(process.env.PROMPT_INJECTION_DOWNWEIGHT || '0.5');
+  const screened = [];
+
+  for (const doc of documents) {
+    const scan = scanForInjection(`${doc.metadata?.title || ''}\n${doc.content}`);
+    if (!scan.flagged) {
+      screened.push(doc);
+      continue;
+    }
+
+    const event = { stage: 'retrieval', source: doc.metadata?.title || doc.metadata?.source || null, documentId: doc.documentId ?? doc.id, scan };
+    if (action === 'quarantine') {
+      logInjectionEvent({ ...event, action: 'quarantined' });
+    } else if (action === 'downweight') {
+      const similarity = doc.similarity * factor;
+      logInjectionEvent({ ...event, action: similarity >= minSimilarity ? 'downweighted' : 'downweighted below threshold' });
+      if (similarity >= minSimilarity) {
+        screened.push({ ...doc, similarity, ...(doc.score !== undefined && { score: doc.score * factor }) });
+      }
+    } else {
+      logInjectionEvent({ ...event, action: 'logged' });
+      screened.push(doc);
+    }
+  }
+
+  return screened.sort((a, b) => (b.score ?? b.similarity) - (a.score ?? a.similarity));
+}
+
+/**
+ * Scans live data blocks (API data can carry attacker-chosen text, e.g. token names)
+ * Flagged blocks are dropped unless PROMPT_INJECTION_ACTION is log; there is
+ * no ranking to down-weight them in.
+ *
+ * @param {Array<{title, content, source}>} blocks
+ * @param {string} stage - live-data or tool
+ * @returns {Array} - The blocks to use
+ */
+export function screenLiveBlocks(blocks, stage = 'live-data') {
+  const action = getInjectionAction();
+  return blocks.filter(block => {
+    const scan = scanForInjection(`${block.title}\n${block.content}`);
+    if (!scan.flagged) return true;
+    const keep = action === 'log';
+    logInjectionEvent({ stage, source: block.source?.name || block.title, scan, action: keep ? 'logged' : 'quarantined' });
+    return keep;
+  });
+}
+
+/**
+ * Escapes untrusted text so it cannot open or close prompt markup
+ */
+function escapeMarkup(text) {
+  return String(text).replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Formats a source for the prompt as a delimited block with escaped content
+ *
+ *   <source id="2" type="stored knowledge" title="Uniswap v4 hooks">
+ *   ...
+ *   </source>
+ *
+ * @param {object} source
+ * @param {number} source.index - Citation number
+ * @param {string} source.type - 'stored knowledge' or 'live data'
+ * @param {string} source.title
+ * @param {string} source.content
+ * @returns {string}
+ */
+export function formatSourceBlock({ index, type, title, content }) {
+  const safeTitle = escapeMarkup(title).replace(/"/g, '&quot;').replace(/\s+/g, ' ');
+  return `<source id="${index}" type="${type}" title="${safeTitle}">\n${escapeMarkup(content)}\n</source>`;
+}
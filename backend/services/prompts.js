@@ -0,0 +1,227 @@
+/**
+ * Prompts Service
+ *
+ * Loads the prompt templates and personas from backend/prompts/ (or
+ * PROMPTS_DIR) and renders them for a request:
+ *
+ *   prompts/system.md            System prompt: persona, date, locale, tool instructions
+ *   prompts/user.md              Current user turn: retrieved documents, live data, question
+ *   prompts/repair.md            Asks the model to fix JSON that did not match the requested schema
+ *   prompts/summarize.md         System prompt for shrinking a source that does not fit the context budget
+ *   prompts/rerank.md            System prompt for scoring retrieved documents (LLM reranker)
+ *   prompts/personas/<id>.md     One persona per file; the file name is its ID
+ *
+ * Templates use a small mustache-style syntax:
+ *   {{name}}                     Replaced with the variable (empty if unset)
+ *   {{#name}} ... {{/name}}      Kept only if the variable is non-empty
+ *   {{^name}} ... {{/name}}      Kept only if the variable is empty
+ *
+ * A persona file starts with a front matter block giving its display name and
+ * a one-line description, followed by the persona's instructions:
+ *
+ *   ---
+ *   name: DeFi risk analyst
+ *   description: Smart contract, liquidity and counterparty risks first
+ *   ---
+ *   You are a DeFi risk analyst...
+ *
+ * Templates are read once; restart the server after editing them.
+ */
+
+import { readFileSync, readdirSync } from 'fs';
+import { join, basename } from 'path';
+import { fileURLToPath } from 'url';
+
+const BUNDLED_PROMPTS_DIR = fileURLToPath(new URL('../prompts/', import.meta.url));
+
+let prompts = null;
+
+/**
+ * Splits a persona file into its front matter fields and instructions
+ */
+function parsePersona(id, source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+  const fields = {};
+  for (const line of (match ? match[1] : '').split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      fields[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  }
+  return {
+    id,
+    name: fields.name || id,
+    description: fields.description || '',
+    instructions: (match ? match[2] : source).trim()
+  };
+}
+
+function loadPrompts() {
+  const dir = process.env.PROMPTS_DIR || BUNDLED_PROMPTS_DIR;
+  const personasDir = join(dir, 'personas');
+  const personas = new Map();
+  for (const file of readdirSync(personasDir).filter(name => name.endsWith('.md')).sort()) {
+    const id = basename(file, '.md');
+    personas.set(id, parsePersona(id, readFileSync(join(personasDir, file), 'utf8')));
+  }
+
+  return {
+    system: readFileSync(join(dir, 'system.md'), 'utf8'),
+    user: readFileSync(join(dir, 'user.md'), 'utf8'),
+    repair: readFileSync(join(dir, 'repair.md'), 'utf8'),
+    summarize: readFileSync(join(dir, 'summarize.md'), 'utf8'),
+    rerank: readFileSync(join(dir, 'rerank.md'), 'utf8'),
+    personas
+  };
+}
+
+function getPrompts() {
+  prompts ||= loadPrompts();
+  return prompts;
+}
+
+/**
+ * Renders a template with the given variables (see the syntax above)
+ * Variable values are inserted as-is and never expanded themselves.
+ *
+ * @param {string} template
+ * @param {object} vars
+ * @returns {string}
+ */
+export function renderTemplate(template, vars) {
+  const isSet = name => {
+    const value = vars[name];
+    return Array.isArray(value) ? value.length > 0 : !!value;
+  };
+  // A section tag on a line of its own takes its line break with it
+  const renderSections = text => text.replace(
+    /\{\{([#^])(\w+)\}\}\n?([\s\S]*?)\{\{\/\2\}\}\n?/g,
+    (_, type, name, body) => ((type === '#') === isSet(name) ? renderSections(body) : '')
+  );
+  return renderSections(template)
+    .replace(/\{\{(\w+)\}\}/g, (_, name) => (vars[name] === undefined || vars[name] === null ? '' : String(vars[name])))
+    .trim();
+}
+
+/**
+ * Gets the ID of the persona used when a request does not pick one
+ *
+ * @returns {string}
+ */
+export function getDefaultPersonaId() {
+  return process.env.PROMPT_DEFAULT_PERSONA || 'default';
+}
+
+/**
+ * Lists the available personas
+ *
+ * @returns {Array<{id: string, name: string, description: string}>}
+ */
+export function listPersonas() {
+  return [...getPrompts().personas.values()].map(({ id, name, description }) => ({ id, name, description }));
+}
+
+/**
+ * Gets a persona by ID
+ *
+ * @param {string} id
+ * @returns {{id: string, name: string, description: string, instructions: string}|null}
+ */
+export function getPersona(id) {
+  return getPrompts().personas.get(id) || null;
+}
+
+/**
+ * Normalizes a BCP 47 locale tag, falling back to PROMPT_DEFAULT_LOCALE
+ *
+ * @param {string} locale - e.g. 'de-DE', 'pt-br'
+ * @returns {string}
+ */
+export function resolveLocale(locale) {
+  const fallback = process.env.PROMPT_DEFAULT_LOCALE || 'en-US';
+  if (!locale) return fallback;
+  try {
+    return Intl.getCanonicalLocales(locale)[0];
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Renders the system prompt
+ *
+ * @param {object} options
+ * @param {string} options.persona - Persona ID (default: PROMPT_DEFAULT_PERSONA)
+ * @param {string} options.locale - User locale (default: PROMPT_DEFAULT_LOCALE)
+ * @param {boolean} options.tools - Whether tools are offered
+ * @param {string} options.responseSchema - JSON schema the answer must match (structured output)
+ * @param {Date} options.now - Current time (for tests and replays)
+ * @returns {string}
+ */
+export function buildSystemPrompt({ persona, locale, tools = false, responseSchema = '', now = new Date() } = {}) {
+  const { system } = getPrompts();
+  const selected = getPersona(persona || getDefaultPersonaId()) || getPersona(getDefaultPersonaId());
+  const resolvedLocale = resolveLocale(locale);
+
+  return renderTemplate(system, {
+    persona: selected?.instructions || '',
+    locale: resolvedLocale,
+    date: now.toLocaleDateString(resolvedLocale, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+    isoDate: now.toISOString().slice(0, 10),
+    tools,
+    responseSchema
+  });
+}
+
+/**
+ * Renders the current user turn
+ *
+ * @param {object} options
+ * @param {string} options.question - The user's message
+ * @param {string} options.documents - Numbered knowledge base passages
+ * @param {string} options.liveData - Numbered live data blocks
+ * @returns {string}
+ */
+export function buildUserPrompt({ question, documents = '', liveData = '' }) {
+  return renderTemplate(getPrompts().user, {
+    question,
+    documents,
+    liveData,
+    hasContext: !!(documents || liveData)
+  });
+}
+
+/**
+ * Renders the follow-up asking the model to fix invalid structured output
+ *
+ * @param {string[]} errors - Parse and validation errors of the previous output
+ * @returns {string}
+ */
+export function buildRepairPrompt(errors) {
+  return renderTemplate(getPrompts().repair, {
+    errors: errors.map(error => `- ${error}`).join('\n')
+  });
+}
+
+/**
+ * Renders the instructions for summarizing an oversized source
+ *
+ * @param {object} options
+ * @param {string} options.question - The user's question, to focus the summary
+ * @param {number} options.maxWords - Length limit of the summary
+ * @returns {string}
+ */
+export function buildSummarizePrompt({ question, maxWords }) {
+  return renderTemplate(getPrompts().summarize, { question, maxWords });
+}
+
+/**
+ * Renders the instructions for scoring documents against a question
+ *
+ * @param {object} options
+ * @param {string} options.question - The user's question
+ * @returns {string}
+ */
+export function buildRerankPrompt({ question }) {
+  return renderTemplate(getPrompts().rerank, { question });
+}
@@ -0,0 +1,170 @@
+/**
+ * Anthropic Provider
+ * Messages API against api.anthropic.com
+ *
+ * Structured output is done with a forced tool call: the requested schema
+ * becomes the input schema of a tool the model must call, and the tool input
+ * is returned as the answer text.
+ */
+
+import { postJSON, readLines, parseToolArguments } from './http.js';
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+
+/**
+ * Converts provider-neutral messages to the Messages API format
+ * Tool calls become `tool_use` blocks; tool results become `tool_result`
+ * blocks in a user turn (results of one round share a single turn).
+ */
+function toAnthropicMessages(messages) {
+  const converted = [];
+  for (const message of messages) {
+    if (message.role === 'tool') {
+      const block = { type: 'tool_result', tool_use_id: message.toolCallId, content: message.content };
+      const previous = converted[converted.length - 1];
+      if (previous?.role === 'user' && Array.isArray(previous.content)) {
+        previous.content.push(block);
+      } else {
+        converted.push({ role: 'user', content: [block] });
+      }
+    } else if (message.toolCalls?.length) {
+      converted.push({
+        role: 'assistant',
+        content: [
+          ...(message.content ? [{ type: 'text', text: message.content }] : []),
+          ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments }))
+        ]
+      });
+    } else {
+      converted.push({ role: message.role, content: message.content });
+    }
+  }
+  return converted;
+}
+
+/**
+ * Tool definitions for a request, or the forced answer tool for structured output
+ */
+function toAnthropicTools(config, { tools, toolChoice, responseFormat }) {
+  if (config.structuredOutput && responseFormat) {
+    return {
+      tools: [{ name: responseFormat.name, description: 'Give the answer', input_schema: responseFormat.schema }],
+      tool_choice: { type: 'tool', name: responseFormat.name }
+    };
+  }
+  return config.tools && tools?.length
+    ? {
+      tools: tools.map(({ name, description, parameters }) => ({ name, description, input_schema: parameters })),
+      ...(toolChoice === 'none' ? { tool_choice: { type: 'none' } } : {})
+    }
+    : {};
+}
+
+function request(config, input, stream, signal) {
+  const { system, messages } = input;
+  return postJSON(ANTHROPIC_API_URL, {
+    label: 'Anthropic',
+    signal,
+    headers: {
+      'x-api-key': config.apiKey,
+      'anthropic-version': '2023-06-01'
+    },
+    body: {
+      model: config.model,
+      max_tokens: config.maxTokens,
+      system,
+      messages: toAnthropicMessages(messages),
+      ...toAnthropicTools(config, input),
+      ...(stream ? { stream: true } : {})
+    }
+  });
+}
+
+function getConfig() {
+  return {
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    model: process.env.ANTHROPIC_MODEL || 'claude-3-sonnet-20240229',
+    maxTokens: parseInt(process.env.ANTHROPIC_MAX_TOKENS || '1000'),
+    tools: true,
+    structuredOutput: true
+  };
+}
+
+export const anthropicProvider = {
+  name: 'anthropic',
+  getConfig,
+
+  validateConfig(config) {
+    return config.apiKey ? [] : ['API key not found for provider "anthropic" (set ANTHROPIC_API_KEY)'];
+  },
+
+  async complete(input, { signal, model } = {}) {
+    const config = { ...getConfig(), ...(model ? { model } : {}) };
+    const response = await request(config, input, false, signal);
+    const data = await response.json();
+    const blocks = data.content || [];
+    const usage = data.usage
+      ? { promptTokens: data.usage.input_tokens || 0, completionTokens: data.usage.output_tokens || 0 }
+      : null;
+
+    if (config.structuredOutput && input.responseFormat) {
+      const answer = blocks.find(block => block.type === 'tool_use' && block.name === input.responseFormat.name);
+      return { content: answer ? JSON.stringify(answer.input) : '', toolCalls: [], usage };
+    }
+    return {
+      content: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+      toolCalls: blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} })),
+      usage
+    };
+  },
+
+  async *stream(input, { signal, model } = {}) {
+    const config = { ...getConfig(), ...(model ? { model } : {}) };
+    const response = await request(config, input, true, signal);
+    // The forced answer tool's input is the answer itself
+    const answerTool = config.structuredOutput && input.responseFormat ? input.responseFormat.name : null;
+
+    // tool_use blocks stream their input as partial JSON, keyed by block index
+    const toolCalls = [];
+    // Input tokens come with message_start, output tokens with message_delta
+    const usage = { promptTokens: 0, completionTokens: 0 };
+
+    for await (const line of readLines(response)) {
+      if (!line.startsWith('data: ')) continue;
+      try {
+        const json = JSON.parse(line.slice(6));
+        // Text and tool input deltas carry content; message_start/message_delta carry usage
+        if (json.type === 'message_start') {
+          usage.promptTokens = json.message?.usage?.input_tokens || 0;
+        } else if (json.type === 'message_delta' && json.usage) {
+          usage.completionTokens = json.usage.output_tokens || 0;
+        } else if (json.type === 'content_block_start' && json.content_block?.type === 'tool_use') {
+          toolCalls[json.index] = { id: json.content_block.id, name: json.content_block.name, arguments: '' };
+        } else if (json.type === 'content_block_delta' && json.delta?.type === 'text_delta' && json.delta.text) {
+          yield { type: 'text', text: json.delta.text };
+        } else if (json.type === 'content_block_delta' && json.delta?.type === 'input_json_delta') {
+          if (toolCalls[json.index]?.name === answerTool) {
+            yield { type: 'text', text: json.delta.partial_json || '' };
+          } else if (toolCalls[json.index]) {
+            toolCalls[json.index].arguments += json.delta.partial_json || '';
+          }
+        }
+      } catch (e) {
+        // Skip invalid JSON
+      }
+    }
+
+    const calls = toolCalls.filter(call => call && call.name !== answerTool);
+    if (calls.length > 0) {
+      yield {
+        type: 'tool_calls',
+        toolCalls: calls.map(call => ({ ...call, arguments: parseToolArguments(call.arguments) }))
+      };
+    }
+    if (usage.promptTokens || usage.completionTokens) {
+      yield { type: 'usage', usage };
+    }
+  }
+};
@@ -0,0 +1,134 @@
+/**
+ * Provider HTTP helpers
+ * Shared request, stream-reading and payload-parsing code for the LLM providers
+ */
+
+/**
+ * Reads how long the server asked us to wait before retrying
+ * Supports `retry-after-ms` (OpenAI) and `Retry-After` as seconds or an HTTP date.
+ *
+ * @param {Headers} headers - Response headers
+ * @returns {number|null} - Delay in milliseconds, or null if the server did not say
+ */
+function parseRetryAfter(headers) {
+  const ms = parseFloat(headers.get('retry-after-ms'));
+  if (!Number.isNaN(ms)) {
+    return Math.max(0, ms);
+  }
+
+  const value = headers.get('retry-after');
+  if (!value) {
+    return null;
+  }
+  const seconds = parseFloat(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * POSTs a JSON body and returns the response, throwing on non-2xx statuses
+ * The thrown error carries `status` (and `retryAfterMs` when the server sent
+ * Retry-After) so callers can tell rate limits and server errors apart from
+ * bad requests.
+ *
+ * @param {string} url - Endpoint URL
+ * @param {object} options
+ * @param {object} options.headers - Extra request headers
+ * @param {object} options.body - Request body (serialized as JSON)
+ * @param {AbortSignal} options.signal - Aborts the request
+ * @param {string} options.label - Provider label used in error messages (e.g. 'OpenAI')
+ * @returns {Promise<Response>}
+ */
+export async function postJSON(url, { headers = {}, body, signal, label }) {
+  const response = await fetch(url, {
+    method: 'POST',
+    signal,
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const detail = data.error?.message || (typeof data.error === 'string' ? data.error : null);
+    const error = new Error(`${label} API error: ${detail || `HTTP ${response.status}`}`);
+    error.status = response.status;
+    error.retryAfterMs = parseRetryAfter(response.headers);
+    throw error;
+  }
+
+  return response;
+}
+
+/**
+ * Reads a streaming response body line by line
+ * Works for both SSE (`data: ...` lines) and newline-delimited JSON.
+ *
+ * @param {Response} response - A fetch response with a streaming body
+ * @returns {AsyncGenerator<string>} - Non-empty lines, without the trailing newline
+ */
+export async function* readLines(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        if (line.trim() !== '') {
+          yield line;
+        }
+      }
+    }
+
+    if (buffer.trim() !== '') {
+      yield buffer;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Checks that a configured base URL is an absolute http(s) URL
+ *
+ * @returns {boolean}
+ */
+export function isValidBaseUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parses tool call arguments sent as a JSON string
+ * Models occasionally produce invalid JSON; the tool then sees no arguments
+ * and falls back to its defaults rather than failing the whole request.
+ *
+ * @param {string} json - Arguments as sent by the provider
+ * @returns {object}
+ */
+export function parseToolArguments(json) {
+  if (!json) return {};
+  try {
+    const args = JSON.parse(json);
+    return args && typeof args === 'object' && !Array.isArray(args) ? args : {};
+  } catch {
+    return {};
+  }
+}
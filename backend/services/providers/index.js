@@ -0,0 +1,72 @@
+/**
+ * LLM Provider Registry
+ *
+ * Every provider implements the same interface, so the rest of the app never
+ * needs to know which backend answers a request:
+ *
+ *   {
+ *     name: 'openai',
+ *     getConfig: () => ({ model, tools, ... }),      // read from env at call time
+ *     validateConfig: (config) => ['problem', ...],  // empty when usable
+ *     complete: async ({ system, messages, tools, responseFormat }, { signal, model }) => ({ content, toolCalls, usage }),
+ *     stream: async function* ({ system, messages, tools, responseFormat }, { signal, model }) {
+ *       yield { type: 'text', text }                  // as content arrives
+ *       yield { type: 'tool_calls', toolCalls }       // once, at the end, if the model called tools
+ *       yield { type: 'usage', usage }                // once, at the end, if the provider reported it
+ *     }
+ *   }
+ *
+ * `messages` are user/assistant turns, plus the tool loop's turns in a
+ * provider-neutral shape that each provider converts to its own format:
+ *   { role: 'assistant', content, toolCalls: [{ id, name, arguments }] }
+ *   { role: 'tool', toolCallId, name, content }
+ * `tools` are { name, description, parameters (JSON schema) }; providers whose
+ * config has `tools: false` ignore them. `toolChoice: 'none'` keeps the tools
+ * defined (earlier tool turns refer to them) but forbids calling any.
+ * `model` overrides the configured
+ * model for a single call. `usage` is { promptTokens, completionTokens } or null.
+ * `responseFormat` ({ name, schema }) asks for a JSON answer matching the
+ * schema; providers whose config has `structuredOutput: true` enforce it
+ * natively, the rest rely on the system prompt (the caller validates either way).
+ */
+
+import { openaiProvider } from './openai.js';
+import { anthropicProvider } from './anthropic.js';
+import { openaiCompatibleProvider } from './openaiCompatible.js';
+import { ollamaProvider } from './ollama.js';
+import { mockProvider } from './mock.js';
+
+// Providers by LLM_PROVIDER name
+const providers = new Map();
+
+/**
+ * Adds a provider to the registry (replaces one with the same name)
+ */
+export function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Gets a provider by name
+ *
+ * @param {string} name - Provider name (case-insensitive)
+ * @returns {object|undefined}
+ */
+export function getProvider(name) {
+  return providers.get(name?.toLowerCase());
+}
+
+/**
+ * Lists registered provider names
+ *
+ * @returns {string[]}
+ */
+export function listProviders() {
+  return [...providers.keys()];
+}
+
+registerProvider(openaiProvider);
+registerProvider(anthropicProvider);
+registerProvider(openaiCompatibleProvider);
+registerProvider(ollamaProvider);
+registerProvider(mockProvider);
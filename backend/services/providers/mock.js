@@ -0,0 +1,244 @@
+/**
+ * Mock Provider
+ * Deterministic, offline stand-in for a real LLM and embedding model, so the
+ * app can be run, demoed and tested without API keys (LLM_PROVIDER=mock).
+ *
+ * Completions are either scripted or echoed:
+ * - MOCK_LLM_SCRIPT - Path to a JSON array of rules, checked in order against
+ *   the user's question. A rule without `match` matches everything:
+ *     [
+ *       { "match": "bitcoin|btc", "toolCalls": [{ "name": "getCryptoMarketData", "arguments": { "coinIds": ["bitcoin"] } }] },
+ *       { "match": "bitcoin|btc", "content": "Bitcoin is trading at the price in [1]." },
+ *       { "content": "I only know about Bitcoin." }
+ *     ]
+ *   A rule with `toolCalls` is used only when tools are offered and the model
+ *   has not called any yet; otherwise the next matching rule answers.
+ * - Without a script (or when no rule matches) the answer echoes the question
+ *   and lists the numbered sources it was given, so citations still render.
+ * - Structured output requests (responseFormat) without a matching rule get a
+ *   placeholder JSON value built from the schema.
+ *
+ * Other settings:
+ * - MOCK_LLM_CHUNK_DELAY_MS - Delay between streamed chunks (default: 30)
+ * - MOCK_LLM_TOOLS - Set to true to receive tools (needed for scripted tool calls)
+ *
+ * Embeddings are feature-hashed bags of words: texts sharing words get
+ * similar vectors, so pgvector search ranks documents sensibly (by word
+ * overlap), just with lower similarity scores than a real model.
+ */
+
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { setTimeout as delay } from 'timers/promises';
+
+export const MOCK_EMBEDDING_DIMENSIONS = 1536;
+
+// Too common to say anything about a text's topic
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i', 'in',
+  'is', 'it', 'its', 'me', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when', 'which',
+  'who', 'why', 'with', 'you'
+]);
+
+/**
+ * Rough token count (~4 characters per token), used for mock usage
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Deterministic embedding of a text
+ * Words and word pairs are hashed into signed buckets and the vector is
+ * L2-normalized, so cosine similarity reflects shared vocabulary.
+ *
+ * @param {string} text
+ * @param {number} dimensions - Vector length (default: 1536, matching the schema)
+ * @returns {number[]}
+ */
+export function getMockEmbedding(text, dimensions = MOCK_EMBEDDING_DIMENSIONS) {
+  const words = (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(word => !STOP_WORDS.has(word));
+  const features = [
+    ...words.map(word => [word, 1]),
+    ...words.slice(1).map((word, i) => [`${words[i]} ${word}`, 0.5])
+  ];
+  if (features.length === 0) {
+    // Punctuation or stop words only: still return a usable (non-zero) vector
+    features.push([text.trim().toLowerCase(), 1]);
+  }
+
+  const vector = new Array(dimensions).fill(0);
+  for (const [feature, weight] of features) {
+    const hash = createHash('md5').update(feature).digest();
+    const bucket = hash.readUInt32BE(0) % dimensions;
+    vector[bucket] += (hash[4] & 1 ? 1 : -1) * weight;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+}
+
+function getConfig() {
+  return {
+    model: 'mock',
+    scriptPath: process.env.MOCK_LLM_SCRIPT,
+    chunkDelayMs: parseInt(process.env.MOCK_LLM_CHUNK_DELAY_MS || '30'),
+    tools: process.env.MOCK_LLM_TOOLS === 'true'
+  };
+}
+
+// The script is parsed once per path
+let scriptCache = { path: null, rules: [] };
+
+function loadScript(path) {
+  if (!path) return [];
+  if (scriptCache.path !== path) {
+    const rules = JSON.parse(readFileSync(path, 'utf8'));
+    if (!Array.isArray(rules)) {
+      throw new Error(`MOCK_LLM_SCRIPT ${path} must contain a JSON array of rules`);
+    }
+    scriptCache = { path, rules };
+  }
+  return scriptCache.rules;
+}
+
+/**
+ * The user's question, without the context the prompt template wraps it in
+ */
+function getQuestion(messages) {
+  const lastUser = [...messages].reverse().find(message => message.role === 'user');
+  const content = lastUser?.content || '';
+  const marker = content.lastIndexOf('User Question:');
+  return (marker >= 0 ? content.slice(marker + 'User Question:'.length) : content).trim();
+}
+
+/**
+ * Numbered sources (<source id="2" type="live data" title="...">) in the prompt and tool results
+ */
+function getSources(messages) {
+  const sources = new Map();
+  const current = messages.slice(messages.map(message => message.role).lastIndexOf('user'));
+  for (const message of current) {
+    for (const match of (message.content || '').matchAll(/^<source id="(\d+)" type="[^"]*" title="([^"]*)">/gm)) {
+      sources.set(Number(match[1]), match[2].replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>'));
+    }
+  }
+  return [...sources.entries()].sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Smallest placeholder value matching a JSON schema (enough for the schemas
+ * clients typically send; not a general schema solver)
+ */
+function sampleFromSchema(schema = {}, label = 'value') {
+  if (schema.const !== undefined) return schema.const;
+  if (schema.enum?.length) return schema.enum[0];
+  const variant = schema.anyOf?.[0] || schema.oneOf?.[0];
+  if (variant) return sampleFromSchema(variant, label);
+
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type || (schema.properties ? 'object' : 'string');
+  switch (type) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, child]) => [key, sampleFromSchema(child, key)])
+      );
+    case 'array':
+      return Array.from({ length: schema.minItems || 1 }, () => sampleFromSchema(schema.items, label));
+    case 'integer':
+    case 'number':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return false;
+    case 'null':
+      return null;
+    default:
+      return `mock ${label}`.padEnd(schema.minLength || 0, '.');
+  }
+}
+
+function echoAnswer(question, sources) {
+  const lines = [`Mock answer to: "${question}"`];
+  if (sources.length > 0) {
+    lines.push('', 'Sources provided:');
+    lines.push(...sources.map(([index, title]) => `- ${title} [${index}]`));
+  } else {
+    lines.push('', 'No sources were provided for this question.');
+  }
+  lines.push('', 'This response was generated by the mock provider (LLM_PROVIDER=mock).');
+  return lines.join('\n');
+}
+
+/**
+ * Picks the scripted (or echo) response for a request
+ */
+function respond(config, { messages, tools, toolChoice, responseFormat }) {
+  const question = getQuestion(messages);
+  const toolsOffered = config.tools && tools?.length > 0 && toolChoice !== 'none';
+  const calledTools = messages.some(message => message.role === 'tool');
+
+  for (const rule of loadScript(config.scriptPath)) {
+    if (rule.match && !new RegExp(rule.match, 'i').test(question)) continue;
+    if (rule.toolCalls) {
+      if (!toolsOffered || calledTools) continue;
+      return {
+        content: rule.content || '',
+        toolCalls: rule.toolCalls.map((call, i) => ({
+          id: `mock_call_${i + 1}`,
+          name: call.name,
+          arguments: call.arguments || {}
+        }))
+      };
+    }
+    return { content: rule.content || '', toolCalls: [] };
+  }
+
+  if (responseFormat) {
+    return { content: JSON.stringify(sampleFromSchema(responseFormat.schema)), toolCalls: [] };
+  }
+  return { content: echoAnswer(question, getSources(messages)), toolCalls: [] };
+}
+
+function getUsage(input, content) {
+  const prompt = [input.system, ...input.messages.map(message => message.content)].join('\n');
+  return { promptTokens: estimateTokens(prompt), completionTokens: estimateTokens(content) };
+}
+
+export const mockProvider = {
+  name: 'mock',
+  getConfig,
+
+  validateConfig(config) {
+    try {
+      loadScript(config.scriptPath);
+      return [];
+    } catch (error) {
+      return [`MOCK_LLM_SCRIPT could not be loaded: ${error.message}`];
+    }
+  },
+
+  async complete(input, { signal } = {}) {
+    signal?.throwIfAborted();
+    const config = getConfig();
+    const result = respond(config, input);
+    return { ...result, usage: getUsage(input, result.content) };
+  },
+
+  async *stream(input, { signal } = {}) {
+    const config = getConfig();
+    const { content, toolCalls } = respond(config, input);
+
+    // A word (with its trailing whitespace) per chunk, like a real token stream
+    for (const chunk of content.match(/\S+\s*|\s+/g) || []) {
+      if (config.chunkDelayMs > 0) {
+        await delay(config.chunkDelayMs, undefined, { signal });
+      }
+      signal?.throwIfAborted();
+      yield { type: 'text', text: chunk };
+    }
+
+    if (toolCalls.length > 0) {
+      yield { type: 'tool_calls', toolCalls };
+    }
+    yield { type: 'usage', usage: getUsage(input, content) };
+  }
+};
@@ -0,0 +1,145 @@
+/**
+ * Ollama Provider
+ * Talks to a local Ollama server (native /api/chat endpoint) so the app can
+ * run fully offline against a locally pulled model.
+ *
+ * Configuration:
+ * - OLLAMA_BASE_URL - Server root (default: http://localhost:11434)
+ * - OLLAMA_MODEL - Model tag, must already be pulled (default: llama3.1)
+ * - OLLAMA_TOOLS - Set to true if the model supports tool calling
+ * - OLLAMA_STRUCTURED_OUTPUT - Set to false for Ollama versions without JSON schema `format` support
+ */
+
+import { randomUUID } from 'crypto';
+import { postJSON, readLines, isValidBaseUrl } from './http.js';
+
+/**
+ * Converts provider-neutral messages to Ollama's chat format
+ */
+function toOllamaMessages(messages) {
+  return messages.map(message => {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_name: message.name, content: message.content };
+    }
+    if (message.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: message.content || '',
+        tool_calls: message.toolCalls.map(call => ({ function: { name: call.name, arguments: call.arguments } }))
+      };
+    }
+    return { role: message.role, content: message.content };
+  });
+}
+
+/**
+ * Ollama does not give tool calls IDs, so we make some up to match results to calls
+ */
+function fromOllamaToolCalls(toolCalls = []) {
+  return toolCalls.map(call => ({
+    id: `call_${randomUUID()}`,
+    name: call.function.name,
+    arguments: call.function.arguments || {}
+  }));
+}
+
+/**
+ * Token counts are reported on the final (done) response
+ */
+function toUsage(data) {
+  return data.prompt_eval_count !== undefined || data.eval_count !== undefined
+    ? { promptTokens: data.prompt_eval_count || 0, completionTokens: data.eval_count || 0 }
+    : null;
+}
+
+function request(config, { system, messages, tools, toolChoice, responseFormat }, stream, signal) {
+  return postJSON(`${config.baseUrl.replace(/\/+$/, '')}/api/chat`, {
+    label: 'Ollama',
+    signal,
+    body: {
+      model: config.model,
+      messages: [
+        { role: 'system', content: system },
+        ...toOllamaMessages(messages)
+      ],
+      // Ollama has no tool_choice, but takes tool turns without tool definitions
+      ...(config.tools && tools?.length && toolChoice !== 'none'
+        ? { tools: tools.map(tool => ({ type: 'function', function: tool })) }
+        : {}),
+      ...(config.structuredOutput && responseFormat ? { format: responseFormat.schema } : {}),
+      stream,
+      options: {
+        temperature: config.temperature,
+        num_predict: config.maxTokens
+      }
+    }
+  });
+}
+
+function getConfig() {
+  return {
+    baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+    model: process.env.OLLAMA_MODEL || 'llama3.1',
+    temperature: parseFloat(process.env.OLLAMA_TEMPERATURE || '0.7'),
+    maxTokens: parseInt(process.env.OLLAMA_MAX_TOKENS || '1000'),
+    tools: process.env.OLLAMA_TOOLS === 'true',
+    structuredOutput: process.env.OLLAMA_STRUCTURED_OUTPUT !== 'false'
+  };
+}
+
+export const ollamaProvider = {
+  name: 'ollama',
+  getConfig,
+
+  validateConfig(config) {
+    return isValidBaseUrl(config.baseUrl)
+      ? []
+      : [`OLLAMA_BASE_URL must be an http(s) URL, got: ${config.baseUrl}`];
+  },
+
+  async complete(input, { signal, model } = {}) {
+    const config = { ...getConfig(), ...(model ? { model } : {}) };
+    const response = await request(config, input, false, signal);
+    const data = await response.json();
+    return {
+      content: data.message?.content || '',
+      toolCalls: fromOllamaToolCalls(data.message?.tool_calls),
+      usage: toUsage(data)
+    };
+  },
+
+  async *stream(input, { signal, model } = {}) {
+    const config = { ...getConfig(), ...(model ? { model } : {}) };
+    const response = await request(config, input, true, signal);
+
+    // Newline-delimited JSON, one object per chunk
+    const toolCalls = [];
+    let usage = null;
+    for await (const line of readLines(response)) {
+      let json;
+      try {
+        json = JSON.parse(line);
+      } catch (e) {
+        continue; // Skip invalid JSON
+      }
+      if (json.error) {
+        throw new Error(`Ollama API error: ${json.error}`);
+      }
+      if (json.message?.content) {
+        yield { type: 'text', text: json.message.content };
+      }
+      toolCalls.push(...fromOllamaToolCalls(json.message?.tool_calls));
+      if (json.done) {
+        usage = toUsage(json);
+        break;
+      }
+    }
+
+    if (toolCalls.length > 0) {
+      yield { type: 'tool_calls', toolCalls };
+    }
+    if (usage) {
+      yield { type: 'usage', usage };
+    }
+  }
+};
@@ -0,0 +1,30 @@
+/**
+ * OpenAI Provider
+ * Chat completions against api.openai.com
+ */
+
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+
+const OPENAI_API_URL = 'https://api.openai.com/v1';
+
+export const openaiProvider = createOpenAICompatibleProvider({
+  name: 'openai',
+  label: 'OpenAI',
+
+  getConfig() {
+    return {
+      baseUrl: OPENAI_API_URL,
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL || 'gpt-4.1',
+      temperature: parseFloat(process.env.OPENAI_TEMPERATURE || '0.7'),
+      maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS || '1000'),
+      tools: true,
+      streamUsage: true,
+      structuredOutput: true
+    };
+  },
+
+  validateConfig(config) {
+    return config.apiKey ? [] : ['API key not found for provider "openai" (set OPENAI_API_KEY)'];
+  }
+});
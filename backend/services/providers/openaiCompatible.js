@@ -0,0 +1,187 @@
+/**
+ * OpenAI-compatible Provider
+ * Talks to any server implementing the OpenAI chat completions API
+ * (vLLM, LM Studio, llama.cpp server, LiteLLM, OpenRouter, ...).
+ *
+ * Configuration:
+ * - OPENAI_COMPATIBLE_BASE_URL - API root, e.g. http://localhost:8080/v1 (required)
+ * - OPENAI_COMPATIBLE_MODEL - Model name the server expects (required)
+ * - OPENAI_COMPATIBLE_API_KEY - Sent as a bearer token when set
+ * - OPENAI_COMPATIBLE_TOOLS - Set to true if the server/model supports function calling
+ * - OPENAI_COMPATIBLE_STREAM_USAGE - Set to true if the server accepts stream_options.include_usage
+ * - OPENAI_COMPATIBLE_STRUCTURED_OUTPUT - Set to true if the server accepts response_format json_schema
+ */
+
+import { postJSON, readLines, isValidBaseUrl, parseToolArguments } from './http.js';
+
+/**
+ * Converts provider-neutral messages to the chat completions format
+ * (assistant tool calls become `tool_calls`, tool results become `tool` messages)
+ */
+function toOpenAIMessages(messages) {
+  return messages.map(message => {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+    }
+    if (message.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+        }))
+      };
+    }
+    return { role: message.role, content: message.content };
+  });
+}
+
+/**
+ * Converts the `usage` object of a response (or final stream chunk)
+ */
+function toUsage(usage) {
+  return usage
+    ? { promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 }
+    : null;
+}
+
+/**
+ * Creates a provider for an OpenAI-style chat completions endpoint
+ * Also used by the OpenAI provider itself, which only differs in defaults.
+ *
+ * @param {object} definition
+ * @param {string} definition.name - Registry name (value of LLM_PROVIDER)
+ * @param {string} definition.label - Human-readable name used in error messages
+ * @param {Function} definition.getConfig - Returns { baseUrl, apiKey, model, temperature, maxTokens, tools, streamUsage, structuredOutput }
+ * @param {Function} definition.validateConfig - Returns a list of configuration problems
+ */
+export function createOpenAICompatibleProvider({ name, label, getConfig, validateConfig }) {
+  const request = (config, { system, messages, tools, toolChoice, responseFormat }, stream, signal) => postJSON(
+    `${config.baseUrl.replace(/\/+$/, '')}/chat/completions`,
+    {
+      label,
+      signal,
+      headers: config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {},
+      body: {
+        model: config.model,
+        messages: [
+          { role: 'system', content: system },
+          ...toOpenAIMessages(messages)
+        ],
+        temperature: config.temperature,
+        max_tokens: config.maxTokens,
+        ...(config.tools && tools?.length
+          ? {
+            tools: tools.map(tool => ({ type: 'function', function: tool })),
+            ...(toolChoice === 'none' ? { tool_choice: 'none' } : {})
+          }
+          : {}),
+        ...(config.structuredOutput && responseFormat
+          ? { response_format: { type: 'json_schema', json_schema: { name: responseFormat.name, schema: responseFormat.schema } } }
+          : {}),
+        ...(stream ? { stream: true } : {}),
+        // Token usage is only sent at the end of a stream when asked for
+        ...(stream && config.streamUsage ? { stream_options: { include_usage: true } } : {})
+      }
+    }
+  );
+
+  return {
+    name,
+    getConfig,
+    validateConfig,
+
+    async complete(input, { signal, model } = {}) {
+      const config = { ...getConfig(), ...(model ? { model } : {}) };
+      const response = await request(config, input, false, signal);
+      const data = await response.json();
+      const message = data.choices?.[0]?.message || {};
+      return {
+        content: message.content || '',
+        toolCalls: (message.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function.name,
+          arguments: parseToolArguments(call.function.arguments)
+        })),
+        usage: toUsage(data.usage)
+      };
+    },
+
+    async *stream(input, { signal, model } = {}) {
+      const config = { ...getConfig(), ...(model ? { model } : {}) };
+      const response = await request(config, input, true, signal);
+
+      // Tool calls arrive in fragments, keyed by their index in the choice
+      const toolCalls = [];
+      let usage = null;
+
+      for await (const line of readLines(response)) {
+        if (!line.startsWith('data: ')) continue;
+        const data = line.slice(6).trim();
+        if (data === '[DONE]') {
+          break;
+        }
+        try {
+          const json = JSON.parse(data);
+          usage = toUsage(json.usage) || usage;
+          const delta = json.choices?.[0]?.delta;
+          if (delta?.content) {
+            yield { type: 'text', text: delta.content };
+          }
+          for (const fragment of delta?.tool_calls || []) {
+            const call = toolCalls[fragment.index] ||= { id: '', name: '', arguments: '' };
+            if (fragment.id) call.id = fragment.id;
+            if (fragment.function?.name) call.name += fragment.function.name;
+            if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+          }
+        } catch (e) {
+          // Skip invalid JSON
+        }
+      }
+
+      const calls = toolCalls.filter(Boolean);
+      if (calls.length > 0) {
+        yield {
+          type: 'tool_calls',
+          toolCalls: calls.map(call => ({ ...call, arguments: parseToolArguments(call.arguments) }))
+        };
+      }
+      if (usage) {
+        yield { type: 'usage', usage };
+      }
+    }
+  };
+}
+
+export const openaiCompatibleProvider = createOpenAICompatibleProvider({
+  name: 'openai-compatible',
+  label: 'OpenAI-compatible',
+
+  getConfig() {
+    return {
+      baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL,
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+      model: process.env.OPENAI_COMPATIBLE_MODEL,
+      temperature: parseFloat(process.env.OPENAI_COMPATIBLE_TEMPERATURE || '0.7'),
+      maxTokens: parseInt(process.env.OPENAI_COMPATIBLE_MAX_TOKENS || '1000'),
+      tools: process.env.OPENAI_COMPATIBLE_TOOLS === 'true',
+      streamUsage: process.env.OPENAI_COMPATIBLE_STREAM_USAGE === 'true',
+      structuredOutput: process.env.OPENAI_COMPATIBLE_STRUCTURED_OUTPUT === 'true'
+    };
+  },
+
+  validateConfig(config) {
+    const errors = [];
+    if (!config.baseUrl) {
+      errors.push('OPENAI_COMPATIBLE_BASE_URL is required for the "openai-compatible" provider');
+    } else if (!isValidBaseUrl(config.baseUrl)) {
+      errors.push(`OPENAI_COMPATIBLE_BASE_URL must be an http(s) URL, got: ${config.baseUrl}`);
+    }
+    if (!config.model) {
+      errors.push('OPENAI_COMPATIBLE_MODEL is required for the "openai-compatible" provider');
+    }
+    return errors;
+  }
+});
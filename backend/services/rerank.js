@@ -0,0 +1,80 @@
+/**
+ * Rerank Service
+ *
+ * Vector (or hybrid) search ranks documents by comparing the question's
+ * embedding with each chunk's, computed separately. Reranking takes a larger
+ * set of candidates from that search and rescores each one with a model that
+ * reads the question and the document together (see rerankers/), keeping the
+ * best `limit`.
+ *
+ * Reranked documents keep the search's `score` as `originalScore` (and their
+ * place as `originalRank`); `rerankScore` and `score` hold the new score.
+ *
+ * Configuration (the chat request's `rerank` field overrides the first three):
+ *   RERANK_ENABLED=false           Set to true to rerank retrieved documents
+ *   RERANK_PROVIDER=llm            llm, cross-encoder or mock (default: mock with LLM_PROVIDER=mock)
+ *   RERANK_CANDIDATES=20           Documents retrieved for the reranker to choose from
+ *   RERANK_TIMEOUT_MS=5000         Budget for the rerank stage; retrieval order is kept when it runs out
+ */
+
+import { getReranker, getRerankerName } from './rerankers/index.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Rerank settings: per-request overrides over the environment
+ *
+ * @param {object} overrides - { enabled, provider, candidates }
+ * @returns {{enabled: boolean, provider: string, candidates: number}}
+ */
+export function getRerankOptions(overrides = {}) {
+  return {
+    enabled: overrides.enabled ?? process.env.RERANK_ENABLED === 'true',
+    provider: (overrides.provider || getRerankerName()).toLowerCase(),
+    candidates: overrides.candidates ?? parseInt(process.env.RERANK_CANDIDATES || '20')
+  };
+}
+
+/**
+ * Rescores documents against the query and keeps the best
+ *
+ * @param {string} query - The user's question
+ * @param {Array} documents - Search results, best first
+ * @param {object} options
+ * @param {string} options.provider - Reranker name (default: RERANK_PROVIDER)
+ * @param {number} options.limit - Documents to keep (default: all)
+ * @param {AbortSignal} options.signal
+ * @returns {Promise<Array>} - Documents sorted by `rerankScore`, with `originalScore` and `originalRank`
+ */
+export async function rerankDocuments(query, documents, { provider = getRerankerName(), limit = documents.length, signal } = {}) {
+  if (documents.length === 0) {
+    return [];
+  }
+
+  const reranker = getReranker(provider);
+  if (!reranker) {
+    throw new Error(`Unknown RERANK_PROVIDER "${provider}"`);
+  }
+  const errors = reranker.validateConfig(reranker.getConfig());
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  const start = Date.now();
+  const scores = await reranker.score(query, documents, { signal });
+  const reranked = documents
+    .map((doc, i) => ({
+      ...doc,
+      originalScore: doc.score ?? doc.similarity,
+      originalRank: i + 1,
+      rerankScore: scores[i],
+      score: scores[i]
+    }))
+    .sort((a, b) => b.rerankScore - a.rerankScore)
+    .slice(0, limit);
+
+  logger.info(
+    `Reranked ${documents.length} documents with ${reranker.name} in ${Date.now() - start}ms, ` +
+    `kept ranks ${reranked.map(doc => doc.originalRank).join(', ')}`
+  );
+  return reranked;
+}
@@ -0,0 +1,99 @@
+/**
+ * Cross-Encoder Reranker
+ * Runs a local cross-encoder on the CPU in this process. A cross-encoder
+ * reads the question and a document together and outputs one relevance
+ * logit, which is more accurate than comparing embeddings and, unlike the
+ * LLM reranker, keeps documents on the machine.
+ *
+ * Uses Transformers.js with ONNX models (e.g. Xenova/ms-marco-MiniLM-L-6-v2,
+ * Xenova/bge-reranker-base), the same optional dependency as the local
+ * embedding provider.
+ *
+ * Models are read from RERANK_LOCAL_MODEL_DIR, laid out like the Hugging
+ * Face repo (e.g. models/Xenova/ms-marco-MiniLM-L-6-v2/onnx/model.onnx). Set
+ * RERANK_LOCAL_ALLOW_DOWNLOAD=true to fetch a missing model on first use.
+ *
+ * Configuration:
+ * - RERANK_LOCAL_MODEL - Model ID (default: Xenova/ms-marco-MiniLM-L-6-v2)
+ * - RERANK_LOCAL_MODEL_DIR - Directory holding the models (default: backend/models)
+ * - RERANK_LOCAL_ALLOW_DOWNLOAD - Download missing models (default: false)
+ * - RERANK_LOCAL_BATCH_SIZE - Documents per forward pass (default: 16)
+ */
+
+import { fileURLToPath } from 'url';
+
+const DEFAULT_MODEL_DIR = fileURLToPath(new URL('../../models/', import.meta.url));
+
+// Loaded tokenizer and model by model ID; loading takes seconds, so it happens once
+const encoders = new Map();
+
+function getConfig() {
+  return {
+    model: process.env.RERANK_LOCAL_MODEL || 'Xenova/ms-marco-MiniLM-L-6-v2',
+    modelDir: process.env.RERANK_LOCAL_MODEL_DIR || DEFAULT_MODEL_DIR,
+    allowDownload: process.env.RERANK_LOCAL_ALLOW_DOWNLOAD === 'true',
+    batchSize: parseInt(process.env.RERANK_LOCAL_BATCH_SIZE || '16')
+  };
+}
+
+/**
+ * Loads the tokenizer and sequence classification model
+ */
+async function getEncoder(config) {
+  if (!encoders.has(config.model)) {
+    encoders.set(config.model, (async () => {
+      let transformers;
+      try {
+        transformers = await import('@huggingface/transformers');
+      } catch (error) {
+        throw new Error(
+          'RERANK_PROVIDER=cross-encoder needs the optional @huggingface/transformers package (run pnpm install without --no-optional)'
+        );
+      }
+      transformers.env.localModelPath = config.modelDir;
+      transformers.env.allowLocalModels = true;
+      transformers.env.allowRemoteModels = config.allowDownload;
+      transformers.env.cacheDir = config.modelDir;
+      const [tokenizer, model] = await Promise.all([
+        transformers.AutoTokenizer.from_pretrained(config.model),
+        transformers.AutoModelForSequenceClassification.from_pretrained(config.model, { device: 'cpu', dtype: 'fp32' })
+      ]);
+      return { tokenizer, model };
+    })());
+  }
+
+  try {
+    return await encoders.get(config.model);
+  } catch (error) {
+    // Allow a retry after e.g. installing the package or the model
+    encoders.delete(config.model);
+    throw error;
+  }
+}
+
+export const crossEncoderReranker = {
+  name: 'cross-encoder',
+  getConfig,
+
+  validateConfig(config) {
+    return config.batchSize > 0 ? [] : ['RERANK_LOCAL_BATCH_SIZE must be a positive number'];
+  },
+
+  async score(query, documents, { signal } = {}) {
+    const config = getConfig();
+    const { tokenizer, model } = await getEncoder(config);
+    const scores = [];
+
+    for (let i = 0; i < documents.length; i += config.batchSize) {
+      // Inference cannot be interrupted, but later batches are skipped
+      signal?.throwIfAborted();
+      const batch = documents.slice(i, i + config.batchSize).map(doc => doc.content);
+      const inputs = tokenizer(batch.map(() => query), { text_pair: batch, padding: true, truncation: true });
+      const { logits } = await model(inputs);
+      // One relevance logit per pair
+      scores.push(...logits.sigmoid().tolist().map(row => row[0]));
+    }
+
+    return scores;
+  }
+};
@@ -0,0 +1,68 @@
+/**
+ * Reranker Registry
+ *
+ * A reranker rescores the documents retrieved for a question, reading the
+ * question and each document together instead of comparing two separately
+ * computed vectors (see rerank.js). RERANK_PROVIDER picks one; every reranker
+ * implements the same interface:
+ *
+ *   {
+ *     name: 'llm',
+ *     getConfig: () => ({ model, ... }),               // read from env at call time
+ *     validateConfig: (config) => ['problem', ...],    // empty when usable
+ *     score: async (query, documents, { signal }) => [0.83, 0.12, ...]
+ *   }
+ *
+ * `documents` are search results ({ content, metadata, ... }); `score`
+ * returns one relevance score from 0 to 1 per document, in their order.
+ */
+
+import { llmReranker } from './llm.js';
+import { crossEncoderReranker } from './crossEncoder.js';
+import { mockReranker } from './mock.js';
+
+// Rerankers by RERANK_PROVIDER name
+const rerankers = new Map();
+
+/**
+ * Adds a reranker to the registry (replaces one with the same name)
+ */
+export function registerReranker(reranker) {
+  rerankers.set(reranker.name, reranker);
+}
+
+/**
+ * Gets a reranker by name
+ *
+ * @param {string} name - Reranker name (case-insensitive)
+ * @returns {object|undefined}
+ */
+export function getReranker(name) {
+  return rerankers.get(name?.toLowerCase());
+}
+
+/**
+ * Lists registered reranker names
+ *
+ * @returns {string[]}
+ */
+export function listRerankers() {
+  return [...rerankers.keys()];
+}
+
+/**
+ * Name of the configured reranker
+ * Defaults to the mock reranker when the LLM is mocked, like the embedding
+ * provider, and to the LLM otherwise.
+ *
+ * @returns {string}
+ */
+export function getRerankerName() {
+  const configured = process.env.RERANK_PROVIDER?.toLowerCase();
+  if (configured) return configured;
+  return process.env.LLM_PROVIDER?.toLowerCase() === 'mock' ? 'mock' : 'llm';
+}
+
+registerReranker(llmReranker);
+registerReranker(crossEncoderReranker);
+registerReranker(mockReranker);
@@ -0,0 +1,34 @@
+/**
+ * LLM Reranker
+ * Asks the configured LLM (with its fallbacks) to score all documents in one
+ * completion. Works with any provider and needs nothing installed, but adds a
+ * round trip before the answer starts; its tokens are recorded as usage.
+ *
+ * Configuration:
+ * - RERANK_LLM_MAX_TOKENS - Length limit per document sent to the model (default: 300)
+ */
+
+import { scoreRelevance, getModelInfo } from '../llm.js';
+import { getDocumentTitle } from '../pipeline/citations.js';
+
+function getConfig() {
+  return {
+    model: getModelInfo().model,
+    maxTokens: parseInt(process.env.RERANK_LLM_MAX_TOKENS || '300')
+  };
+}
+
+export const llmReranker = {
+  name: 'llm',
+  getConfig,
+
+  validateConfig(config) {
+    return config.maxTokens > 0 ? [] : ['RERANK_LLM_MAX_TOKENS must be a positive number'];
+  },
+
+  async score(query, documents, { signal } = {}) {
+    const { maxTokens } = getConfig();
+    const passages = documents.map(doc => ({ title: getDocumentTitle(doc), content: doc.content }));
+    return scoreRelevance(query, passages, { maxTokens, signal });
+  }
+};
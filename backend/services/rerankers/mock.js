@@ -0,0 +1,30 @@
+/**
+ * Mock Reranker
+ * Scores documents by the cosine similarity of their mock embeddings with the
+ * question (shared vocabulary, see providers/mock.js), so reranking can be
+ * tried offline with LLM_PROVIDER=mock.
+ */
+
+import { getMockEmbedding } from '../providers/mock.js';
+
+export const mockReranker = {
+  name: 'mock',
+
+  getConfig() {
+    return { model: 'mock-reranker' };
+  },
+
+  validateConfig() {
+    return [];
+  },
+
+  async score(query, documents, { signal } = {}) {
+    signal?.throwIfAborted();
+    const queryVector = getMockEmbedding(query);
+    return documents.map(doc => {
+      const vector = getMockEmbedding(doc.content);
+      // Both vectors are normalized
+      return Math.max(0, vector.reduce((sum, value, i) => sum + value * queryVector[i], 0));
+    });
+  }
+};
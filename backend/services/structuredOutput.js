@@ -0,0 +1,258 @@
+/**
+ * Structured Output Service
+ *
+ * Parses model output as JSON and validates it against the JSON schema a
+ * client asked for (the `responseFormat` option of /api/chat).
+ *
+ * Supported schema keywords: type (including 'integer', 'null' and lists of
+ * types), enum, const, properties, required, additionalProperties, items,
+ * minItems, maxItems, minLength, maxLength, pattern, minimum, maximum,
+ * anyOf, oneOf and allOf. Other keywords (e.g. $ref, format) are ignored.
+ * Schemas come from clients, so checkSchema() vets their shape before any
+ * model output is validated against them.
+ */
+
+const JSON_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+const MAX_PATTERN_LENGTH = 200;
+// A quantified group that itself contains a quantifier, e.g. (a+)+ or (\w*)*,
+// can take exponential time to fail a match
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)\s*(?:[+*]|\{\d+,)/;
+
+/**
+ * The JSON type of a value, as used by the `type` keyword
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describe(value) {
+  const json = JSON.stringify(value);
+  return json && json.length > 40 ? `${json.slice(0, 40)}…` : json;
+}
+
+/**
+ * Checks that a client-supplied JSON schema is well formed
+ * Every keyword validateJson() uses must have the right shape, and every
+ * `pattern` must compile and be short and free of nested quantifiers, so a
+ * schema cannot fail or hang validation after the answer was generated.
+ *
+ * @param {object} schema - JSON schema
+ * @param {string} path - Location of `schema`, for error messages
+ * @returns {string[]} - Problems, e.g. 'schema.properties.price.enum must be an array'
+ */
+export function checkSchema(schema, path = 'schema') {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return [`${path} must be a schema object`];
+  }
+  const errors = [];
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (types.length === 0 || !types.every(type => JSON_TYPES.includes(type))) {
+      errors.push(`${path}.type must be one of ${JSON_TYPES.join(', ')}, or a list of them`);
+    }
+  }
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+    errors.push(`${path}.enum must be an array`);
+  }
+  if (schema.required !== undefined && (!Array.isArray(schema.required) || !schema.required.every(key => typeof key === 'string'))) {
+    errors.push(`${path}.required must be an array of property names`);
+  }
+  for (const keyword of ['minLength', 'maxLength', 'minItems', 'maxItems']) {
+    if (schema[keyword] !== undefined && (!Number.isInteger(schema[keyword]) || schema[keyword] < 0)) {
+      errors.push(`${path}.${keyword} must be a non-negative integer`);
+    }
+  }
+  for (const keyword of ['minimum', 'maximum']) {
+    if (schema[keyword] !== undefined && typeof schema[keyword] !== 'number') {
+      errors.push(`${path}.${keyword} must be a number`);
+    }
+  }
+
+  if (schema.pattern !== undefined) {
+    if (typeof schema.pattern !== 'string' || schema.pattern.length > MAX_PATTERN_LENGTH) {
+      errors.push(`${path}.pattern must be a string of at most ${MAX_PATTERN_LENGTH} characters`);
+    } else if (NESTED_QUANTIFIER.test(schema.pattern) || /\\[1-9k]/.test(schema.pattern)) {
+      errors.push(`${path}.pattern cannot repeat a group that contains a quantifier, or use backreferences`);
+    } else {
+      try {
+        new RegExp(schema.pattern, 'u');
+      } catch (error) {
+        errors.push(`${path}.pattern is not a valid regular expression: ${error.message}`);
+      }
+    }
+  }
+
+  if (schema.properties !== undefined) {
+    if (!schema.properties || typeof schema.properties !== 'object' || Array.isArray(schema.properties)) {
+      errors.push(`${path}.properties must be an object of schemas`);
+    } else {
+      for (const [key, child] of Object.entries(schema.properties)) {
+        errors.push(...checkSchema(child, `${path}.properties.${key}`));
+      }
+    }
+  }
+  if (schema.items !== undefined) {
+    errors.push(...checkSchema(schema.items, `${path}.items`));
+  }
+  if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+    errors.push(...checkSchema(schema.additionalProperties, `${path}.additionalProperties`));
+  }
+  for (const keyword of ['allOf', 'anyOf', 'oneOf']) {
+    if (schema[keyword] === undefined) continue;
+    if (!Array.isArray(schema[keyword]) || schema[keyword].length === 0) {
+      errors.push(`${path}.${keyword} must be a non-empty array of schemas`);
+    } else {
+      schema[keyword].forEach((sub, i) => errors.push(...checkSchema(sub, `${path}.${keyword}[${i}]`)));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates a value against a JSON schema
+ *
+ * @param {*} value - Parsed JSON
+ * @param {object} schema - JSON schema
+ * @param {string} path - Location of `value` in the document, for error messages
+ * @returns {string[]} - Validation errors, e.g. '$.coins[0].price: expected number, got string'
+ */
+export function validateJson(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') {
+    return [];
+  }
+  const errors = [];
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path}: must be one of ${schema.enum.map(describe).join(', ')}, got ${describe(value)}`);
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path}: must be ${describe(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${path}: must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, i) => errors.push(...validateJson(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}: missing required property "${key}"`);
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateJson(child, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property "${key}"`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJson(child, schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(sub => errors.push(...validateJson(value, sub, path)));
+  }
+  if (schema.anyOf && !schema.anyOf.some(sub => validateJson(value, sub, path).length === 0)) {
+    errors.push(`${path}: does not match any of the allowed schemas (anyOf)`);
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(sub => validateJson(value, sub, path).length === 0).length;
+    if (matches !== 1) {
+      errors.push(`${path}: must match exactly one schema (oneOf), matched ${matches}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Extracts the JSON value from model output
+ * Tolerates what models commonly wrap JSON in: code fences and a sentence
+ * before or after the value.
+ *
+ * @param {string} text
+ * @returns {*} - The parsed value
+ * @throws {SyntaxError} - If no JSON value can be found
+ */
+export function extractJson(text) {
+  const trimmed = text.trim();
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1].trim() : trimmed;
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    // Fall back to the outermost object or array in the text
+    const start = candidate.search(/[[{]/);
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+    if (start >= 0 && end > start) {
+      return JSON.parse(candidate.slice(start, end + 1));
+    }
+    throw error;
+  }
+}
+
+/**
+ * Parses and validates model output
+ *
+ * @param {string} text - Model output
+ * @param {object} schema - JSON schema the output must match
+ * @returns {{data: *, errors: string[]}} - data is null when the output is not JSON
+ */
+export function parseStructuredOutput(text, schema) {
+  let data;
+  try {
+    data = extractJson(text);
+  } catch (error) {
+    return { data: null, errors: [`Output is not valid JSON: ${error.message}`] };
+  }
+  return { data, errors: validateJson(data, schema) };
+}
@@ -0,0 +1,322 @@
+/**
+ * Tools Service
+ *
+ * Exposes the Web3 data functions and the vector store as tools the LLM can
+ * call with arguments, instead of guessing up front which live data a
+ * question needs.
+ *
+ * Tool shape:
+ *   {
+ *     name: 'getCryptoMarketData',
+ *     description: '...',                 // shown to the model
+ *     parameters: { type: 'object', ... },  // JSON schema of the arguments
+ *     describe: (args) => 'Fetching ETH price…',  // progress label for the UI
+ *     budget: 'live',                       // which timeout applies: 'live' or 'knowledgeBase'
+ *     run: async (args, context) => [ { type: 'live', block } | { type: 'document', document } ]
+ *   }
+ *
+ * Results are citable items; the generate stage numbers them like any other
+ * context so answers built on tool output carry citations too. Live data
+ * results pass the prompt injection scanner (knowledge base results already
+ * did in searchSimilar()).
+ *
+ * Each call has the time budget of the stage it stands in for (live-data or
+ * retrieve); a call that runs out comes back as an error, so the model
+ * answers without the data instead of the whole answer waiting.
+ */
+
+import { getCryptoMarketData, getDeFiProtocols, getTrendingCoins } from './web3.js';
+import { searchSimilar } from './vectorStore.js';
+import { rerankDocuments } from './rerank.js';
+import { screenLiveBlocks } from './promptInjection.js';
+import { logger } from '../utils/logger.js';
+
+// Ticker symbols for progress labels ("Fetching ETH price…")
+const COIN_SYMBOLS = {
+  bitcoin: 'BTC',
+  ethereum: 'ETH',
+  solana: 'SOL',
+  binancecoin: 'BNB',
+  cardano: 'ADA',
+  ripple: 'XRP',
+  dogecoin: 'DOGE',
+  'avalanche-2': 'AVAX',
+  polkadot: 'DOT',
+  chainlink: 'LINK'
+};
+
+/**
+ * Clamps an optional integer argument into range
+ */
+function clampInt(value, min, max, fallback) {
+  const number = parseInt(value);
+  if (Number.isNaN(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+}
+
+function formatUsd(value) {
+  if (typeof value !== 'number') return 'n/a';
+  return value >= 1 ? `$${value.toLocaleString('en-US', { maximumFractionDigits: 2 })}` : `$${value}`;
+}
+
+function formatPercent(value) {
+  return typeof value === 'number' ? `${value >= 0 ? '+' : ''}${value.toFixed(2)}%` : 'n/a';
+}
+
+const marketDataTool = {
+  name: 'getCryptoMarketData',
+  description: 'Get current USD price, 24h price change and market cap for cryptocurrencies from CoinGecko. ' +
+    'Pass CoinGecko coin IDs (e.g. "bitcoin", "ethereum", "solana") for specific coins, ' +
+    'or omit them to get the top coins by market cap.',
+  parameters: {
+    type: 'object',
+    properties: {
+      coinIds: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'CoinGecko coin IDs, e.g. ["ethereum"]. Use the full ID, not the ticker symbol.'
+      },
+      limit: {
+        type: 'integer',
+        description: 'Number of top coins to return when coinIds is omitted (1-25, default 5)'
+      }
+    }
+  },
+
+  describe(args) {
+    const ids = Array.isArray(args.coinIds) ? args.coinIds : [];
+    if (ids.length === 0) return 'Fetching top coin prices…';
+    const names = ids.map(id => COIN_SYMBOLS[String(id).toLowerCase()] || id);
+    return `Fetching ${names.join(', ')} price${names.length > 1 ? 's' : ''}…`;
+  },
+
+  budget: 'live',
+
+  async run(args, { signal }) {
+    const coinIds = (Array.isArray(args.coinIds) ? args.coinIds : [])
+      .filter(id => typeof id === 'string' && id.trim())
+      .map(id => id.trim())
+      .slice(0, 25);
+    const coins = await getCryptoMarketData({ coinIds, limit: clampInt(args.limit, 1, 25, 5) }, { signal });
+    if (coins.length === 0) return [];
+
+    return [{
+      type: 'live',
+      block: {
+        title: 'CoinGecko market data',
+        content: coins
+          .map(c => `${c.name} (${c.symbol.toUpperCase()}): ${formatUsd(c.price)}, ` +
+            `24h ${formatPercent(c.price_change_24h)}, market cap ${formatUsd(c.market_cap)}`)
+          .join('\n'),
+        source: { name: 'CoinGecko', url: 'https://www.coingecko.com' }
+      }
+    }];
+  }
+};
+
+const defiProtocolsTool = {
+  name: 'getDeFiProtocols',
+  description: 'Get the largest DeFi protocols by total value locked (TVL) from DeFiLlama, ' +
+    'optionally only those deployed on a given chain.',
+  parameters: {
+    type: 'object',
+    properties: {
+      chain: {
+        type: 'string',
+        description: 'Chain name as used by DeFiLlama, e.g. "Ethereum", "Arbitrum", "Solana"'
+      },
+      limit: {
+        type: 'integer',
+        description: 'Number of protocols to return (1-20, default 5)'
+      }
+    }
+  },
+
+  describe(args) {
+    return args.chain ? `Fetching top DeFi protocols on ${args.chain}…` : 'Fetching top DeFi protocols…';
+  },
+
+  budget: 'live',
+
+  async run(args, { signal }) {
+    const chain = typeof args.chain === 'string' && args.chain.trim() ? args.chain.trim() : undefined;
+    const protocols = await getDeFiProtocols({ chain, limit: clampInt(args.limit, 1, 20, 5) }, { signal });
+    if (protocols.length === 0) return [];
+
+    return [{
+      type: 'live',
+      block: {
+        title: chain ? `DeFiLlama protocols on ${chain}` : 'DeFiLlama protocols',
+        content: protocols
+          .map(p => `${p.name} (${p.category || 'DeFi'}, ${p.chain}): TVL ${formatUsd(p.tvl)}`)
+          .join('\n'),
+        source: { name: 'DeFiLlama', url: 'https://defillama.com' }
+      }
+    }];
+  }
+};
+
+const trendingCoinsTool = {
+  name: 'getTrendingCoins',
+  description: 'Get the coins currently trending in searches on CoinGecko.',
+  parameters: {
+    type: 'object',
+    properties: {
+      limit: {
+        type: 'integer',
+        description: 'Number of coins to return (1-15, default 5)'
+      }
+    }
+  },
+
+  describe() {
+    return 'Fetching trending coins…';
+  },
+
+  budget: 'live',
+
+  async run(args, { signal }) {
+    const trending = await getTrendingCoins({ limit: clampInt(args.limit, 1, 15, 5) }, { signal });
+    if (trending.length === 0) return [];
+
+    return [{
+      type: 'live',
+      block: {
+        title: 'CoinGecko trending coins',
+        content: trending
+          .map(c => `${c.name} (${c.symbol}), market cap rank ${c.market_cap_rank ?? 'n/a'}, ` +
+            `24h ${formatPercent(c.price_change_24h)}`)
+          .join('\n'),
+        source: { name: 'CoinGecko', url: 'https://www.coingecko.com' }
+      }
+    }];
+  }
+};
+
+const knowledgeBaseTool = {
+  name: 'searchKnowledgeBase',
+  description: 'Search the curated Web3 knowledge base (articles, docs, research notes) for passages ' +
+    'relevant to a query. Use it for concepts, protocol details and background that live market data does not cover.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'What to search for, phrased as a question or keywords'
+      },
+      limit: {
+        type: 'integer',
+        description: 'Number of passages to return (1-10, default 3)'
+      }
+    },
+    required: ['query']
+  },
+
+  describe(args) {
+    return args.query ? `Searching the knowledge base for "${args.query}"…` : 'Searching the knowledge base…';
+  },
+
+  budget: 'knowledgeBase',
+
+  async run(args, { signal, filters, minSimilarity, rerank, mmrLambda, maxPerSource }) {
+    if (typeof args.query !== 'string' || !args.query.trim()) {
+      throw new Error('query is required');
+    }
+    const limit = clampInt(args.limit, 1, 10, 3);
+    let documents = await searchSimilar(
+      args.query.trim(),
+      rerank ? Math.max(limit, rerank.candidates) : limit,
+      minSimilarity,
+      filters,
+      { signal, mmrLambda, maxPerSource }
+    );
+    if (rerank) {
+      documents = await rerankDocuments(args.query.trim(), documents, { provider: rerank.provider, limit, signal })
+        .catch(error => {
+          if (signal?.aborted) throw error;
+          logger.warn('Reranking failed, using search order:', error.message);
+          return documents.slice(0, limit);
+        });
+    }
+    return documents.map(document => ({ type: 'document', document }));
+  }
+};
+
+const TOOLS = [marketDataTool, defiProtocolsTool, trendingCoinsTool, knowledgeBaseTool];
+
+/**
+ * Gets the tool definitions to offer the model
+ *
+ * @returns {Array<{name: string, description: string, parameters: object}>}
+ */
+export function getToolDefinitions() {
+  return TOOLS.map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+/**
+ * Gets the progress label for a tool call
+ *
+ * @param {{name: string, arguments: object}} call
+ * @returns {string}
+ */
+export function describeToolCall(call) {
+  const tool = TOOLS.find(t => t.name === call.name);
+  return tool ? tool.describe(call.arguments || {}) : `Running ${call.name}…`;
+}
+
+/**
+ * Settles with the signal's reason once it aborts
+ * Used so a tool that does not watch its signal still cannot outlast it.
+ */
+function whenAborted(signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      return reject(signal.reason);
+    }
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+}
+
+/**
+ * Runs one tool call
+ * Errors, including running out of time, are returned rather than thrown, so
+ * the model can see what went wrong and answer without the data. Only a
+ * cancelled request throws.
+ *
+ * @param {{name: string, arguments: object}} call - Tool call from the model
+ * @param {object} context
+ * @param {AbortSignal} context.signal - The request's signal; aborts in-flight API requests
+ * @param {object} context.timeouts - { live, knowledgeBase } time budgets in ms (0 or unset: none)
+ * @param {object} context.filters - Metadata filters for knowledge base searches
+ * @param {number} context.minSimilarity - Similarity threshold for knowledge base searches
+ * @param {object} context.rerank - { provider, candidates } to rerank knowledge base results, or unset
+ * @param {number} context.mmrLambda - MMR trade-off for knowledge base searches (see searchSimilar())
+ * @param {number} context.maxPerSource - Knowledge base results allowed per source
+ * @returns {Promise<{items: Array, error: string|null}>}
+ */
+export async function executeToolCall(call, context = {}) {
+  const tool = TOOLS.find(t => t.name === call.name);
+  if (!tool) {
+    return { items: [], error: `Unknown tool: ${call.name}` };
+  }
+
+  const timeoutMs = context.timeouts?.[tool.budget];
+  const signal = timeoutMs > 0
+    ? AbortSignal.any([context.signal, AbortSignal.timeout(timeoutMs)].filter(Boolean))
+    : context.signal;
+
+  try {
+    const run = tool.run(call.arguments || {}, { ...context, signal });
+    const items = await (signal ? Promise.race([run, whenAborted(signal)]) : run);
+    const liveBlocks = new Set(screenLiveBlocks(items.filter(item => item.type === 'live').map(item => item.block), 'tool'));
+    return { items: items.filter(item => item.type !== 'live' || liveBlocks.has(item.block)), error: null };
+  } catch (error) {
+    if (context.signal?.aborted) {
+      throw error;
+    }
+    if (signal?.aborted) {
+      return { items: [], error: `timed out after ${timeoutMs}ms` };
+    }
+    return { items: [], error: error.message };
+  }
+}
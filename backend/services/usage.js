@@ -0,0 +1,288 @@
+/**
+ * Usage Service
+ *
+ * Records prompt, completion and embedding tokens of every provider call,
+ * prices them with the table in config/models.json and persists them, so
+ * spend can be reported per request and per day and capped by budgets.
+ *
+ * Calls are attributed to a request through AsyncLocalStorage: wrap the work
+ * in trackUsage() and every recordUsage() made underneath (LLM calls, query
+ * embeddings, tool searches) lands on that request's tracker, without
+ * threading anything through the call chain. Usage recorded outside a
+ * tracker is persisted on its own.
+ *
+ * Budgets (USD, unset = unlimited):
+ *   USAGE_DAILY_BUDGET_USD    Spend allowed since midnight (server time)
+ *   USAGE_MONTHLY_BUDGET_USD  Spend allowed since the 1st of the month
+ * Once a budget is used up, checkBudget() rejects new chat and ingestion requests.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+import { pool } from '../config/database.js';
+import { getModelConfig } from '../config/models.js';
+import { logger } from '../utils/logger.js';
+
+const storage = new AsyncLocalStorage();
+
+// Budget checks run on every chat request; spend is re-read at most this often
+const BUDGET_CACHE_MS = 5000;
+let spendCache = null;
+
+// Models without a price are only warned about once
+const unpricedModels = new Set();
+
+// Writes still in flight, so scripts can wait for them before closing the pool
+const pendingWrites = new Set();
+
+/**
+ * Creates a tracker for one request or ingestion run
+ *
+ * @param {object} details
+ * @param {string} details.kind - What the usage is for ('chat', 'ingest')
+ * @param {number|null} details.conversationId - Conversation the request belongs to
+ */
+export function createUsageTracker({ kind, conversationId = null }) {
+  return { requestId: randomUUID(), kind, conversationId, entries: [] };
+}
+
+/**
+ * Runs `fn` with every recorded call attributed to `tracker`, then persists them
+ *
+ * @param {object} tracker - From createUsageTracker()
+ * @param {Function} fn - The work to track
+ * @returns {Promise<*>} - Whatever `fn` returns
+ */
+export async function trackUsage(tracker, fn) {
+  try {
+    return await storage.run(tracker, fn);
+  } finally {
+    persistUsage(tracker.requestId, tracker.kind, tracker.conversationId, tracker.entries);
+  }
+}
+
+/**
+ * Computes the cost of a call from the price table
+ */
+function priceUsage({ model, promptTokens = 0, completionTokens = 0 }) {
+  const prices = getModelConfig(model);
+  if (!prices || prices.input === undefined) {
+    if (model && !unpricedModels.has(model)) {
+      unpricedModels.add(model);
+      logger.warn(`No price configured for model "${model}", its usage is counted at $0`);
+    }
+    return 0;
+  }
+  return (promptTokens * prices.input + completionTokens * (prices.output || 0)) / 1_000_000;
+}
+
+/**
+ * Records the usage of one provider call
+ *
+ * @param {object} usage
+ * @param {'llm'|'embedding'} usage.type
+ * @param {string} usage.provider - e.g. 'openai'
+ * @param {string} usage.model
+ * @param {number} usage.promptTokens - Input tokens (all tokens for embeddings)
+ * @param {number} usage.completionTokens - Output tokens (LLM only)
+ */
+export function recordUsage(usage) {
+  const entry = {
+    type: usage.type,
+    provider: usage.provider || null,
+    model: usage.model || null,
+    promptTokens: usage.promptTokens || 0,
+    completionTokens: usage.completionTokens || 0
+  };
+  entry.costUsd = priceUsage(entry);
+
+  const tracker = storage.getStore();
+  if (tracker) {
+    tracker.entries.push(entry);
+  } else {
+    persistUsage(randomUUID(), 'other', null, [entry]);
+  }
+}
+
+/**
+ * Totals a tracker's calls
+ *
+ * @returns {{promptTokens: number, completionTokens: number, embeddingTokens: number, costUsd: number, calls: number}}
+ */
+export function summarizeUsage(tracker) {
+  const summary = { promptTokens: 0, completionTokens: 0, embeddingTokens: 0, costUsd: 0, calls: tracker.entries.length };
+  for (const entry of tracker.entries) {
+    if (entry.type === 'embedding') {
+      summary.embeddingTokens += entry.promptTokens;
+    } else {
+      summary.promptTokens += entry.promptTokens;
+      summary.completionTokens += entry.completionTokens;
+    }
+    summary.costUsd += entry.costUsd;
+  }
+  summary.costUsd = Math.round(summary.costUsd * 1_000_000) / 1_000_000;
+  return summary;
+}
+
+/**
+ * Writes usage rows in the background
+ * A failed write is logged but never fails the request that made the calls.
+ */
+function persistUsage(requestId, kind, conversationId, entries) {
+  if (entries.length === 0) return;
+
+  const values = [];
+  const rows = entries.map((entry, i) => {
+    const base = i * 9;
+    values.push(
+      requestId, kind, entry.type, entry.provider, entry.model,
+      entry.promptTokens, entry.completionTokens, entry.costUsd, conversationId
+    );
+    return `(${Array.from({ length: 9 }, (_, j) => `$${base + j + 1}`).join(', ')})`;
+  });
+
+  const write = pool.query(
+    `
+      INSERT INTO usage_events
+        (request_id, kind, type, provider, model, prompt_tokens, completion_tokens, cost_usd, conversation_id)
+      VALUES ${rows.join(', ')}
+    `,
+    values
+  )
+    .then(() => { spendCache = null; })
+    .catch(error => logger.error('Error recording usage:', error.message))
+    .finally(() => pendingWrites.delete(write));
+  pendingWrites.add(write);
+}
+
+/**
+ * Waits for usage rows still being written
+ * Call before closing the pool in scripts.
+ */
+export async function flushUsage() {
+  await Promise.all([...pendingWrites]);
+}
+
+/**
+ * Gets the configured budgets
+ *
+ * @returns {{dailyUsd: number|null, monthlyUsd: number|null}}
+ */
+export function getBudgets() {
+  const parse = value => (value ? parseFloat(value) : null);
+  return {
+    dailyUsd: parse(process.env.USAGE_DAILY_BUDGET_USD),
+    monthlyUsd: parse(process.env.USAGE_MONTHLY_BUDGET_USD)
+  };
+}
+
+async function getSpend() {
+  if (spendCache && Date.now() - spendCache.at < BUDGET_CACHE_MS) {
+    return spendCache.spend;
+  }
+  const result = await pool.query(`
+    SELECT
+      COALESCE(SUM(cost_usd) FILTER (WHERE created_at >= date_trunc('day', NOW())), 0)::float AS today,
+      COALESCE(SUM(cost_usd), 0)::float AS month
+    FROM usage_events
+    WHERE created_at >= date_trunc('month', NOW())
+  `);
+  spendCache = { at: Date.now(), spend: result.rows[0] };
+  return spendCache.spend;
+}
+
+/**
+ * Rejects the request if a budget is used up
+ * If spend cannot be read (database down), the request is allowed.
+ *
+ * @throws {Error} - With statusCode 429 when a budget is exceeded
+ */
+export async function checkBudget() {
+  const { dailyUsd, monthlyUsd } = getBudgets();
+  if (dailyUsd === null && monthlyUsd === null) {
+    return;
+  }
+
+  let spend;
+  try {
+    spend = await getSpend();
+  } catch (error) {
+    logger.error('Error reading usage for budget check:', error.message);
+    return;
+  }
+
+  const exceeded = dailyUsd !== null && spend.today >= dailyUsd
+    ? `Daily usage budget of $${dailyUsd} exceeded`
+    : monthlyUsd !== null && spend.month >= monthlyUsd
+      ? `Monthly usage budget of $${monthlyUsd} exceeded`
+      : null;
+
+  if (exceeded) {
+    const error = new Error(`${exceeded}. Try again later.`);
+    error.statusCode = 429;
+    throw error;
+  }
+}
+
+/**
+ * Usage report: spend against budgets, plus tokens and cost per day and per model
+ *
+ * @param {object} options
+ * @param {number} options.days - Days of history to include
+ */
+export async function getUsageReport({ days = 30 } = {}) {
+  const totals = `
+    COALESCE(SUM(prompt_tokens) FILTER (WHERE type = 'llm'), 0)::int AS prompt_tokens,
+    COALESCE(SUM(completion_tokens), 0)::int AS completion_tokens,
+    COALESCE(SUM(prompt_tokens) FILTER (WHERE type = 'embedding'), 0)::int AS embedding_tokens,
+    ROUND(COALESCE(SUM(cost_usd), 0), 6)::float AS cost_usd,
+    COUNT(DISTINCT request_id)::int AS requests
+  `;
+  const since = `created_at >= date_trunc('day', NOW()) - (($1::int - 1) * INTERVAL '1 day')`;
+
+  try {
+    const [spend, daily, byModel] = await Promise.all([
+      getSpend(),
+      pool.query(
+        `
+          SELECT to_char(date_trunc('day', created_at), 'YYYY-MM-DD') AS date, kind, ${totals}
+          FROM usage_events
+          WHERE ${since}
+          GROUP BY 1, kind
+          ORDER BY 1 DESC, kind
+        `,
+        [days]
+      ),
+      pool.query(
+        `
+          SELECT provider, model, type, ${totals}
+          FROM usage_events
+          WHERE ${since}
+          GROUP BY provider, model, type
+          ORDER BY cost_usd DESC
+        `,
+        [days]
+      )
+    ]);
+
+    const { dailyUsd, monthlyUsd } = getBudgets();
+    const budget = (limitUsd, spentUsd) => ({
+      limitUsd,
+      spentUsd: Math.round(spentUsd * 1_000_000) / 1_000_000,
+      remainingUsd: limitUsd === null ? null : Math.max(0, Math.round((limitUsd - spentUsd) * 1_000_000) / 1_000_000)
+    });
+
+    return {
+      days,
+      budgets: {
+        daily: budget(dailyUsd, spend.today),
+        monthly: budget(monthlyUsd, spend.month)
+      },
+      daily: daily.rows,
+      byModel: byModel.rows
+    };
+  } catch (error) {
+    logger.error('Error getting usage report:', error);
+    throw error;
+  }
+}
@@ -6,51 +6,210 @@
  * Core operations:
  * 1. addDocument() - Add a document with its embedding to the database
  * 2. searchSimilar() - Find documents similar to a query using vector similarity
+ * 3. getDocument() / updateDocument() / deleteDocument() - Manage stored documents
  * 
  * How vector search works:
  * - Query text → embedding vector
  * - Compare query vector with all document vectors
  * - Use cosine similarity (angle between vectors)
  * - Return most similar documents
+ *
+ * Documents are stored whole in `documents` and searched by chunk: each
+ * chunk is a row in `document_embeddings` with its own embedding and a copy
+ * of the document's metadata (see chunking.js). Search can merge a hit with
+ * its neighbouring chunks into one passage.
+ *
+ * With SEARCH_MODE=hybrid, a full-text keyword search runs next to the vector
+ * search and the two rankings are fused (reciprocal rank fusion), so exact
+ * terms that embeddings blur, like tickers, contract addresses and "EIP-4844",
+ * still find their chunks.
+ *
+ * Maximal marginal relevance (SEARCH_MMR_LAMBDA) and a per-source cap
+ * (SEARCH_MAX_PER_SOURCE) keep near-copies of one story, or one prolific
+ * source, from taking every result slot.
+ *
+ * Documents are scanned for prompt injection when added and when retrieved
+ * (see promptInjection.js); quarantined chunks are never returned by search.
  */
 
 import { pool } from '../config/database.js';
-import { getEmbedding, getEmbeddings } from './embeddings.js';
+import { getEmbeddings, getEmbeddingInfo } from './embeddings.js';
+import { chunkText, getChunkingOptions } from './chunking.js';
+import { screenDocumentForIngest, screenRetrievedDocuments } from './promptInjection.js';
 import { logger } from '../utils/logger.js';
 
+// Chunks sent to the embedding provider per request
+const EMBEDDING_BATCH_SIZE = 100;
+
+const SEARCH_MODES = ['vector', 'hybrid'];
+
+// Must match the content_tsv column in database/schema.sql
+const TEXT_SEARCH_CONFIG = 'english';
+
+/**
+ * Valid search modes
+ *
+ * @returns {string[]}
+ */
+export function listSearchModes() {
+  return [...SEARCH_MODES];
+}
+
+/**
+ * Search settings: per-search overrides over the environment
+ *
+ * @param {object} overrides - { mode, vectorWeight, keywordWeight, mmrLambda, maxPerSource }
+ * @returns {{mode: string, vectorWeight: number, keywordWeight: number, rrfK: number, candidates: number,
+ *   mmrLambda: number|null, maxPerSource: number, diversityCandidates: number}}
+ */
+export function getSearchOptions(overrides = {}) {
+  const mode = (overrides.mode || process.env.SEARCH_MODE || 'vector').toLowerCase();
+  const mmrLambda = overrides.mmrLambda ?? (process.env.SEARCH_MMR_LAMBDA ? parseFloat(process.env.SEARCH_MMR_LAMBDA) : null);
+  return {
+    mode: SEARCH_MODES.includes(mode) ? mode : 'vector',
+    vectorWeight: overrides.vectorWeight ?? parseFloat(process.env.SEARCH_VECTOR_WEIGHT || '1'),
+    keywordWeight: overrides.keywordWeight ?? parseFloat(process.env.SEARCH_KEYWORD_WEIGHT || '1'),
+    rrfK: parseInt(process.env.SEARCH_RRF_K || '60'),
+    candidates: parseInt(process.env.SEARCH_HYBRID_CANDIDATES || '20'),
+    // 1 ranks by relevance alone, so MMR is off
+    mmrLambda: mmrLambda !== null && mmrLambda < 1 ? Math.max(0, mmrLambda) : null,
+    maxPerSource: overrides.maxPerSource ?? parseInt(process.env.SEARCH_MAX_PER_SOURCE || '0'),
+    diversityCandidates: parseInt(process.env.SEARCH_DIVERSITY_CANDIDATES || '20')
+  };
+}
+
+/**
+ * Embeds texts in batches the providers accept
+ */
+async function embedInBatches(texts) {
+  const embeddings = [];
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    embeddings.push(...await getEmbeddings(texts.slice(i, i + EMBEDDING_BATCH_SIZE)));
+  }
+  return embeddings;
+}
+
+/**
+ * Runs queries on one client inside a transaction
+ */
+async function withTransaction(work) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Inserts the embedded chunks of a document
+ *
+ * @returns {Promise<Array<{scan: object, quarantined: boolean}>>} - The injection screening of each chunk
+ */
+async function insertChunks(client, documentId, metadata, chunks, embeddings) {
+  const screenings = [];
+  for (const chunk of chunks) {
+    // Each chunk is screened on its own, like it will be at retrieval
+    const { scan, quarantined } = screenDocumentForIngest(chunk.content, metadata);
+    screenings.push({ scan, quarantined });
+    // pgvector accepts the embedding as an array, Postgres converts it to vector type
+    await client.query(
+      `
+        INSERT INTO document_embeddings
+          (document_id, chunk_index, char_start, char_end, content, metadata, embedding, injection_flags, quarantined)
+        VALUES ($1, $2, $3, $4, $5, $6, $7::vector, $8, $9)
+      `,
+      [
+        documentId,
+        chunk.index,
+        chunk.start,
+        chunk.end,
+        chunk.content,
+        JSON.stringify(metadata),
+        `[${embeddings[chunk.index].join(',')}]`, // Convert array to string format for Postgres
+        scan.flagged ? JSON.stringify(scan) : null,
+        quarantined
+      ]
+    );
+  }
+  return screenings;
+}
+
+/**
+ * Sums up the injection screening of a document's chunks
+ *
+ * @returns {{score: number, rules: string[], flaggedChunks: number, quarantined: boolean}|null} - null if no chunk was flagged
+ */
+function summarizeScreenings(screenings) {
+  const flagged = screenings.filter(screening => screening.scan.flagged);
+  if (flagged.length === 0) {
+    return null;
+  }
+  return {
+    score: Math.max(...flagged.map(screening => screening.scan.score)),
+    rules: [...new Set(flagged.flatMap(screening => screening.scan.rules))],
+    flaggedChunks: flagged.length,
+    quarantined: flagged.some(screening => screening.quarantined)
+  };
+}
+
+/**
+ * Stores a document and its embedded chunks in one transaction
+ *
+ * @param {object} document - { content, metadata }
+ * @param {object} chunking - Options it was chunked with
+ * @param {Array} chunks - From chunkText()
+ * @param {number[][]} embeddings - One per chunk
+ * @returns {Promise<{id: number, injection: object|null}>} - The document ID and its injection screening
+ */
+async function insertDocument({ content, metadata }, chunking, chunks, embeddings) {
+  return withTransaction(async client => {
+    const parent = await client.query(
+      `
+        INSERT INTO documents (content, metadata, chunking, chunk_count)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id
+      `,
+      [content, JSON.stringify(metadata), JSON.stringify(chunking), chunks.length]
+    );
+    const documentId = parent.rows[0].id;
+    const screenings = await insertChunks(client, documentId, metadata, chunks, embeddings);
+    return { id: documentId, injection: summarizeScreenings(screenings) };
+  });
+}
+
 /**
  * Adds a document to the vector store
+ * Long documents are split into chunks (see chunking.js), each embedded and
+ * searchable on its own.
  * 
  * @param {string} content - The text content of the document
  * @param {object} metadata - Optional metadata (title, url, source, etc.)
- * @returns {Promise<number>} - The ID of the inserted document
+ * @param {object} chunking - Optional { strategy, size, overlap } overriding CHUNK_* settings
+ * @returns {Promise<{id: number, chunks: number, injection: object|null}>} - The document ID, its
+ *   number of chunks and the injection screening of the chunks (null if none was flagged)
  */
-export async function addDocument(content, metadata = {}) {
+export async function addDocument(content, metadata = {}, chunking = {}) {
   if (!content || content.trim().length === 0) {
     throw new Error('Content cannot be empty');
   }
 
   try {
-    // Step 1: Convert text to embedding vector
-    logger.debug('Generating embedding for document...');
-    const embedding = await getEmbedding(content);
-
-    // Step 2: Insert document with embedding into database
-    // pgvector accepts the embedding as an array, Postgres converts it to vector type
-    const query = `
-      INSERT INTO document_embeddings (content, metadata, embedding)
-      VALUES ($1, $2, $3::vector)
-      RETURNING id
-    `;
+    // Step 1: Split into chunks and convert each to an embedding vector
+    const chunks = chunkText(content, chunking);
+    logger.debug(`Generating embeddings for ${chunks.length} chunk(s)...`);
+    const embeddings = await embedInBatches(chunks.map(chunk => chunk.content));
 
-    const result = await pool.query(query, [
-      content,
-      JSON.stringify(metadata),
-      `[${embedding.join(',')}]` // Convert array to string format for Postgres
-    ]);
-
-    logger.info(`Document added with ID: ${result.rows[0].id}`);
-    return result.rows[0].id;
+    // Step 2: Insert document and chunks into database
+    const { id, injection } = await insertDocument({ content, metadata }, getChunkingOptions(chunking), chunks, embeddings);
+    logger.info(`Document added with ID: ${id} (${chunks.length} chunk(s))`);
+    return { id, chunks: chunks.length, injection };
   } catch (error) {
     logger.error('Error adding document:', error);
     throw error;
@@ -60,8 +219,9 @@ export async function addDocument(content, metadata = {}) {
 /**
  * Adds multiple documents in batch (more efficient)
  * 
- * @param {Array<{content: string, metadata?: object}>} documents - Array of documents to add
- * @returns {Promise<number[]>} - Array of inserted document IDs
+ * @param {Array<{content: string, metadata?: object, chunking?: object}>} documents - Array of documents to add
+ * @returns {Promise<Array<{id: number, chunks: number, injection: object|null}>>} - One entry per
+ *   document, in order, as returned by addDocument()
  */
 export async function addDocuments(documents) {
   if (!Array.isArray(documents) || documents.length === 0) {
@@ -69,40 +229,234 @@ export async function addDocuments(documents) {
   }
 
   try {
-    // Generate embeddings for all documents
-    logger.info(`Generating embeddings for ${documents.length} documents...`);
-    const texts = documents.map(doc => doc.content);
-    const embeddings = await getEmbeddings(texts);
+    // Generate embeddings for the chunks of all documents
+    const prepared = documents.map(({ content, metadata = {}, chunking = {} }) => {
+      return { content, metadata, options: getChunkingOptions(chunking), chunks: chunkText(content, chunking) };
+    });
+    const texts = prepared.flatMap(doc => doc.chunks.map(chunk => chunk.content));
+    logger.info(`Generating embeddings for ${texts.length} chunks of ${documents.length} documents...`);
+    const embeddings = await embedInBatches(texts);
 
     // Insert all documents
-    const ids = [];
-    for (let i = 0; i < documents.length; i++) {
-      const { content, metadata = {} } = documents[i];
-      const embedding = embeddings[i];
-
-      const query = `
-        INSERT INTO document_embeddings (content, metadata, embedding)
-        VALUES ($1, $2, $3::vector)
-        RETURNING id
-      `;
-
-      const result = await pool.query(query, [
-        content,
-        JSON.stringify(metadata),
-        `[${embedding.join(',')}]`
-      ]);
-
-      ids.push(result.rows[0].id);
+    const added = [];
+    let offset = 0;
+    for (const doc of prepared) {
+      const docEmbeddings = embeddings.slice(offset, offset + doc.chunks.length);
+      offset += doc.chunks.length;
+      const { id, injection } = await insertDocument(doc, doc.options, doc.chunks, docEmbeddings);
+      added.push({ id, chunks: doc.chunks.length, injection });
     }
 
-    logger.info(`Added ${ids.length} documents to vector store`);
-    return ids;
+    logger.info(`Added ${added.length} documents to vector store`);
+    return added;
   } catch (error) {
     logger.error('Error adding documents:', error);
     throw error;
   }
 }
 
+/**
+ * Widens chunk hits into passages with up to `neighbors` chunks on each side
+ * Passages of the same document that touch or overlap are combined into one
+ * that keeps the best hit's ID and scores. The passage text is cut from the
+ * document itself, so overlapping chunk text is not repeated. Quarantined
+ * chunks are never pulled in as neighbours.
+ *
+ * @param {Array} hits - Search results, sorted by score
+ * @param {number} neighbors
+ * @returns {Promise<Array>} - Passages, sorted by score; chunk passages carry `chunkRange: [first, last]`
+ */
+async function mergeNeighborChunks(hits, neighbors) {
+  const documentIds = [...new Set(hits.map(hit => hit.documentId).filter(id => id !== null))];
+  if (documentIds.length === 0) {
+    return hits;
+  }
+
+  const [chunkRows, documentRows] = await Promise.all([
+    pool.query(
+      `
+        SELECT document_id, chunk_index, char_start, char_end, quarantined
+        FROM document_embeddings
+        WHERE document_id = ANY($1)
+      `,
+      [documentIds]
+    ),
+    pool.query('SELECT id, content FROM documents WHERE id = ANY($1)', [documentIds])
+  ]);
+  const chunks = new Map(chunkRows.rows.map(row => [`${row.document_id}:${row.chunk_index}`, row]));
+  const documentText = new Map(documentRows.rows.map(row => [row.id, row.content]));
+  const usable = (documentId, index) => {
+    const chunk = chunks.get(`${documentId}:${index}`);
+    return chunk && !chunk.quarantined && chunk.char_start !== null;
+  };
+
+  // Each hit's window of chunks, then overlapping or touching windows of a document combined
+  const passages = [];
+  const windows = [];
+  for (const hit of hits) {
+    if (hit.documentId === null || !documentText.has(hit.documentId) || !usable(hit.documentId, hit.chunkIndex)) {
+      passages.push(hit);
+      continue;
+    }
+    let first = hit.chunkIndex;
+    let last = hit.chunkIndex;
+    while (hit.chunkIndex - first < neighbors && usable(hit.documentId, first - 1)) first--;
+    while (last - hit.chunkIndex < neighbors && usable(hit.documentId, last + 1)) last++;
+    windows.push({ hit, first, last });
+  }
+
+  windows.sort((a, b) => a.hit.documentId - b.hit.documentId || a.first - b.first);
+  const merged = [];
+  for (const window of windows) {
+    const current = merged[merged.length - 1];
+    if (current && current.hit.documentId === window.hit.documentId && window.first <= current.last + 1) {
+      current.last = Math.max(current.last, window.last);
+      if (window.hit.score > current.hit.score) current.hit = window.hit;
+    } else {
+      merged.push({ ...window });
+    }
+  }
+
+  for (const { hit, first, last } of merged) {
+    const start = chunks.get(`${hit.documentId}:${first}`).char_start;
+    const end = chunks.get(`${hit.documentId}:${last}`).char_end;
+    passages.push({
+      ...hit,
+      // A lone chunk keeps its own text (which may carry its section heading)
+      content: first === last ? hit.content : documentText.get(hit.documentId).slice(start, end),
+      chunkRange: [first, last]
+    });
+  }
+  return passages.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Turns a search query into a full-text query matching any of its words
+ * Words keep inner hyphens and dots, so "EIP-4844" is searched as the phrase
+ * Postgres indexes it as; stop words are dropped by to_tsquery().
+ *
+ * @returns {string} - For to_tsquery(), empty if the query has no words
+ */
+function toKeywordQuery(query) {
+  const words = (query.match(/[\p{L}\p{N}][\p{L}\p{N}_.-]*/gu) || [])
+    .map(word => word.replace(/[.-]+$/, ''));
+  return [...new Set(words)].join(' | ');
+}
+
+/**
+ * Full-text search over chunk content, best ts_rank_cd first
+ * Keyword hits are not held to minSimilarity: an exact term match is
+ * relevant even when the embeddings disagree. Their similarity is still
+ * computed against the query, for display and prompt injection screening.
+ * `embeddingColumn` is the same select list addition as in the vector search.
+ */
+async function searchKeywords(queryEmbedding, keywordQuery, limit, filterConditions, filterParams, embeddingColumn = '') {
+  const tsquery = `to_tsquery('${TEXT_SEARCH_CONFIG}', $2)`;
+  const whereClause = [`content_tsv @@ ${tsquery}`, 'NOT quarantined', ...filterConditions];
+  const result = await pool.query(
+    `
+      SELECT
+        id,
+        document_id,
+        chunk_index,
+        content,
+        metadata,
+        1 - (embedding <=> $1::vector) AS similarity${embeddingColumn}
+      FROM document_embeddings
+      WHERE ${whereClause.join(' AND ')}
+      ORDER BY ts_rank_cd(content_tsv, ${tsquery}) DESC
+      LIMIT $3
+    `,
+    [`[${queryEmbedding.join(',')}]`, keywordQuery, limit, ...filterParams]
+  );
+  return result.rows;
+}
+
+/**
+ * Fuses the vector and keyword rankings with reciprocal rank fusion
+ * A chunk scores weight / (k + rank) in each ranking it appears in, so one
+ * found by both searches outranks one found by only one of them.
+ *
+ * @param {Array} vectorHits - Sorted by similarity
+ * @param {Array} keywordHits - Sorted by keyword rank
+ * @param {object} options - { vectorWeight, keywordWeight, rrfK }
+ * @returns {Array} - Hits with `score`, `vectorRank` and `keywordRank` (null where not found), best first
+ */
+function fuseRankings(vectorHits, keywordHits, { vectorWeight, keywordWeight, rrfK }) {
+  const fused = new Map();
+  const add = (hits, weight, rankKey) => hits.forEach((hit, i) => {
+    const entry = fused.get(hit.id) || { ...hit, score: 0, vectorRank: null, keywordRank: null };
+    entry[rankKey] = i + 1;
+    entry.score += weight / (rrfK + i + 1);
+    fused.set(hit.id, entry);
+  });
+  add(vectorHits, vectorWeight, 'vectorRank');
+  add(keywordHits, keywordWeight, 'keywordRank');
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Picks `limit` results that are relevant but not redundant
+ * With MMR, each pick maximizes
+ *   lambda * relevance - (1 - lambda) * (highest similarity to an earlier pick)
+ * where relevance is the score (scaled so the best is 1 for fused hybrid
+ * scores) and similarity compares chunk embeddings. Results whose
+ * `metadata.source` already has `maxPerSource` picks are skipped.
+ *
+ * @param {Array} results - Sorted by score, with `embedding` when MMR is on
+ * @param {number} limit
+ * @param {object} options - { mmrLambda (null = off), maxPerSource (0 = off), hybrid }
+ * @returns {Array} - In pick order
+ */
+function selectDiverse(results, limit, { mmrLambda, maxPerSource, hybrid }) {
+  const scale = hybrid && results.length > 0 ? results[0].score : 1;
+  const remaining = results.map(result => ({ result, relevance: result.score / scale, redundancy: 0 }));
+  const perSource = new Map();
+  const selected = [];
+
+  while (selected.length < limit) {
+    let best = -1;
+    let bestValue = -Infinity;
+    remaining.forEach((candidate, i) => {
+      const source = candidate.result.metadata?.source;
+      if (maxPerSource > 0 && source && (perSource.get(source) || 0) >= maxPerSource) return;
+      const value = mmrLambda === null
+        ? candidate.relevance
+        : mmrLambda * candidate.relevance - (1 - mmrLambda) * candidate.redundancy;
+      if (value > bestValue) {
+        best = i;
+        bestValue = value;
+      }
+    });
+    if (best < 0) break;
+
+    const [{ result }] = remaining.splice(best, 1);
+    selected.push(result);
+    const source = result.metadata?.source;
+    if (source) perSource.set(source, (perSource.get(source) || 0) + 1);
+    if (mmrLambda !== null && result.embedding) {
+      for (const candidate of remaining) {
+        if (candidate.result.embedding) {
+          candidate.redundancy = Math.max(candidate.redundancy, cosineSimilarity(result.embedding, candidate.result.embedding));
+        }
+      }
+    }
+  }
+  return selected;
+}
+
 /**
  * Searches for documents similar to the query with optional metadata filtering
  * 
@@ -114,18 +468,40 @@ export async function addDocuments(documents) {
  *   - { source: 'CoinDesk' } - Filter by exact source
  *   - { source: { $in: ['CoinDesk', 'Benzinga'] } } - Filter by multiple sources
  *   - { title: { $like: '%Ethereum%' } } - Filter by title pattern
- * @returns {Promise<Array<{id: number, content: string, metadata: object, similarity: number}>>}
+ * @param {object} options - Optional search settings
+ * @param {Array<{role: string, content: string}>} options.history - Recent conversation turns,
+ *   used to rewrite follow-up questions ("and what about its TVL?") into standalone queries
+ * @param {AbortSignal} options.signal - Aborts outstanding embedding requests (e.g. on timeout)
+ * @param {number} options.mergeNeighbors - Chunks on each side of a hit to merge into its passage
+ *   (default: CHUNK_MERGE_NEIGHBORS, 0 = off)
+ * @param {string} options.mode - vector or hybrid (default: SEARCH_MODE)
+ * @param {number} options.vectorWeight - Weight of the vector ranking in hybrid mode (default: SEARCH_VECTOR_WEIGHT)
+ * @param {number} options.keywordWeight - Weight of the keyword ranking in hybrid mode (default: SEARCH_KEYWORD_WEIGHT)
+ * @param {number} options.mmrLambda - Maximal marginal relevance trade-off, 0 (most diverse) to 1
+ *   (relevance only, off) (default: SEARCH_MMR_LAMBDA, unset = off)
+ * @param {number} options.maxPerSource - Results allowed per `metadata.source` (default: SEARCH_MAX_PER_SOURCE, 0 = no cap)
+ * @returns {Promise<Array<{id: number, documentId: number, chunkIndex: number, content: string, metadata: object, similarity: number, score: number}>>}
+ *   - One entry per matching chunk, best first; `id` is the chunk's row, `documentId` its document.
+ *   `score` is the ranking score: the similarity in vector mode, the fused score in hybrid
+ *   mode, where `vectorRank` and `keywordRank` give the chunk's place in each ranking. With MMR
+ *   or a source cap the results are in pick order.
  */
 export async function searchSimilar(
   query, 
   limit = parseInt(process.env.VECTOR_SEARCH_LIMIT || '5'), 
   minSimilarity = parseFloat(process.env.VECTOR_MIN_SIMILARITY || '0.6'),
-  metadataFilter = {}
+  metadataFilter = {},
+  options = {}
 ) {
   if (!query || query.trim().length === 0) {
     throw new Error('Query cannot be empty');
   }
 
+  const searchQuery = contextualizeQuery(query, options.history);
+  if (searchQuery !== query.trim()) {
+    logger.debug(`Rewrote follow-up query using history: "${searchQuery}"`);
+  }
+
   const expansionEnabled = process.env.QUERY_EXPANSION_ENABLED !== 'false';
   const maxVariants = Math.max(
     1,
@@ -133,8 +509,8 @@ export async function searchSimilar(
   );
 
   const queries = expansionEnabled
-    ? generateQueryVariants(query, maxVariants)
-    : [query.trim()];
+    ? generateQueryVariants(searchQuery, maxVariants)
+    : [searchQuery];
 
   logger.debug(
     expansionEnabled
@@ -144,56 +520,93 @@ export async function searchSimilar(
 
   try {
     const { filterConditions, filterParams } = buildMetadataFilter(metadataFilter);
+    const search = getSearchOptions(options);
+    const hybrid = search.mode === 'hybrid';
+    const diverse = search.mmrLambda !== null || search.maxPerSource > 0;
+    // Fusion and diversity selection need more than the final few to choose from
+    const candidates = Math.max(limit, hybrid ? search.candidates : 0, diverse ? search.diversityCandidates : 0);
+    // MMR compares the candidates with each other
+    const embeddingColumn = search.mmrLambda !== null ? ',\n        embedding::text AS embedding' : '';
 
     const resultsMap = new Map();
 
-    for (const variant of queries) {
-      logger.debug(`Searching with variant: "${variant}"`);
-      const queryEmbedding = await getEmbedding(variant);
+    // One embedding call for all variants (cached ones are not sent at all),
+    // then one search per variant, run side by side
+    const queryEmbeddings = await getEmbeddings(queries, { signal: options.signal });
+    const whereClause = [`1 - (embedding <=> $1::vector) >= $2`, 'NOT quarantined', ...filterConditions];
+    const sql = `
+      SELECT 
+        id,
+        document_id,
+        chunk_index,
+        content,
+        metadata,
+        1 - (embedding <=> $1::vector) AS similarity${embeddingColumn}
+      FROM document_embeddings
+      WHERE ${whereClause.join(' AND ')}
+      ORDER BY embedding <=> $1::vector
+      LIMIT $3
+    `;
 
-      const whereClause = [`1 - (embedding <=> $1::vector) >= $2`, ...filterConditions];
+    const keywordQuery = hybrid ? toKeywordQuery(searchQuery) : '';
+    const [results, keywordRows] = await Promise.all([
+      Promise.all(queryEmbeddings.map((queryEmbedding, i) => {
+        logger.debug(`Searching with variant: "${queries[i]}"`);
+        return pool.query(sql, [
+          `[${queryEmbedding.join(',')}]`,
+          minSimilarity,
+          candidates,
+          ...filterParams
+        ]);
+      })),
+      keywordQuery
+        ? searchKeywords(queryEmbeddings[0], keywordQuery, candidates, filterConditions, filterParams, embeddingColumn).catch(error => {
+          // e.g. content_tsv missing until `pnpm run setup-db` is run again
+          logger.warn('Keyword search failed, using vector results only:', error.message);
+          return [];
+        })
+        : []
+    ]);
 
-      const searchQuery = `
-        SELECT 
-          id,
-          content,
-          metadata,
-          1 - (embedding <=> $1::vector) AS similarity
-        FROM document_embeddings
-        WHERE ${whereClause.join(' AND ')}
-        ORDER BY embedding <=> $1::vector
-        LIMIT $3
-      `;
-
-      const result = await pool.query(searchQuery, [
-        `[${queryEmbedding.join(',')}]`,
-        minSimilarity,
-        limit,
-        ...filterParams
-      ]);
+    const toHit = row => ({
+      id: row.id,
+      documentId: row.document_id,
+      chunkIndex: row.chunk_index,
+      content: row.content,
+      metadata: row.metadata,
+      similarity: parseFloat(row.similarity),
+      ...(row.embedding && { embedding: JSON.parse(row.embedding) })
+    });
 
+    for (const result of results) {
       result.rows.forEach(row => {
         const existing = resultsMap.get(row.id);
-        const similarity = parseFloat(row.similarity);
-
-        if (!existing || similarity > existing.similarity) {
-          resultsMap.set(row.id, {
-            id: row.id,
-            content: row.content,
-            metadata: row.metadata,
-            similarity
-          });
+        const hit = toHit(row);
+
+        if (!existing || hit.similarity > existing.similarity) {
+          resultsMap.set(row.id, hit);
         }
       });
     }
 
-    const combinedResults = Array.from(resultsMap.values())
-      .sort((a, b) => b.similarity - a.similarity)
-      .slice(0, limit);
+    const vectorHits = Array.from(resultsMap.values()).sort((a, b) => b.similarity - a.similarity);
+    const hits = hybrid
+      ? fuseRankings(vectorHits, keywordRows.map(toHit), search)
+      : vectorHits.map(hit => ({ ...hit, score: hit.similarity }));
+    const mergeNeighbors = options.mergeNeighbors ?? parseInt(process.env.CHUNK_MERGE_NEIGHBORS || '0');
+    const passages = mergeNeighbors > 0 ? await mergeNeighborChunks(hits, mergeNeighbors) : hits;
+
+    // Re-scanned at retrieval: covers documents stored before the scanner
+    // existed or under a different PROMPT_INJECTION_ACTION
+    const screened = screenRetrievedDocuments(passages, minSimilarity);
+    const combinedResults = (diverse ? selectDiverse(screened, limit, { ...search, hybrid }) : screened.slice(0, limit))
+      .map(({ embedding, ...result }) => result);
 
     logger.info(
       `Found ${combinedResults.length} unique documents` +
       `${filterConditions.length > 0 ? ' with metadata filters' : ''}` +
+      `${hybrid ? ` (hybrid: ${vectorHits.length} vector, ${keywordRows.length} keyword candidates)` : ''}` +
+      `${diverse ? ` (diversified from ${screened.length})` : ''}` +
       `${queries.length > 1 ? ` (from ${queries.length} variants)` : ''}`
     );
 
@@ -204,14 +617,28 @@ export async function searchSimilar(
   }
 }
 
+// Whole documents, with how many of their chunks were flagged or quarantined
+const DOCUMENT_SUMMARY_SQL = `
+  SELECT
+    d.id, d.content, d.metadata, d.chunking, d.chunk_count,
+    COUNT(e.id) FILTER (WHERE e.injection_flags IS NOT NULL)::int AS flagged_chunks,
+    COUNT(e.id) FILTER (WHERE e.quarantined)::int AS quarantined_chunks,
+    d.created_at, d.updated_at
+  FROM documents d
+  LEFT JOIN document_embeddings e ON e.document_id = d.id
+`;
+
 /**
  * Gets all documents (for debugging/admin purposes)
+ * Whole documents, with how many of their chunks were flagged or quarantined
  */
 export async function getAllDocuments() {
   try {
-    const result = await pool.query(
-      'SELECT id, content, metadata, created_at FROM document_embeddings ORDER BY created_at DESC'
-    );
+    const result = await pool.query(`
+      ${DOCUMENT_SUMMARY_SQL}
+      GROUP BY d.id
+      ORDER BY d.created_at DESC
+    `);
     return result.rows;
   } catch (error) {
     logger.error('Error getting documents:', error);
@@ -220,12 +647,166 @@ export async function getAllDocuments() {
 }
 
 /**
- * Deletes a document by ID
+ * Gets one document, with how many of its chunks were flagged or quarantined
+ *
+ * @param {number} id - Document ID
+ * @returns {Promise<object|null>}
+ */
+export async function getDocument(id) {
+  try {
+    const result = await pool.query(
+      `
+        ${DOCUMENT_SUMMARY_SQL}
+        WHERE d.id = $1
+        GROUP BY d.id
+      `,
+      [id]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error getting document:', error);
+    throw error;
+  }
+}
+
+/**
+ * Stored chunking settings as overrides for getChunkingOptions()
+ */
+function toChunkingOverrides(chunking) {
+  return chunking ? { strategy: chunking.strategy, size: chunking.sizeTokens, overlap: chunking.overlapTokens } : {};
+}
+
+function sameChunking(a, b) {
+  return !!b && a.strategy === b.strategy && a.sizeTokens === b.sizeTokens && a.overlapTokens === b.overlapTokens;
+}
+
+/**
+ * Applies a metadata patch: keys set to null are removed, others replaced
+ */
+function mergeMetadataPatch(stored, patch) {
+  const merged = { ...stored };
+  for (const [key, value] of Object.entries(patch || {})) {
+    if (value === null) {
+      delete merged[key];
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Updates a document
+ * New content (or new chunking) re-chunks and re-embeds the document,
+ * replacing its chunks; unchanged chunk text is served from the embedding
+ * cache. A metadata-only change is written to the document and copied onto
+ * its chunks without embedding anything; a changed title is re-scanned for
+ * prompt injection, since it is scanned with every chunk.
+ *
+ * @param {number} id - Document ID
+ * @param {object} changes - { content, metadata, chunking }; omitted fields keep their stored value
+ * @param {object} options
+ * @param {boolean} options.mergeMetadata - Merge `metadata` into the stored metadata (null removes
+ *   a key) instead of replacing it
+ * @returns {Promise<{id: number, chunks: number, reembedded: boolean}|null>} - null if the document does not exist
+ */
+export async function updateDocument(id, { content, metadata, chunking } = {}, { mergeMetadata = false } = {}) {
+  try {
+    const existing = await pool.query('SELECT content, metadata, chunking FROM documents WHERE id = $1', [id]);
+    if (existing.rows.length === 0) {
+      return null;
+    }
+    const stored = existing.rows[0];
+    const newContent = content ?? stored.content;
+    const newMetadata = mergeMetadata ? mergeMetadataPatch(stored.metadata, metadata) : metadata ?? stored.metadata ?? {};
+    const overrides = chunking ?? toChunkingOverrides(stored.chunking);
+    const options = getChunkingOptions(overrides);
+    const reembed = newContent !== stored.content || (chunking !== undefined && !sameChunking(options, stored.chunking));
+
+    if (reembed) {
+      // Embedded before the transaction, so no rows stay locked while the provider works
+      const chunks = chunkText(newContent, overrides);
+      logger.debug(`Re-embedding ${chunks.length} chunk(s) of document ${id}...`);
+      const embeddings = await embedInBatches(chunks.map(chunk => chunk.content));
+
+      const updated = await withTransaction(async client => {
+        const result = await client.query(
+          `
+            UPDATE documents
+            SET content = $2, metadata = $3, chunking = $4, chunk_count = $5, updated_at = NOW()
+            WHERE id = $1
+            RETURNING id
+          `,
+          [id, newContent, JSON.stringify(newMetadata), JSON.stringify(options), chunks.length]
+        );
+        if (result.rows.length === 0) {
+          return false;
+        }
+        await client.query('DELETE FROM document_embeddings WHERE document_id = $1', [id]);
+        await insertChunks(client, id, newMetadata, chunks, embeddings);
+        return true;
+      });
+      if (!updated) {
+        return null;
+      }
+      logger.info(`Document ${id} updated and re-embedded (${chunks.length} chunk(s))`);
+      return { id, chunks: chunks.length, reembedded: true };
+    }
+
+    const titleChanged = (newMetadata.title || '') !== (stored.metadata?.title || '');
+    const chunkCount = await withTransaction(async client => {
+      const parent = await client.query(
+        'UPDATE documents SET metadata = $2, updated_at = NOW() WHERE id = $1 RETURNING id',
+        [id, JSON.stringify(newMetadata)]
+      );
+      if (parent.rows.length === 0) {
+        return null;
+      }
+      const result = await client.query(
+        `
+          UPDATE document_embeddings
+          SET metadata = $2, updated_at = NOW()
+          WHERE document_id = $1
+          RETURNING id, content
+        `,
+        [id, JSON.stringify(newMetadata)]
+      );
+      if (titleChanged) {
+        const screened = result.rows.map(row => ({ id: row.id, ...screenDocumentForIngest(row.content, newMetadata) }));
+        await client.query(
+          `
+            UPDATE document_embeddings e
+            SET injection_flags = s.flags::jsonb, quarantined = s.quarantined
+            FROM unnest($1::int[], $2::text[], $3::boolean[]) AS s(id, flags, quarantined)
+            WHERE e.id = s.id
+          `,
+          [
+            screened.map(chunk => chunk.id),
+            screened.map(chunk => (chunk.scan.flagged ? JSON.stringify(chunk.scan) : null)),
+            screened.map(chunk => chunk.quarantined)
+          ]
+        );
+      }
+      return result.rows.length;
+    });
+    if (chunkCount === null) {
+      return null;
+    }
+    logger.info(`Document ${id} metadata updated (${chunkCount} chunk(s), not re-embedded)`);
+    return { id, chunks: chunkCount, reembedded: false };
+  } catch (error) {
+    logger.error('Error updating document:', error);
+    throw error;
+  }
+}
+
+/**
+ * Deletes a document (and its chunks) by ID
  */
 export async function deleteDocument(id) {
   try {
     const result = await pool.query(
-      'DELETE FROM document_embeddings WHERE id = $1 RETURNING id',
+      'DELETE FROM documents WHERE id = $1 RETURNING id',
       [id]
     );
     return result.rows[0]?.id;
@@ -235,13 +816,82 @@ export async function deleteDocument(id) {
   }
 }
 
+/**
+ * Deletes every document (and its chunks) whose metadata matches a filter
+ * Takes the same filters as searchSimilar(), but a filter with an entry that
+ * is not understood, or without any condition, is refused rather than
+ * deleting more than was asked for.
+ *
+ * @param {object} metadataFilter - e.g. { source: 'CoinDesk' } or { title: { $like: '%draft%' } }
+ * @returns {Promise<number[]>} - IDs of the deleted documents
+ */
+export async function deleteDocumentsByFilter(metadataFilter) {
+  const { filterConditions, filterParams } = buildMetadataFilter(metadataFilter, 1, { strict: true });
+  if (filterConditions.length === 0) {
+    const error = new Error('The filter must contain at least one valid metadata condition');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  try {
+    const result = await pool.query(
+      `DELETE FROM documents WHERE ${filterConditions.join(' AND ')} RETURNING id`,
+      filterParams
+    );
+    const ids = result.rows.map(row => row.id);
+    logger.info(`Deleted ${ids.length} documents matching metadata filter`);
+    return ids;
+  } catch (error) {
+    logger.error('Error deleting documents:', error);
+    throw error;
+  }
+}
+
+/**
+ * Compares the vector columns in the database with the configured embedding model
+ * A mismatch (e.g. after switching EMBEDDING_PROVIDER) would make every insert
+ * and search fail, so the server checks this at startup. Tables that do not
+ * exist yet are skipped.
+ *
+ * @returns {Promise<{provider: string, model: string, dimensions: number, mismatches: Array<{table: string, dimensions: number|null}>}>}
+ */
+export async function checkEmbeddingDimensions() {
+  const info = getEmbeddingInfo();
+  const result = await pool.query(`
+    SELECT c.relname AS table_name, format_type(a.atttypid, a.atttypmod) AS column_type
+    FROM pg_attribute a
+    JOIN pg_class c ON c.oid = a.attrelid
+    WHERE c.oid IN (to_regclass('document_embeddings'), to_regclass('answer_cache'))
+      AND a.attname = 'embedding'
+      AND NOT a.attisdropped
+  `);
+
+  const mismatches = result.rows
+    .map(row => {
+      const match = row.column_type.match(/^vector\((\d+)\)$/);
+      return { table: row.table_name, dimensions: match ? parseInt(match[1]) : null };
+    })
+    .filter(column => column.dimensions !== info.dimensions);
+
+  return { ...info, mismatches };
+}
+
 /**
  * Builds SQL clauses for metadata filtering
+ * Entries that do not become a condition (bad keys, unknown operators, empty
+ * `$in`, arrays) are skipped, or with `strict` refused with a 400 error, so a
+ * destructive caller never runs with fewer conditions than it was given.
+ *
+ * @param {object} metadataFilter
+ * @param {number} startIndex - Number of the first parameter (default: 4, after the
+ *   search's embedding, similarity or keyword query, and limit)
+ * @param {object} options - { strict }
  */
-function buildMetadataFilter(metadataFilter = {}) {
+function buildMetadataFilter(metadataFilter = {}, startIndex = 4, { strict = false } = {}) {
   const filterConditions = [];
   const filterParams = [];
-  let paramIndex = 4; // After embedding, similarity, limit
+  const rejected = [];
+  let paramIndex = startIndex;
 
   const isValidKey = (key) => /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(key);
 
@@ -251,11 +901,13 @@ function buildMetadataFilter(metadataFilter = {}) {
 
   for (const [key, value] of Object.entries(metadataFilter)) {
     if (value === null || value === undefined) {
+      rejected.push(`${key}: no value`);
       continue;
     }
 
     if (!isValidKey(key)) {
       logger.warn(`Invalid metadata key name: ${key}. Skipping filter.`);
+      rejected.push(`${key}: invalid key name`);
       continue;
     }
 
@@ -264,9 +916,13 @@ function buildMetadataFilter(metadataFilter = {}) {
       filterParams.push(String(value));
       paramIndex++;
     } else if (typeof value === 'object' && !Array.isArray(value)) {
+      if (Object.keys(value).length === 0) {
+        rejected.push(`${key}: no operator`);
+      }
       for (const [op, opValue] of Object.entries(value)) {
         if (op === '$in' && Array.isArray(opValue)) {
           if (opValue.length === 0) {
+            rejected.push(`${key}.$in: empty list`);
             continue;
           }
           const placeholders = opValue.map((_, i) => `$${paramIndex + i}`).join(', ');
@@ -284,14 +940,53 @@ function buildMetadataFilter(metadataFilter = {}) {
           } else {
             filterConditions.push(`NOT (metadata ? '${key}')`);
           }
+        } else {
+          rejected.push(`${key}.${op}: unsupported operator or value`);
         }
       }
+    } else {
+      rejected.push(`${key}: unsupported value`);
     }
   }
 
+  if (strict && rejected.length > 0) {
+    const error = new Error(`Unsupported metadata filter: ${rejected.join('; ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
   return { filterConditions, filterParams };
 }
 
+/**
+ * Rewrites a follow-up question into a standalone search query
+ * Short or referential questions ("and its TVL?", "how does that work?") carry
+ * little meaning on their own, so the previous user question is prepended.
+ */
+function contextualizeQuery(query, history = []) {
+  const trimmed = query.trim();
+  const previousQuestion = [...(history || [])]
+    .reverse()
+    .find(turn => turn.role === 'user' && turn.content?.trim());
+
+  if (!previousQuestion) {
+    return trimmed;
+  }
+
+  const words = trimmed.toLowerCase().split(/\s+/);
+  const referentialWords = ['it', 'its', "it's", 'that', 'this', 'they', 'them', 'their', 'those', 'these'];
+  const isFollowUp =
+    words.length <= 4 ||
+    /^(and|but|also|what about|how about)\b/.test(words.join(' ')) ||
+    words.some(word => referentialWords.includes(word.replace(/[^a-z']/g, '')));
+
+  if (!isFollowUp) {
+    return trimmed;
+  }
+
+  return `${previousQuestion.content.trim().replace(/\?+$/, '')}. ${trimmed}`;
+}
+
 /**
  * Generates query variants for expansion
  */
@@ -26,71 +26,101 @@ function setCache(key, data) {
 
 /**
  * Fetches trending cryptocurrencies from CoinGecko
+ *
+ * @param {object} params
+ * @param {number} params.limit - Number of coins to return (default: 5)
+ * @param {object} options - { signal } to abort the request (e.g. on timeout); an aborted request
+ *   throws its AbortError (TimeoutError) instead of returning no data
  */
-async function getTrendingCoins() {
+export async function getTrendingCoins({ limit = 5 } = {}, options = {}) {
   try {
-    const cached = getCached('trending_coins');
-    if (cached) return cached;
+    let trending = getCached('trending_coins');
+    if (!trending) {
+      const response = await fetch('https://api.coingecko.com/api/v3/search/trending', {
+        signal: options.signal,
+        headers: {
+          'Accept': 'application/json'
+        }
+      });
 
-    const response = await fetch('https://api.coingecko.com/api/v3/search/trending', {
-      headers: {
-        'Accept': 'application/json'
+      if (!response.ok) {
+        throw new Error('Failed to fetch trending coins');
       }
-    });
 
-    if (!response.ok) {
-      throw new Error('Failed to fetch trending coins');
-    }
+      const data = await response.json();
+      trending = (data.coins || []).map(coin => ({
+        id: coin.item.id,
+        name: coin.item.name,
+        symbol: coin.item.symbol,
+        market_cap_rank: coin.item.market_cap_rank,
+        price_change_24h: coin.item.data?.price_change_percentage_24h?.usd || 0,
+        source: 'CoinGecko'
+      }));
 
-    const data = await response.json();
-    const trending = data.coins?.slice(0, 5).map(coin => ({
-      name: coin.item.name,
-      symbol: coin.item.symbol,
-      market_cap_rank: coin.item.market_cap_rank,
-      price_change_24h: coin.item.data?.price_change_percentage_24h?.usd || 0,
-      source: 'CoinGecko'
-    }));
+      setCache('trending_coins', trending);
+    }
 
-    setCache('trending_coins', trending);
-    return trending;
+    return trending.slice(0, limit);
   } catch (error) {
+    // A cancelled or timed-out request is not missing data
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+      throw error;
+    }
     logger.error('Error fetching trending coins:', error.message);
     return [];
   }
 }
 
 /**
- * Fetches DeFi protocols data from DeFiLlama
+ * Fetches DeFi protocols data from DeFiLlama, largest TVL first
+ *
+ * @param {object} params
+ * @param {string} params.chain - Only protocols deployed on this chain (e.g. 'Ethereum', 'Arbitrum')
+ * @param {number} params.limit - Number of protocols to return (default: 5)
+ * @param {object} options - { signal } to abort the request (e.g. on timeout); an aborted request
+ *   throws its AbortError (TimeoutError) instead of returning no data
  */
-async function getDeFiProtocols() {
+export async function getDeFiProtocols({ chain, limit = 5 } = {}, options = {}) {
   try {
-    const cached = getCached('defi_protocols');
-    if (cached) return cached;
+    // The full list is large, so cache a trimmed copy and filter per call
+    let protocols = getCached('defi_protocols');
+    if (!protocols) {
+      const response = await fetch('https://api.llama.fi/protocols', {
+        signal: options.signal,
+        headers: {
+          'Accept': 'application/json'
+        }
+      });
 
-    const response = await fetch('https://api.llama.fi/protocols', {
-      headers: {
-        'Accept': 'application/json'
+      if (!response.ok) {
+        throw new Error('Failed to fetch DeFi protocols');
       }
-    });
 
-    if (!response.ok) {
-      throw new Error('Failed to fetch DeFi protocols');
-    }
+      const data = await response.json();
+      protocols = (data || [])
+        .filter(p => p.chains && p.chains.length > 0)
+        .map(protocol => ({
+          name: protocol.name,
+          tvl: protocol.tvl || 0,
+          chain: protocol.chains[0],
+          chains: protocol.chains,
+          category: protocol.category,
+          source: 'DeFiLlama'
+        }))
+        .sort((a, b) => b.tvl - a.tvl);
 
-    const data = await response.json();
-    const topProtocols = data
-      ?.filter(p => p.chains && p.chains.length > 0)
-      .slice(0, 5)
-      .map(protocol => ({
-        name: protocol.name,
-        tvl: protocol.tvl || 0,
-        chain: protocol.chains[0],
-        source: 'DeFiLlama'
-      }));
+      setCache('defi_protocols', protocols);
+    }
 
-    setCache('defi_protocols', topProtocols);
-    return topProtocols;
+    const wanted = chain?.toLowerCase();
+    return protocols
+      .filter(p => !wanted || p.chains.some(c => c.toLowerCase() === wanted))
+      .slice(0, limit)
+      .map(({ chains, ...protocol }) => (wanted ? { ...protocol, chain } : protocol));
   } catch (error) {
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+      throw error;
+    }
     logger.error('Error fetching DeFi protocols:', error.message);
     return [];
   }
@@ -98,16 +128,36 @@ async function getDeFiProtocols() {
 
 /**
  * Gets recent crypto market data
+ *
+ * @param {object} params
+ * @param {string[]} params.coinIds - CoinGecko coin IDs (e.g. ['ethereum']); omit for the top coins by market cap
+ * @param {number} params.limit - Number of coins when no IDs are given (default: 5)
+ * @param {object} options - { signal } to abort the request (e.g. on timeout); an aborted request
+ *   throws its AbortError (TimeoutError) instead of returning no data
  */
-async function getCryptoMarketData() {
+export async function getCryptoMarketData({ coinIds = [], limit = 5 } = {}, options = {}) {
   try {
-    const cached = getCached('market_data');
+    const ids = coinIds.map(id => id.toLowerCase()).sort();
+    const cacheKey = `market_data:${ids.join(',') || `top${limit}`}`;
+    const cached = getCached(cacheKey);
     if (cached) return cached;
 
-    // Fetch top cryptocurrencies by market cap
+    const query = new URLSearchParams({
+      vs_currency: 'usd',
+      order: 'market_cap_desc',
+      per_page: String(ids.length > 0 ? ids.length : limit),
+      page: '1',
+      sparkline: 'false'
+    });
+    if (ids.length > 0) {
+      query.set('ids', ids.join(','));
+    }
+
+    // Fetch top cryptocurrencies by market cap (or the requested coins)
     const response = await fetch(
-      'https://api.coingecko.com/api/v3/coins/markets?vs_currency=usd&order=market_cap_desc&per_page=5&page=1&sparkline=false',
+      `https://api.coingecko.com/api/v3/coins/markets?${query}`,
       {
+        signal: options.signal,
         headers: {
           'Accept': 'application/json'
         }
@@ -120,6 +170,7 @@ async function getCryptoMarketData() {
 
     const data = await response.json();
     const marketData = data.map(coin => ({
+      id: coin.id,
       name: coin.name,
       symbol: coin.symbol,
       price: coin.current_price,
@@ -128,9 +179,12 @@ async function getCryptoMarketData() {
       source: 'CoinGecko'
     }));
 
-    setCache('market_data', marketData);
+    setCache(cacheKey, marketData);
     return marketData;
   } catch (error) {
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+      throw error;
+    }
     logger.error('Error fetching market data:', error.message);
     return [];
   }
@@ -138,13 +192,15 @@ async function getCryptoMarketData() {
 
 /**
  * Fetches current Web3 trends and data
+ *
+ * @param {object} options - { signal } to abort the requests
  */
-export async function getWeb3Trends() {
+export async function getWeb3Trends(options = {}) {
   try {
     const [trendingCoins, defiProtocols, marketData] = await Promise.all([
-      getTrendingCoins(),
-      getDeFiProtocols(),
-      getCryptoMarketData()
+      getTrendingCoins({}, options),
+      getDeFiProtocols({}, options),
+      getCryptoMarketData({}, options)
     ]);
 
     return {
@@ -154,6 +210,9 @@ export async function getWeb3Trends() {
       timestamp: new Date().toISOString()
     };
   } catch (error) {
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+      throw error;
+    }
     logger.error('Error fetching Web3 trends:', error.message);
     return {
       trending_coins: [],
@@ -165,14 +224,18 @@ export async function getWeb3Trends() {
 
 /**
  * Searches for relevant Web3 context based on query
+ * Returns the live data as separate blocks (one per data source) so each can
+ * be numbered and cited, plus the combined text and source list.
+ *
+ * @param {string} query - The user's question
+ * @param {object} options - { signal } to abort in-flight API requests
  */
-export async function searchWeb3Context(query) {
+export async function searchWeb3Context(query, options = {}) {
   try {
     const lowerQuery = query.toLowerCase();
-    const sources = [];
+    const blocks = [];
 
     // Determine what type of information to fetch based on query
-    let relevantData = '';
     const keywords = lowerQuery.split(' ');
 
     // Check if query is about specific coins
@@ -180,54 +243,76 @@ export async function searchWeb3Context(query) {
     const hasCoinKeyword = coinKeywords.some(keyword => keywords.some(k => k.includes(keyword)));
 
     if (hasCoinKeyword || lowerQuery.includes('price') || lowerQuery.includes('coin')) {
-      const marketData = await getCryptoMarketData();
+      const marketData = await getCryptoMarketData({}, options);
       if (marketData.length > 0) {
-        relevantData += `Recent market data: ${marketData.map(c => `${c.name} (${c.symbol}) at $${c.price}`).join(', ')}.\n`;
-        sources.push({ name: 'CoinGecko', url: 'https://www.coingecko.com' });
+        blocks.push({
+          title: 'CoinGecko market data',
+          content: `Recent market data: ${marketData.map(c => `${c.name} (${c.symbol}) at $${c.price}`).join(', ')}.`,
+          source: { name: 'CoinGecko', url: 'https://www.coingecko.com' }
+        });
       }
     }
 
     // Check if query is about DeFi
     if (lowerQuery.includes('defi') || lowerQuery.includes('lending') || lowerQuery.includes('yield')) {
-      const defiData = await getDeFiProtocols();
+      const defiData = await getDeFiProtocols({}, options);
       if (defiData.length > 0) {
-        relevantData += `Top DeFi protocols: ${defiData.map(p => `${p.name} on ${p.chain}`).join(', ')}.\n`;
-        sources.push({ name: 'DeFiLlama', url: 'https://defillama.com' });
+        blocks.push({
+          title: 'DeFiLlama protocols',
+          content: `Top DeFi protocols: ${defiData.map(p => `${p.name} on ${p.chain}`).join(', ')}.`,
+          source: { name: 'DeFiLlama', url: 'https://defillama.com' }
+        });
       }
     }
 
     // Check if query is about trends
     if (lowerQuery.includes('trending') || lowerQuery.includes('trend')) {
-      const trending = await getTrendingCoins();
+      const trending = await getTrendingCoins({}, options);
       if (trending.length > 0) {
-        relevantData += `Currently trending: ${trending.map(c => `${c.name} (${c.symbol})`).join(', ')}.\n`;
-        sources.push({ name: 'CoinGecko', url: 'https://www.coingecko.com' });
+        blocks.push({
+          title: 'CoinGecko trending coins',
+          content: `Currently trending: ${trending.map(c => `${c.name} (${c.symbol})`).join(', ')}.`,
+          source: { name: 'CoinGecko', url: 'https://www.coingecko.com' }
+        });
       }
     }
 
     // General Web3 context if no specific match
-    if (!relevantData) {
-      relevantData = 'Web3 ecosystem is evolving rapidly with DeFi, NFTs, and Layer 2 solutions. ';
-      const trends = await getWeb3Trends();
+    if (blocks.length === 0) {
+      let content = 'Web3 ecosystem is evolving rapidly with DeFi, NFTs, and Layer 2 solutions. ';
+      const trends = await getWeb3Trends(options);
       if (trends.market_data.length > 0) {
-        relevantData += `Current top cryptocurrencies include ${trends.market_data.slice(0, 3).map(c => c.name).join(', ')}.`;
+        content += `Current top cryptocurrencies include ${trends.market_data.slice(0, 3).map(c => c.name).join(', ')}.`;
       }
-      sources.push({ name: 'CoinGecko', url: 'https://www.coingecko.com' });
+      blocks.push({
+        title: 'Web3 overview',
+        content,
+        source: { name: 'CoinGecko', url: 'https://www.coingecko.com' }
+      });
     }
 
     return {
-      relevantData,
-      sources
+      relevantData: blocks.map(block => block.content).join('\n'),
+      sources: blocks.map(block => block.source),
+      blocks
     };
   } catch (error) {
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+      throw error;
+    }
     logger.error('Error searching Web3 context:', error.message);
     
     // Provide fallback context when APIs are unavailable
-    return {
-      relevantData: 'Web3 is a rapidly evolving space including DeFi, NFTs, blockchain technology, and cryptocurrencies. ' +
+    const fallback = {
+      title: 'General Web3 knowledge',
+      content: 'Web3 is a rapidly evolving space including DeFi, NFTs, blockchain technology, and cryptocurrencies. ' +
         'Due to network constraints, I cannot fetch current market data, but I can still discuss Web3 concepts and trends.',
-      sources: [{ name: 'General Web3 Knowledge', url: '#' }]
+      source: { name: 'General Web3 Knowledge', url: '#' }
+    };
+    return {
+      relevantData: fallback.content,
+      sources: [fallback.source],
+      blocks: [fallback]
     };
   }
 }
-
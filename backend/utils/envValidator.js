@@ -4,6 +4,17 @@
  */
 
 import { logger } from './logger.js';
+import { getProvider, listProviders } from '../services/providers/index.js';
+import { getPersona, getDefaultPersonaId, listPersonas } from '../services/prompts.js';
+import { listInjectionActions } from '../services/promptInjection.js';
+import { listChunkStrategies } from '../services/chunking.js';
+import { listSearchModes } from '../services/vectorStore.js';
+import { getReranker, getRerankerName, listRerankers } from '../services/rerankers/index.js';
+import {
+  getEmbeddingProvider,
+  getEmbeddingProviderName,
+  listEmbeddingProviders
+} from '../services/embeddingProviders/index.js';
 
 /**
  * Validates environment variables
@@ -12,26 +23,96 @@ export function validateEnvironment() {
   const errors = [];
   const warnings = [];
 
-  // Check LLM configuration
+  // Check LLM configuration against the selected provider
   const hasOpenAI = !!process.env.OPENAI_API_KEY;
-  const hasAnthropic = !!process.env.ANTHROPIC_API_KEY;
-  const provider = process.env.LLM_PROVIDER?.toLowerCase();
+  const providerName = process.env.LLM_PROVIDER?.toLowerCase();
 
-  if (!hasOpenAI && !hasAnthropic) {
-    warnings.push('No LLM API key found. Chat functionality will be limited.');
+  if (!providerName) {
+    warnings.push(`LLM_PROVIDER is not set (supported: ${listProviders().join(', ')}). Chat functionality will be limited.`);
   } else {
-    if (provider === 'openai' && !hasOpenAI) {
-      errors.push('LLM_PROVIDER is set to "openai" but OPENAI_API_KEY is missing');
+    const provider = getProvider(providerName);
+    if (!provider) {
+      errors.push(`LLM_PROVIDER "${providerName}" is not supported (supported: ${listProviders().join(', ')})`);
+    } else {
+      errors.push(...provider.validateConfig(provider.getConfig()));
     }
-    if (provider === 'anthropic' && !hasAnthropic) {
-      errors.push('LLM_PROVIDER is set to "anthropic" but ANTHROPIC_API_KEY is missing');
+  }
+
+  // Fallback entries are "provider" or "provider:model"
+  for (const entry of (process.env.LLM_FALLBACKS || '').split(',').map(e => e.trim()).filter(Boolean)) {
+    const fallbackName = entry.split(':')[0].toLowerCase();
+    const fallback = getProvider(fallbackName);
+    if (!fallback) {
+      errors.push(`LLM_FALLBACKS entry "${entry}" uses an unsupported provider (supported: ${listProviders().join(', ')})`);
+      continue;
+    }
+    const problems = fallback.validateConfig(fallback.getConfig());
+    if (problems.length > 0) {
+      warnings.push(`LLM_FALLBACKS entry "${entry}" will be skipped: ${problems.join('; ')}`);
+    }
+  }
+
+  if (providerName === 'mock') {
+    warnings.push('LLM_PROVIDER is "mock": answers are generated offline and are not real.');
+  }
+
+  // Check embedding configuration against the selected embedding provider
+  const embeddingProviderName = getEmbeddingProviderName();
+  const embeddingProvider = getEmbeddingProvider(embeddingProviderName);
+  if (!embeddingProvider) {
+    errors.push(`EMBEDDING_PROVIDER "${embeddingProviderName}" is not supported (supported: ${listEmbeddingProviders().join(', ')})`);
+  } else {
+    const problems = embeddingProvider.validateConfig(embeddingProvider.getConfig());
+    if (embeddingProviderName === 'openai' && !process.env.EMBEDDING_PROVIDER) {
+      // Not chosen explicitly, so vector search is optional
+      problems.forEach(problem => warnings.push(`${problem}. Vector search will be unavailable.`));
+    } else {
+      errors.push(...problems);
     }
   }
 
-  // Check embedding model (required if using vector store)
-  if (hasOpenAI && !process.env.OPENAI_EMBEDDING_MODEL) {
-    // Uses default, but log it
-    logger.debug('Using default embedding model: text-embedding-3-small');
+  if (embeddingProviderName === 'mock') {
+    warnings.push('Embeddings come from the mock provider: they are generated offline and are not real.');
+    if (parseFloat(process.env.VECTOR_MIN_SIMILARITY || '0.6') > 0.3) {
+      warnings.push('Mock embeddings score lower than real ones; set VECTOR_MIN_SIMILARITY=0.1 or vector search will rarely match.');
+    }
+  }
+
+  // Requests can turn reranking on, so the reranker is checked even when RERANK_ENABLED is off
+  const rerankerName = getRerankerName();
+  const reranker = getReranker(rerankerName);
+  if (!reranker) {
+    errors.push(`RERANK_PROVIDER "${rerankerName}" is not supported (supported: ${listRerankers().join(', ')})`);
+  } else {
+    errors.push(...reranker.validateConfig(reranker.getConfig()));
+  }
+
+  // Prompt templates must load, and the default persona must exist
+  try {
+    if (!getPersona(getDefaultPersonaId())) {
+      errors.push(`PROMPT_DEFAULT_PERSONA "${getDefaultPersonaId()}" not found (available: ${listPersonas().map(p => p.id).join(', ')})`);
+    }
+  } catch (error) {
+    errors.push(`Prompt templates could not be loaded${process.env.PROMPTS_DIR ? ` from PROMPTS_DIR ${process.env.PROMPTS_DIR}` : ''}: ${error.message}`);
+  }
+
+  if (process.env.CONTEXT_OVERFLOW && !['truncate', 'summarize'].includes(process.env.CONTEXT_OVERFLOW)) {
+    errors.push('CONTEXT_OVERFLOW must be "truncate" or "summarize"');
+  }
+
+  const chunkStrategy = process.env.CHUNK_STRATEGY?.toLowerCase();
+  if (chunkStrategy && !listChunkStrategies().includes(chunkStrategy)) {
+    errors.push(`CHUNK_STRATEGY must be one of: ${listChunkStrategies().join(', ')}`);
+  }
+
+  const searchMode = process.env.SEARCH_MODE?.toLowerCase();
+  if (searchMode && !listSearchModes().includes(searchMode)) {
+    errors.push(`SEARCH_MODE must be one of: ${listSearchModes().join(', ')}`);
+  }
+
+  const injectionAction = process.env.PROMPT_INJECTION_ACTION?.toLowerCase();
+  if (injectionAction && !listInjectionActions().includes(injectionAction)) {
+    errors.push(`PROMPT_INJECTION_ACTION must be one of: ${listInjectionActions().join(', ')}`);
   }
 
   // Validate numeric values
@@ -41,10 +122,55 @@ export function validateEnvironment() {
     OPENAI_TEMPERATURE: process.env.OPENAI_TEMPERATURE,
     OPENAI_MAX_TOKENS: process.env.OPENAI_MAX_TOKENS,
     ANTHROPIC_MAX_TOKENS: process.env.ANTHROPIC_MAX_TOKENS,
+    OPENAI_COMPATIBLE_TEMPERATURE: process.env.OPENAI_COMPATIBLE_TEMPERATURE,
+    OPENAI_COMPATIBLE_MAX_TOKENS: process.env.OPENAI_COMPATIBLE_MAX_TOKENS,
+    OLLAMA_TEMPERATURE: process.env.OLLAMA_TEMPERATURE,
+    OLLAMA_MAX_TOKENS: process.env.OLLAMA_MAX_TOKENS,
+    MOCK_LLM_CHUNK_DELAY_MS: process.env.MOCK_LLM_CHUNK_DELAY_MS,
+    LLM_MAX_RETRIES: process.env.LLM_MAX_RETRIES,
+    LLM_RETRY_BASE_DELAY_MS: process.env.LLM_RETRY_BASE_DELAY_MS,
+    LLM_RETRY_MAX_DELAY_MS: process.env.LLM_RETRY_MAX_DELAY_MS,
+    LLM_CIRCUIT_FAILURE_THRESHOLD: process.env.LLM_CIRCUIT_FAILURE_THRESHOLD,
+    LLM_CIRCUIT_COOLDOWN_MS: process.env.LLM_CIRCUIT_COOLDOWN_MS,
+    LLM_MAX_TOOL_ROUNDS: process.env.LLM_MAX_TOOL_ROUNDS,
+    STRUCTURED_OUTPUT_MAX_REPAIRS: process.env.STRUCTURED_OUTPUT_MAX_REPAIRS,
     VECTOR_SEARCH_LIMIT: process.env.VECTOR_SEARCH_LIMIT,
     VECTOR_MIN_SIMILARITY: process.env.VECTOR_MIN_SIMILARITY,
     QUERY_EXPANSION_MAX_VARIANTS: process.env.QUERY_EXPANSION_MAX_VARIANTS,
-    WEB3_CACHE_TTL: process.env.WEB3_CACHE_TTL
+    CONVERSATION_HISTORY_LIMIT: process.env.CONVERSATION_HISTORY_LIMIT,
+    SSE_REPLAY_WINDOW_MS: process.env.SSE_REPLAY_WINDOW_MS,
+    SSE_RECONNECT_GRACE_MS: process.env.SSE_RECONNECT_GRACE_MS,
+    RETRIEVE_TIMEOUT_MS: process.env.RETRIEVE_TIMEOUT_MS,
+    LIVE_DATA_TIMEOUT_MS: process.env.LIVE_DATA_TIMEOUT_MS,
+    METRICS_WINDOW_SIZE: process.env.METRICS_WINDOW_SIZE,
+    WEB3_CACHE_TTL: process.env.WEB3_CACHE_TTL,
+    ANSWER_CACHE_MIN_SIMILARITY: process.env.ANSWER_CACHE_MIN_SIMILARITY,
+    ANSWER_CACHE_TTL_MS: process.env.ANSWER_CACHE_TTL_MS,
+    ANSWER_CACHE_TIMEOUT_MS: process.env.ANSWER_CACHE_TIMEOUT_MS,
+    USAGE_DAILY_BUDGET_USD: process.env.USAGE_DAILY_BUDGET_USD,
+    USAGE_MONTHLY_BUDGET_USD: process.env.USAGE_MONTHLY_BUDGET_USD,
+    PROMPT_INJECTION_THRESHOLD: process.env.PROMPT_INJECTION_THRESHOLD,
+    CONTEXT_MAX_TOKENS: process.env.CONTEXT_MAX_TOKENS,
+    CONTEXT_DEFAULT_WINDOW: process.env.CONTEXT_DEFAULT_WINDOW,
+    CONTEXT_MIN_CHUNK_TOKENS: process.env.CONTEXT_MIN_CHUNK_TOKENS,
+    PROMPT_INJECTION_DOWNWEIGHT: process.env.PROMPT_INJECTION_DOWNWEIGHT,
+    EMBEDDING_DIMENSIONS: process.env.EMBEDDING_DIMENSIONS,
+    EMBEDDING_LOCAL_BATCH_SIZE: process.env.EMBEDDING_LOCAL_BATCH_SIZE,
+    EMBEDDING_CACHE_SIZE: process.env.EMBEDDING_CACHE_SIZE,
+    CHUNK_SIZE_TOKENS: process.env.CHUNK_SIZE_TOKENS,
+    CHUNK_OVERLAP_TOKENS: process.env.CHUNK_OVERLAP_TOKENS,
+    CHUNK_MERGE_NEIGHBORS: process.env.CHUNK_MERGE_NEIGHBORS,
+    SEARCH_VECTOR_WEIGHT: process.env.SEARCH_VECTOR_WEIGHT,
+    SEARCH_KEYWORD_WEIGHT: process.env.SEARCH_KEYWORD_WEIGHT,
+    SEARCH_RRF_K: process.env.SEARCH_RRF_K,
+    SEARCH_HYBRID_CANDIDATES: process.env.SEARCH_HYBRID_CANDIDATES,
+    RERANK_CANDIDATES: process.env.RERANK_CANDIDATES,
+    RERANK_TIMEOUT_MS: process.env.RERANK_TIMEOUT_MS,
+    RERANK_LLM_MAX_TOKENS: process.env.RERANK_LLM_MAX_TOKENS,
+    RERANK_LOCAL_BATCH_SIZE: process.env.RERANK_LOCAL_BATCH_SIZE,
+    SEARCH_MMR_LAMBDA: process.env.SEARCH_MMR_LAMBDA,
+    SEARCH_MAX_PER_SOURCE: process.env.SEARCH_MAX_PER_SOURCE,
+    SEARCH_DIVERSITY_CANDIDATES: process.env.SEARCH_DIVERSITY_CANDIDATES
   };
 
   for (const [key, value] of Object.entries(numericVars)) {
@@ -61,6 +187,13 @@ export function validateEnvironment() {
     }
   }
 
+  if (process.env.SEARCH_MMR_LAMBDA) {
+    const lambda = parseFloat(process.env.SEARCH_MMR_LAMBDA);
+    if (lambda < 0 || lambda > 1) {
+      errors.push('SEARCH_MMR_LAMBDA must be between 0 and 1');
+    }
+  }
+
   // Log results
   if (errors.length > 0) {
     logger.error('Environment validation failed:');
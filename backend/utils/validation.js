@@ -3,6 +3,11 @@
  * Input validation helpers for API endpoints
  */
 
+import { getPersona, listPersonas } from '../services/prompts.js';
+import { listChunkStrategies } from '../services/chunking.js';
+import { listRerankers } from '../services/rerankers/index.js';
+import { checkSchema } from '../services/structuredOutput.js';
+
 /**
  * Validates chat message
  */
@@ -34,6 +39,176 @@ export function validateChatMessage(message) {
   };
 }
 
+/**
+ * Validates an optional conversation ID
+ */
+export function validateConversationId(conversationId) {
+  const errors = [];
+
+  if (conversationId !== undefined && conversationId !== null) {
+    const id = Number(conversationId);
+    if (!Number.isInteger(id) || id <= 0) {
+      errors.push('conversationId must be a positive integer');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates the optional persona and locale of a chat request
+ */
+export function validatePromptOptions(persona, locale) {
+  const errors = [];
+
+  if (persona !== undefined && persona !== null) {
+    if (typeof persona !== 'string' || !getPersona(persona)) {
+      const available = listPersonas().map(p => p.id).join(', ');
+      errors.push(`persona must be one of: ${available}`);
+    }
+  }
+
+  if (locale !== undefined && locale !== null) {
+    let valid = typeof locale === 'string' && locale.length <= 35;
+    if (valid) {
+      try {
+        Intl.getCanonicalLocales(locale);
+      } catch (error) {
+        valid = false;
+      }
+    }
+    if (!valid) {
+      errors.push('locale must be a BCP 47 language tag, e.g. "en-US"');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates the optional responseFormat of a chat request
+ * ({ name?, schema }, where schema is a JSON schema object)
+ */
+export function validateResponseFormat(responseFormat) {
+  const errors = [];
+
+  if (responseFormat !== undefined && responseFormat !== null) {
+    if (typeof responseFormat !== 'object' || Array.isArray(responseFormat)) {
+      errors.push('responseFormat must be an object');
+    } else {
+      const { name, schema } = responseFormat;
+      if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        errors.push('responseFormat.schema must be a JSON schema object');
+      } else if (JSON.stringify(schema).length > 20000) {
+        errors.push('responseFormat.schema cannot exceed 20000 characters');
+      } else {
+        errors.push(...checkSchema(schema, 'responseFormat.schema'));
+      }
+      if (name !== undefined && (typeof name !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(name))) {
+        errors.push('responseFormat.name must be 1-64 letters, digits, underscores or dashes');
+      }
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates the optional rerank option of a chat request
+ * (true/false, or { enabled?, provider?, candidates? })
+ */
+export function validateRerankOptions(rerank) {
+  const errors = [];
+
+  if (rerank !== undefined && rerank !== null && typeof rerank !== 'boolean') {
+    if (typeof rerank !== 'object' || Array.isArray(rerank)) {
+      errors.push('rerank must be a boolean or an object');
+    } else {
+      const { enabled, provider, candidates } = rerank;
+      if (enabled !== undefined && typeof enabled !== 'boolean') {
+        errors.push('rerank.enabled must be a boolean');
+      }
+      if (provider !== undefined && !listRerankers().includes(provider)) {
+        errors.push(`rerank.provider must be one of: ${listRerankers().join(', ')}`);
+      }
+      if (candidates !== undefined && (!Number.isInteger(candidates) || candidates < 1 || candidates > 100)) {
+        errors.push('rerank.candidates must be an integer between 1 and 100');
+      }
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates the optional diversity option of a chat request
+ * ({ lambda?, maxPerSource? }: MMR trade-off and per-source cap)
+ */
+export function validateDiversityOptions(diversity) {
+  const errors = [];
+
+  if (diversity !== undefined && diversity !== null) {
+    if (typeof diversity !== 'object' || Array.isArray(diversity)) {
+      errors.push('diversity must be an object');
+    } else {
+      const { lambda, maxPerSource } = diversity;
+      if (lambda !== undefined && (typeof lambda !== 'number' || lambda < 0 || lambda > 1)) {
+        errors.push('diversity.lambda must be a number between 0 and 1');
+      }
+      if (maxPerSource !== undefined && (!Number.isInteger(maxPerSource) || maxPerSource < 0 || maxPerSource > 100)) {
+        errors.push('diversity.maxPerSource must be an integer between 0 and 100');
+      }
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates the optional chunking options of a document
+ * ({ strategy?, size?, overlap? }, size and overlap in tokens)
+ */
+export function validateChunkingOptions(chunking) {
+  const errors = [];
+
+  if (chunking !== undefined && chunking !== null) {
+    if (typeof chunking !== 'object' || Array.isArray(chunking)) {
+      errors.push('chunking must be an object');
+    } else {
+      const { strategy, size, overlap } = chunking;
+      if (strategy !== undefined && !listChunkStrategies().includes(strategy)) {
+        errors.push(`chunking.strategy must be one of: ${listChunkStrategies().join(', ')}`);
+      }
+      if (size !== undefined && (!Number.isInteger(size) || size < 50 || size > 8000)) {
+        errors.push('chunking.size must be an integer between 50 and 8000 tokens');
+      }
+      if (overlap !== undefined && (!Number.isInteger(overlap) || overlap < 0 || overlap > 2000)) {
+        errors.push('chunking.overlap must be an integer between 0 and 2000 tokens');
+      }
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
 /**
  * Validates document content
  */
@@ -55,6 +230,20 @@ export function validateDocument(content, metadata = {}) {
   }
 
   // Validate metadata if provided
+  errors.push(...validateDocumentMetadata(metadata).errors);
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates document metadata (title, url and source must be strings)
+ */
+export function validateDocumentMetadata(metadata) {
+  const errors = [];
+
   if (metadata && typeof metadata !== 'object') {
     errors.push('Metadata must be an object');
   } else if (metadata) {
@@ -80,18 +269,48 @@ export function validateDocument(content, metadata = {}) {
  * Express middleware for chat message validation
  */
 export function validateChatRequest(req, res, next) {
-  const { message } = req.body;
+  const { message, conversationId, persona, locale, responseFormat } = req.body;
   const validation = validateChatMessage(message);
+  const conversationValidation = validateConversationId(conversationId);
+  const promptValidation = validatePromptOptions(persona, locale);
+  const responseFormatValidation = validateResponseFormat(responseFormat);
+  const errors = [
+    ...validation.errors,
+    ...conversationValidation.errors,
+    ...promptValidation.errors,
+    ...responseFormatValidation.errors,
+    ...validateRerankOptions(req.body.rerank).errors,
+    ...validateDiversityOptions(req.body.diversity).errors
+  ];
+  if (req.body.cache !== undefined && typeof req.body.cache !== 'boolean') {
+    errors.push('cache must be a boolean');
+  }
+  if (req.body.debug !== undefined && typeof req.body.debug !== 'boolean') {
+    errors.push('debug must be a boolean');
+  }
 
-  if (!validation.isValid) {
+  if (errors.length > 0) {
     return res.status(400).json({
       error: 'Validation failed',
-      details: validation.errors
+      details: errors
     });
   }
 
-  // Sanitize: trim whitespace
+  // Sanitize: trim whitespace and normalize the conversation ID
   req.body.message = req.body.message.trim();
+  if (conversationId !== undefined && conversationId !== null) {
+    req.body.conversationId = Number(conversationId);
+  }
+  if (responseFormat) {
+    req.body.responseFormat = { name: responseFormat.name || 'response', schema: responseFormat.schema };
+  }
+  if (typeof req.body.rerank === 'boolean') {
+    req.body.rerank = { enabled: req.body.rerank };
+  } else if (req.body.rerank) {
+    // Passing rerank options turns reranking on; only the validated fields are kept
+    const { enabled = true, provider, candidates } = req.body.rerank;
+    req.body.rerank = { enabled, provider, candidates };
+  }
   next();
 }
 
@@ -99,13 +318,14 @@ export function validateChatRequest(req, res, next) {
  * Express middleware for document validation
  */
 export function validateDocumentRequest(req, res, next) {
-  const { content, metadata } = req.body;
+  const { content, metadata, chunking } = req.body;
   const validation = validateDocument(content, metadata);
+  const errors = [...validation.errors, ...validateChunkingOptions(chunking).errors];
 
-  if (!validation.isValid) {
+  if (errors.length > 0) {
     return res.status(400).json({
       error: 'Validation failed',
-      details: validation.errors
+      details: errors
     });
   }
 
@@ -117,3 +337,166 @@ export function validateDocumentRequest(req, res, next) {
   next();
 }
 
+
+/**
+ * Express middleware for document updates (PATCH): any of content, metadata
+ * and chunking; metadata keys set to null are removed
+ */
+export function validateDocumentPatch(req, res, next) {
+  const { content, metadata, chunking } = req.body;
+  const errors = [];
+
+  if (content === undefined && metadata === undefined && chunking === undefined) {
+    errors.push('Provide at least one of content, metadata or chunking');
+  }
+  if (content !== undefined) {
+    errors.push(...validateDocument(content).errors);
+  }
+  if (metadata !== undefined && (metadata === null || Array.isArray(metadata))) {
+    errors.push('Metadata must be an object');
+  } else {
+    errors.push(...validateDocumentMetadata(metadata).errors);
+  }
+  errors.push(...validateChunkingOptions(chunking).errors);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  // Sanitize: trim whitespace
+  if (content !== undefined) {
+    req.body.content = content.trim();
+  }
+  if (typeof metadata?.title === 'string') {
+    req.body.metadata.title = metadata.title.trim();
+  }
+  next();
+}
+
+/**
+ * Express middleware for bulk document deletion by metadata filter
+ * ({ filter }, in the same format as chat `filters`)
+ */
+export function validateDocumentFilterDelete(req, res, next) {
+  const { filter } = req.body;
+
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter) || Object.keys(filter).length === 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: ['filter must be a non-empty object of metadata conditions, e.g. { "source": "CoinDesk" }']
+    });
+  }
+  next();
+}
+
+/**
+ * Express middleware for document ID route parameters
+ */
+export function validateDocumentParams(req, res, next) {
+  const id = Number(req.params.id);
+
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: ['Document ID must be a positive integer']
+    });
+  }
+
+  req.params.id = id;
+  next();
+}
+
+/**
+ * Express middleware for conversation ID route parameters
+ */
+export function validateConversationParams(req, res, next) {
+  const validation = validateConversationId(req.params.id);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: validation.errors
+    });
+  }
+
+  req.params.id = Number(req.params.id);
+  next();
+}
+
+/**
+ * Express middleware for conversation rename requests
+ */
+export function validateConversationUpdate(req, res, next) {
+  const { title } = req.body;
+  const errors = [];
+
+  if (!title || typeof title !== 'string' || title.trim().length === 0) {
+    errors.push('Title must be a non-empty string');
+  } else if (title.trim().length > 200) {
+    errors.push('Title cannot exceed 200 characters');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  // Sanitize: trim whitespace
+  req.body.title = title.trim();
+  next();
+}
+
+/**
+ * Express middleware for message ID route parameters
+ */
+export function validateMessageParams(req, res, next) {
+  const id = Number(req.params.id);
+
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: ['Message ID must be a positive integer']
+    });
+  }
+
+  req.params.id = id;
+  next();
+}
+
+/**
+ * Express middleware for answer feedback
+ */
+export function validateFeedbackRequest(req, res, next) {
+  const { rating, comment } = req.body;
+  const errors = [];
+
+  if (rating !== 'up' && rating !== 'down') {
+    errors.push('Rating must be "up" or "down"');
+  }
+
+  if (comment !== undefined && comment !== null) {
+    if (typeof comment !== 'string') {
+      errors.push('Comment must be a string');
+    } else if (comment.trim().length > 2000) {
+      errors.push('Comment cannot exceed 2000 characters');
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  // Sanitize: trim whitespace
+  if (typeof comment === 'string') {
+    req.body.comment = comment.trim();
+  }
+  next();
+}
@@ -1,13 +1,89 @@
 import React, { useState, useRef, useEffect } from 'react'
 import './App.css'
 
+const MAX_RECONNECT_ATTEMPTS = 5
+
+/**
+ * Reads a Server-Sent Events response body and calls onEvent for each
+ * complete event ({ id, event, data }). Resolves when the server closes the
+ * stream; rejects if the connection drops.
+ */
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  let current = {}
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+    buffer += decoder.decode(value, { stream: true })
+    const lines = buffer.split('\n')
+    buffer = lines.pop() // keep the trailing partial line for the next read
+    for (const line of lines) {
+      if (line.startsWith('id: ')) {
+        current.id = parseInt(line.slice(4), 10)
+      } else if (line.startsWith('event: ')) {
+        current.event = line.slice(7).trim()
+      } else if (line.startsWith('data: ')) {
+        current.data = line.slice(6).trim()
+      } else if (line.trim() === '') {
+        if (current.event && current.data) {
+          try {
+            onEvent({ id: current.id, event: current.event, data: JSON.parse(current.data) })
+          } catch (e) {
+            console.error('Error parsing SSE data:', e, current.data)
+          }
+        }
+        current = {}
+      }
+    }
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// Matches inline citations such as [1], [2, 3]
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g
+
+/**
+ * Splits answer text into plain strings and clickable citation superscripts
+ */
+function renderWithCitations(content, citations, onCite) {
+  if (!citations || citations.length === 0) return content
+  const known = new Set(citations.map(c => c.index))
+  const parts = []
+  let lastIndex = 0
+  for (const match of content.matchAll(CITATION_PATTERN)) {
+    const numbers = match[1].split(',').map(n => parseInt(n, 10)).filter(n => known.has(n))
+    if (numbers.length === 0) continue
+    parts.push(content.slice(lastIndex, match.index))
+    numbers.forEach(n => parts.push(
+      <sup key={`${match.index}-${n}`} className="citation-ref" onClick={() => onCite(n)}>
+        [{n}]
+      </sup>
+    ))
+    lastIndex = match.index + match[0].length
+  }
+  parts.push(content.slice(lastIndex))
+  return parts
+}
+
 function App() {
   const [messages, setMessages] = useState([])
   const [input, setInput] = useState('')
   const [loading, setLoading] = useState(false)
   const [availableSources, setAvailableSources] = useState([])
   const [selectedSources, setSelectedSources] = useState([])
+  const [personas, setPersonas] = useState([])
+  const [persona, setPersona] = useState(() => localStorage.getItem('persona') || '')
+  const [conversationId, setConversationId] = useState(null)
+  const [conversations, setConversations] = useState([])
+  const [editingConversationId, setEditingConversationId] = useState(null)
+  const [editingTitle, setEditingTitle] = useState('')
+  const [highlightedCitation, setHighlightedCitation] = useState(null)
   const messagesEndRef = useRef(null)
+  const streamIdRef = useRef(null)
+  const abortControllerRef = useRef(null)
 
   // Fetch possible sources for filtering
   useEffect(() => {
@@ -17,6 +93,115 @@ function App() {
       .catch(() => setAvailableSources([]))
   }, [])
 
+  // Fetch answer personas; keep the saved choice only if it still exists
+  useEffect(() => {
+    fetch('/api/personas')
+      .then(res => res.json())
+      .then(data => {
+        const list = Array.isArray(data.personas) ? data.personas : []
+        setPersonas(list)
+        setPersona(current => (list.some(p => p.id === current) ? current : data.default || ''))
+      })
+      .catch(() => setPersonas([]))
+  }, [])
+
+  useEffect(() => {
+    if (persona) {
+      localStorage.setItem('persona', persona)
+    }
+  }, [persona])
+
+  const loadConversations = () => {
+    fetch('/api/conversations')
+      .then(res => res.json())
+      .then(data => setConversations(Array.isArray(data.conversations) ? data.conversations : []))
+      .catch(() => setConversations([]))
+  }
+
+  const openConversation = async (id) => {
+    try {
+      const response = await fetch(`/api/conversations/${id}`)
+      if (!response.ok) {
+        throw new Error('Failed to load conversation')
+      }
+      const data = await response.json()
+      setConversationId(id)
+      setMessages(data.messages.map(msg => ({
+        id: msg.id,
+        role: msg.role,
+        content: msg.content,
+        sources: msg.sources || [],
+        citations: msg.citations || [],
+        messageId: msg.role === 'assistant' ? msg.id : null,
+        feedback: msg.feedback
+          ? { rating: msg.feedback.rating > 0 ? 'up' : 'down', comment: msg.feedback.comment || '' }
+          : null
+      })))
+    } catch (error) {
+      console.error('Error:', error)
+      localStorage.removeItem('conversationId')
+    }
+  }
+
+  // Load past conversations and reopen the last active one after a refresh
+  useEffect(() => {
+    loadConversations()
+    const savedId = localStorage.getItem('conversationId')
+    if (savedId) {
+      openConversation(Number(savedId))
+    }
+  }, [])
+
+  useEffect(() => {
+    if (conversationId) {
+      localStorage.setItem('conversationId', conversationId)
+    } else {
+      localStorage.removeItem('conversationId')
+    }
+  }, [conversationId])
+
+  const handleNewChat = () => {
+    setConversationId(null)
+    setMessages([])
+  }
+
+  const handleRename = async (id) => {
+    const title = editingTitle.trim()
+    setEditingConversationId(null)
+    if (!title) return
+    try {
+      const response = await fetch(`/api/conversations/${id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ title }),
+      })
+      if (!response.ok) {
+        throw new Error('Failed to rename conversation')
+      }
+      loadConversations()
+    } catch (error) {
+      console.error('Error:', error)
+    }
+  }
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Delete this conversation?')) return
+    try {
+      const response = await fetch(`/api/conversations/${id}`, { method: 'DELETE' })
+      if (!response.ok) {
+        throw new Error('Failed to delete conversation')
+      }
+      if (id === conversationId) {
+        handleNewChat()
+      }
+      loadConversations()
+    } catch (error) {
+      console.error('Error:', error)
+    }
+  }
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
   }
@@ -40,7 +225,8 @@ function App() {
       id: aiMessageId,
       role: 'assistant',
       content: '',
-      sources: []
+      sources: [],
+      citations: []
     }
     setMessages(prev => [...prev, aiMessage])
 
@@ -50,86 +236,177 @@ function App() {
       filters.source = selectedSources.length === 1 ? selectedSources[0] : selectedSources
     }
 
+    const abortController = new AbortController()
+    abortControllerRef.current = abortController
+    streamIdRef.current = null
+
+    const updateMessage = (update) => {
+      setMessages(prev => prev.map(msg =>
+        msg.id === aiMessageId ? { ...msg, ...update(msg) } : msg
+      ))
+    }
+
+    let lastEventId = 0
+    let finished = false
+    const handleEvent = ({ id, event, data }) => {
+      if (id) lastEventId = id
+      if (event === 'start') {
+        if (data.conversationId) setConversationId(data.conversationId)
+        streamIdRef.current = data.streamId || null
+      } else if (event === 'sources') {
+        updateMessage(() => ({ sources: data.sources || [], citations: data.citations || [] }))
+      } else if (event === 'tool_call') {
+        updateMessage(msg => ({ toolCalls: [...(msg.toolCalls || []), { ...data, status: 'running' }] }))
+      } else if (event === 'tool_result') {
+        updateMessage(msg => ({
+          toolCalls: (msg.toolCalls || []).map(call => call.id === data.id ? { ...call, ...data } : call)
+        }))
+      } else if (event === 'chunk') {
+        updateMessage(msg => ({ content: msg.content + (data.content || '') }))
+      } else if (event === 'done') {
+        finished = true
+        updateMessage(msg => ({
+          content: data.fullContent || msg.content,
+          cancelled: !!data.cancelled,
+          cached: !!data.cached,
+          messageId: data.messageId || null
+        }))
+      } else if (event === 'error') {
+        finished = true
+        updateMessage(() => ({ content: data.error || 'An error occurred' }))
+      }
+    }
+
     try {
-      const response = await fetch('/api/chat/stream', {
+      let response = await fetch('/api/chat/stream', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ message: currentInput, filters }),
+        body: JSON.stringify({
+          message: currentInput,
+          filters,
+          conversationId,
+          persona: persona || undefined,
+          locale: navigator.language
+        }),
+        signal: abortController.signal,
       })
       if (!response.ok) {
         throw new Error('Failed to get response')
       }
-      const reader = response.body.getReader()
-      const decoder = new TextDecoder()
-      let buffer = ''
-      let currentEvent = null
+
+      // Keep reading until the server sends done/error. If the connection
+      // drops, reconnect with Last-Event-ID and the server replays what we missed.
+      let attempts = 0
       while (true) {
-        const { done, value } = await reader.read()
-        if (done) break
-        buffer += decoder.decode(value, { stream: true })
-        const lines = buffer.split('\n')
-        buffer = ''
-        for (let i = 0; i < lines.length; i++) {
-          const line = lines[i]
-          if (line.startsWith('event: ')) {
-            currentEvent = line.slice(7).trim()
-          } else if (line.startsWith('data: ')) {
-            const dataStr = line.slice(6).trim()
-            if (dataStr && currentEvent) {
-              try {
-                const data = JSON.parse(dataStr)
-                if (currentEvent === 'sources') {
-                  setMessages(prev => prev.map(msg =>
-                    msg.id === aiMessageId 
-                      ? { ...msg, sources: data.sources || [] }
-                      : msg
-                  ))
-                } else if (currentEvent === 'chunk') {
-                  setMessages(prev => prev.map(msg =>
-                    msg.id === aiMessageId 
-                      ? { ...msg, content: msg.content + (data.content || '') }
-                      : msg
-                  ))
-                } else if (currentEvent === 'done') {
-                  setMessages(prev => prev.map(msg =>
-                    msg.id === aiMessageId 
-                      ? { ...msg, content: data.fullContent || msg.content }
-                      : msg
-                  ))
-                } else if (currentEvent === 'error') {
-                  setMessages(prev => prev.map(msg =>
-                    msg.id === aiMessageId 
-                      ? { ...msg, content: data.error || 'An error occurred' }
-                      : msg
-                  ))
-                  break
-                }
-              } catch (e) {
-                console.error('Error parsing SSE data:', e, dataStr)
-              }
-            }
-            currentEvent = null
-          } else if (line.trim() === '') {
-            currentEvent = null
-          } else {
-            buffer = line + '\n'
+        if (response) {
+          try {
+            const seenBefore = lastEventId
+            await readEventStream(response, handleEvent)
+            if (lastEventId > seenBefore) attempts = 0
+          } catch (error) {
+            if (error.name === 'AbortError') throw error
+            console.warn('Stream interrupted:', error)
           }
         }
+        if (finished) break
+
+        const streamId = streamIdRef.current
+        if (!streamId || attempts >= MAX_RECONNECT_ATTEMPTS) {
+          throw new Error('Stream interrupted')
+        }
+        attempts++
+        await sleep(Math.min(500 * 2 ** (attempts - 1), 5000))
+        response = null
+        try {
+          response = await fetch(`/api/chat/stream/${streamId}`, {
+            headers: { 'Last-Event-ID': String(lastEventId) },
+            signal: abortController.signal,
+          })
+        } catch (error) {
+          if (error.name === 'AbortError') throw error
+          continue
+        }
+        if (response.status === 404) {
+          throw new Error('Stream expired')
+        }
+        if (!response.ok) response = null
       }
     } catch (error) {
-      console.error('Error:', error)
-      setMessages(prev => prev.map(msg =>
-        msg.id === aiMessageId 
-          ? { ...msg, content: 'Sorry, I encountered an error. Please try again.' }
-          : msg
-      ))
+      if (error.name === 'AbortError') {
+        // Stopped before the server handed us a stream ID - keep what we have
+        setMessages(prev => prev.map(msg =>
+          msg.id === aiMessageId ? { ...msg, cancelled: true } : msg
+        ))
+      } else {
+        console.error('Error:', error)
+        setMessages(prev => prev.map(msg =>
+          msg.id === aiMessageId 
+            ? { ...msg, content: 'Sorry, I encountered an error. Please try again.' }
+            : msg
+        ))
+      }
     } finally {
       setLoading(false)
+      streamIdRef.current = null
+      abortControllerRef.current = null
+      loadConversations()
     }
   }
 
+  const updateFeedback = (messageKey, update) => {
+    setMessages(prev => prev.map((msg, idx) =>
+      (msg.id || idx) === messageKey ? { ...msg, feedback: { ...msg.feedback, ...update } } : msg
+    ))
+  }
+
+  // Rate an answer. Clicking a thumb opens the comment box; the rating is
+  // saved straight away and re-sent with the comment if one is added.
+  const submitFeedback = async (messageKey, messageId, rating, comment = '') => {
+    updateFeedback(messageKey, { rating, comment, commentOpen: !comment, saved: false })
+    try {
+      const response = await fetch(`/api/messages/${messageId}/feedback`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ rating, comment: comment || undefined }),
+      })
+      if (!response.ok) {
+        throw new Error('Failed to save feedback')
+      }
+      updateFeedback(messageKey, { saved: true })
+    } catch (error) {
+      console.error('Error:', error)
+      updateFeedback(messageKey, { rating: null, commentOpen: false })
+    }
+  }
+
+  // Stop the current generation. The server finishes the stream with the
+  // partial answer; if we don't have a stream ID yet, drop the connection
+  // (the server aborts generation once the client has been gone for a grace period).
+  const handleStop = async () => {
+    const streamId = streamIdRef.current
+    if (streamId) {
+      try {
+        const response = await fetch(`/api/chat/stream/${streamId}/cancel`, { method: 'POST' })
+        if (response.ok) return
+      } catch (error) {
+        console.error('Error:', error)
+      }
+    }
+    abortControllerRef.current?.abort()
+  }
+
+  // Highlight the source a citation points to and bring it into view
+  const handleCite = (messageKey, index) => {
+    const key = `${messageKey}-${index}`
+    setHighlightedCitation(key)
+    document.getElementById(`citation-${key}`)?.scrollIntoView({ behavior: 'smooth', block: 'nearest' })
+    setTimeout(() => setHighlightedCitation(current => (current === key ? null : current)), 2500)
+  }
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault()
@@ -149,6 +426,60 @@ function App() {
 
   return (
     <div className="app">
+      <aside className="sidebar">
+        <button className="new-chat-button" onClick={handleNewChat} disabled={loading}>
+          + New chat
+        </button>
+        <div className="conversation-list">
+          {conversations.length === 0 && (
+            <div className="conversation-empty">No past conversations</div>
+          )}
+          {conversations.map(conv => (
+            <div
+              key={conv.id}
+              className={`conversation-item ${conv.id === conversationId ? 'active' : ''}`}
+              onClick={() => !loading && editingConversationId !== conv.id && openConversation(conv.id)}
+            >
+              {editingConversationId === conv.id ? (
+                <input
+                  className="conversation-title-input"
+                  value={editingTitle}
+                  autoFocus
+                  onChange={(e) => setEditingTitle(e.target.value)}
+                  onBlur={() => handleRename(conv.id)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') handleRename(conv.id)
+                    if (e.key === 'Escape') setEditingConversationId(null)
+                  }}
+                />
+              ) : (
+                <span className="conversation-title">{conv.title || 'Untitled chat'}</span>
+              )}
+              <div className="conversation-actions">
+                <button
+                  title="Rename"
+                  onClick={(e) => {
+                    e.stopPropagation()
+                    setEditingConversationId(conv.id)
+                    setEditingTitle(conv.title || '')
+                  }}
+                >
+                  ✎
+                </button>
+                <button
+                  title="Delete"
+                  onClick={(e) => {
+                    e.stopPropagation()
+                    handleDelete(conv.id)
+                  }}
+                >
+                  ✕
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </aside>
       <div className="chat-container">
         <div className="chat-header">
           <h1>Web3 Insight Chat</h1>
@@ -179,6 +510,21 @@ function App() {
               Filtering by: {selectedSources.join(', ')}
             </span>
           )}
+          {personas.length > 0 && (
+            <label className="persona-picker">
+              Persona:
+              <select
+                value={persona}
+                onChange={(e) => setPersona(e.target.value)}
+                disabled={loading}
+                title={personas.find(p => p.id === persona)?.description || ''}
+              >
+                {personas.map(p => (
+                  <option key={p.id} value={p.id}>{p.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
         </div>
         <div className="chat-messages">
           {messages.length === 0 && (
@@ -186,32 +532,105 @@ function App() {
               <p>Start a conversation about Web3!</p>
             </div>
           )}
-          {messages.map((msg, idx) => (
-            <div key={msg.id || idx} className={`message ${msg.role}`}>
-              <div className="message-content">
-                {msg.content || (msg.role === 'assistant' && loading ? 'Thinking...' : '')}
-                {msg.role === 'assistant' && loading && idx === messages.length - 1 && !msg.content && (
-                  <span className="typing-indicator">●</span>
+          {messages.map((msg, idx) => {
+            const messageKey = msg.id || idx
+            return (
+              <div key={messageKey} className={`message ${msg.role}`}>
+                <div className="message-content">
+                  {msg.toolCalls && msg.toolCalls.length > 0 && (
+                    <ul className="tool-activity">
+                      {msg.toolCalls.map(call => (
+                        <li key={call.id} className={`tool-call ${call.status}`} title={call.error || ''}>
+                          <span className="tool-call-status">
+                            {call.status === 'running' ? '⏳' : call.status === 'ok' ? '✓' : '✗'}
+                          </span>
+                          {call.label}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  {msg.content
+                    ? renderWithCitations(msg.content, msg.citations, n => handleCite(messageKey, n))
+                    : (msg.role === 'assistant' && loading ? 'Thinking...' : '')}
+                  {msg.role === 'assistant' && loading && idx === messages.length - 1 && !msg.content && (
+                    <span className="typing-indicator">●</span>
+                  )}
+                  {msg.cancelled && <div className="message-cancelled">Stopped</div>}
+                  {msg.cached && <div className="message-cached">Cached answer</div>}
+                </div>
+                {msg.role === 'assistant' && msg.messageId && (
+                  <div className="message-feedback">
+                    <button
+                      className={`feedback-button ${msg.feedback?.rating === 'up' ? 'selected' : ''}`}
+                      onClick={() => submitFeedback(messageKey, msg.messageId, 'up')}
+                      title="Helpful"
+                    >
+                      👍
+                    </button>
+                    <button
+                      className={`feedback-button ${msg.feedback?.rating === 'down' ? 'selected' : ''}`}
+                      onClick={() => submitFeedback(messageKey, msg.messageId, 'down')}
+                      title="Not helpful"
+                    >
+                      👎
+                    </button>
+                    {msg.feedback?.commentOpen ? (
+                      <form
+                        className="feedback-comment"
+                        onSubmit={(e) => {
+                          e.preventDefault()
+                          submitFeedback(messageKey, msg.messageId, msg.feedback.rating, msg.feedback.comment.trim())
+                        }}
+                      >
+                        <input
+                          value={msg.feedback.comment}
+                          onChange={(e) => updateFeedback(messageKey, { comment: e.target.value })}
+                          placeholder="Add a comment (optional)"
+                          maxLength={2000}
+                        />
+                        <button type="submit" disabled={!msg.feedback.comment.trim()}>Send</button>
+                      </form>
+                    ) : msg.feedback?.saved && (
+                      <span className="feedback-thanks">Thanks for the feedback</span>
+                    )}
+                  </div>
+                )}
+                {msg.citations && msg.citations.length > 0 ? (
+                  <div className="message-sources">
+                    <div className="sources-label">Sources:</div>
+                    {msg.citations.map(citation => (
+                      <a
+                        key={citation.index}
+                        id={`citation-${messageKey}-${citation.index}`}
+                        href={citation.url || '#'}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        title={citation.snippet}
+                        className={`source-link ${highlightedCitation === `${messageKey}-${citation.index}` ? 'highlighted' : ''}`}
+                      >
+                        [{citation.index}] {citation.name}
+                      </a>
+                    ))}
+                  </div>
+                ) : msg.sources && msg.sources.length > 0 && (
+                  <div className="message-sources">
+                    <div className="sources-label">Sources:</div>
+                    {msg.sources.map((source, srcIdx) => (
+                      <a 
+                        key={srcIdx} 
+                        href={source.url || '#'} 
+                        target="_blank" 
+                        rel="noopener noreferrer"
+                        className="source-link"
+                      >
+                        {source.name}
+                      </a>
+                    ))}
+                  </div>
                 )}
               </div>
-              {msg.sources && msg.sources.length > 0 && (
-                <div className="message-sources">
-                  <div className="sources-label">Sources:</div>
-                  {msg.sources.map((source, srcIdx) => (
-                    <a 
-                      key={srcIdx} 
-                      href={source.url || '#'} 
-                      target="_blank" 
-                      rel="noopener noreferrer"
-                      className="source-link"
-                    >
-                      {source.name}
-                    </a>
-                  ))}
-                </div>
-              )}
-            </div>
-          ))}
+            )
+          })}
           <div ref={messagesEndRef} />
         </div>
         <div className="chat-input-container">
@@ -223,13 +642,19 @@ function App() {
             placeholder="Type your message about Web3..."
             disabled={loading}
           />
-          <button 
-            className="send-button"
-            onClick={handleSend}
-            disabled={loading || !input.trim()}
-          >
-            Send
-          </button>
+          {loading ? (
+            <button className="send-button stop-button" onClick={handleStop}>
+              Stop
+            </button>
+          ) : (
+            <button 
+              className="send-button"
+              onClick={handleSend}
+              disabled={!input.trim()}
+            >
+              Send
+            </button>
+          )}
         </div>
       </div>
     </div>